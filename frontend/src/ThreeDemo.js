@@ -1,25 +1,59 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import * as THREE from 'three';
 import { Earth } from './render/Earth';
 import { Galaxy } from './render/Galaxy';
 import { CameraController } from './controller/CameraController';
+import { SimulationClock } from './controller/SimulationClock';
 import { Sun } from './render/Sun';
 import { Meteor } from './render/Meteor';
+import { Planet } from './render/Planet';
+import { Moon } from './render/Moon';
 import { ThreeInitializer } from './utils/ThreeInitializer';
 import musicManager from './utils/MusicManager';
 import audioContextManager from './utils/AudioContextManager';
-import { createOrbitFromJPLData, parseOrbitFile} from './utils/NasaJsonParser.js';
-
-function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
+import { parseOrbitFile } from './utils/NasaJsonParser.js';
+import { loadCatalog } from './utils/CatalogImporter.js';
+import SimulationClockPanel from './components/SimulationClockPanel';
+import CloseApproachPanel from './components/CloseApproachPanel';
+import ObjectInfoPanel from './components/ObjectInfoPanel';
+import PorkchopPanel from './components/PorkchopPanel';
+import { TransferTrajectory } from './render/TransferTrajectory';
+import DeflectionPanel from './components/DeflectionPanel';
+import { OrbitPath } from './render/OrbitPath';
+import ImpactProbabilityPanel from './components/ImpactProbabilityPanel';
+import { CloneCloud } from './render/CloneCloud';
+import HazardScalePanel from './components/HazardScalePanel';
+import BPlanePanel from './components/BPlanePanel';
+import ClassificationFilter from './components/ClassificationFilter';
+import PopulationPanel from './components/PopulationPanel';
+import MeteorShowerPanel from './components/MeteorShowerPanel';
+import CatalogReportPanel from './components/CatalogReportPanel';
+import { MeteorStream } from './render/MeteorStream';
+import { Orbit } from './render/Orbit';
+import { matchesClassFilter } from './analysis/Classification';
+
+function ThreeDemo({ loadMeteors: propLoadMeteors = true, orbitMode: propOrbitMode = 'catalog' }) {
     const location = useLocation();
     const navigate = useNavigate();
     const mountRef = useRef(null);
     const meteorsListRef = useRef([]); // Use ref for meteors list to access in animation loops
+    const planetsRef = useRef([]); // Mercury to Neptune
+    const moonRef = useRef(null);
+    const transferRef = useRef(null); // TransferTrajectory picked in the porkchop plot
+    const deflectionPathsRef = useRef([]); // original and deflected OrbitPaths of the last applied deflection
+    const cloneCloudRef = useRef(null); // CloneCloud of the last impact probability run
+    const meteorStreamRef = useRef(null); // MeteorStream of the meteor shower picked in the shower panel
+    const meteorBatchTimeoutRef = useRef(null); // pending batch of createMeteorsFromOrbitsProgressive
+    const catalogInputRef = useRef(null); // hidden file input of the "Load catalog" button
+    const catalogFromFileRef = useRef(false); // a local catalog file replaced Near-Earth.json
 
     // Check for loadMeteors flag from navigation state, fallback to prop, then default true
     const loadMeteors = location.state?.loadMeteors ?? propLoadMeteors;
 
+    // Orbit mode: 'catalog' follows the parsed JPL elements, 'random' keeps the decorative orbits
+    const orbitMode = location.state?.orbitMode ?? propOrbitMode;
+
     // Get preloaded assets and preprocessed objects from global window object
     const preloadedAssets = window.preloadedAssets || {};
     const preprocessedObjects = window.preprocessedObjects || {};
@@ -31,6 +65,15 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
     const [currentScene, setCurrentScene] = useState(null);
     const [sunInstance, setSunInstance] = useState(null);
     const [currentCamera, setCurrentCamera] = useState(null); // Add camera state to store camera reference
+    const [simulationClock] = useState(() => new SimulationClock()); // Drives every orbit, starts at the current date
+    const [sidePanel, setSidePanel] = useState(null); // 'closeApproaches', 'porkchop', 'deflection', 'impactProbability', 'hazard', 'bPlane', 'population', 'meteorShowers', 'catalogReport' or null
+    const [lockedObject, setLockedObject] = useState(null); // Meteor or planet the camera follows, for the info panel
+    const [impactRun, setImpactRun] = useState(null); // last impact probability run { name, result }, for the hazard scales
+    const [classFilter, setClassFilter] = useState('all'); // key of CLASSIFICATION_FILTERS (analysis/Classification.js)
+    const [catalogReport, setCatalogReport] = useState(null); // validation report of the loaded catalog (utils/CatalogValidator.js)
+    const [catalogName, setCatalogName] = useState('Near-Earth.json'); // file the catalog came from
+    const [catalogError, setCatalogError] = useState(null); // why the last dropped or picked file could not be read
+    const [dragActive, setDragActive] = useState(false); // a file is dragged over the view
 
     // Configurable options for meteor creation
     const METEOR_BATCH_SIZE = 10; // Number of meteors created per frame
@@ -51,9 +94,9 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                 try {
                     // Lower geometry detail: use METEOR_SEGMENTS
                     const position = new THREE.Vector3(
-                        orbits[index].semiMajorAxis * Math.cos(orbits[index].omega),
+                        orbits[index].perihelionDistance * Math.cos(orbits[index].omega),
                         0,
-                        orbits[index].semiMajorAxis * Math.sin(orbits[index].omega)
+                        orbits[index].perihelionDistance * Math.sin(orbits[index].omega)
                     );
                     const meteor = new Meteor(
                         scene,
@@ -61,10 +104,15 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                         METEOR_SEGMENTS,
                         position,
                         assets,
-                        preprocessed
+                        preprocessed,
+                        orbits[index].name
                     );
                     meteor.setCamera(camera);
-                    meteor.startOrbit(sun.getPosition(), 0.001 + Math.random() * 0.002);
+                    if (orbitMode === 'catalog') {
+                        meteor.startCatalogOrbit(orbits[index]);
+                    } else {
+                        meteor.startOrbit(sun.getPosition(), 0.001 + Math.random() * 0.002);
+                    }
                     meteors.push(meteor);
                 } catch (error) {
                     console.error(`Failed to create meteor ${index + 1}:`, error);
@@ -72,7 +120,7 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
             }
             if (onBatchCreated) onBatchCreated(meteors);
             if (index < total) {
-                setTimeout(createBatch, 16); // Next batch in next frame
+                meteorBatchTimeoutRef.current = setTimeout(createBatch, 16); // Next batch in next frame
             } else {
                 console.log(`Successfully created ${meteors.length} meteors progressively`);
             }
@@ -154,6 +202,15 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
 
             const earthInstance = new Earth(scene, 1, 16, new THREE.Vector3(150, 0, 0), preloadedAssets, preprocessedObjects);
             earthInstance.startOrbit();
+            earthInstance.updateOrbit(simulationClock.getTime());
+
+            const planets = Planet.createAll(scene, simulationClock.getTime(), preloadedAssets, preprocessedObjects);
+            planetsRef.current = planets;
+
+            const moonInstance = new Moon(scene, 32, preloadedAssets, preprocessedObjects);
+            moonInstance.startOrbit(simulationClock.getTime());
+            moonInstance.updateOrbit(simulationClock.getTime());
+            moonRef.current = moonInstance;
 
             // Set scene and sun for meteor creation
             setCurrentScene(scene);
@@ -187,7 +244,8 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
             const cameraController = new CameraController(camera, new THREE.Vector3(0, 0, 0), 80, 500);
             cameraController.enableControls(renderer.domElement);
             cameraController.setZoomLimits(80, 500);
-            cameraController.setTargetObjects(sunInstance, earthInstance);
+            cameraController.setTargetObjects(sunInstance, earthInstance, moonInstance);
+            cameraController.setPlanetsList(planets);
 
             // Store camera controller globally for meteor list access
             window.currentCameraController = cameraController;
@@ -220,8 +278,16 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
             let animationId;
 
             // Start animation
-            const startTimestamp = performance.now();
-            let lastTimestamp = startTimestamp;
+            let lastTimestamp = performance.now();
+
+            // Traces would draw a straight line across a date jump, so start them over
+            const unsubscribeClock = simulationClock.subscribe(({ type }) => {
+                if (type !== 'jump') return;
+                earthInstance.clearTrace();
+                planets.forEach((planet) => planet.clearTrace());
+                moonInstance.clearTrace();
+                meteorsListRef.current.forEach((meteor) => meteor.clearTrace());
+            });
 
             if (loadMeteors) {
                 // Load Near-Earth.json using fetch
@@ -229,17 +295,14 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                     .then(response => response.json())
                     .then(data => {
                         console.log('Loaded Near-Earth.json data:', data.length, 'asteroids');
-                        const AsteroidOrbits = parseOrbitFile(data);
-                        setAsteroidOrbits(AsteroidOrbits);
-                        let initialPos = new THREE.Vector3(0, 0, 0);
-                        AsteroidOrbits.forEach((orbitparams) => {
-                            const meteor = new Meteor(scene, 0.2, 32, initialPos,preloadedAssets, preprocessedObjects);
-                            meteorsListRef.current.push(meteor);
-                        })
-                        meteorsListRef.current.forEach((meteor, index) => {
-                            meteor.startOrbit(AsteroidOrbits[index]);
-                        })
-
+                        // Meteors are created progressively by the effect below once the orbits are set
+                        if (catalogFromFileRef.current) return; // a file dropped while loading wins
+                        const { orbits, report } = parseOrbitFile(data);
+                        if (report.rejected.length > 0) {
+                            console.warn(`${report.rejected.length} catalog records rejected, see the catalog check panel`);
+                        }
+                        setAsteroidOrbits(orbits);
+                        setCatalogReport(report);
                     })
                     .catch(err => {
                         console.error('Failed to load Near-Earth.json:', err);
@@ -256,14 +319,21 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                 // stats.begin();
                 const deltaTime = (currentTimestamp - lastTimestamp) / 1000;
                 lastTimestamp = currentTimestamp;
-                const absoluteTime = (currentTimestamp - startTimestamp) / 1000;
+                simulationClock.tick(deltaTime);
+                const simulationTime = simulationClock.getTime(); // days since J2000
 
                 cameraController.update();
 
-                earthInstance.updateOrbit(absoluteTime);
-                earthInstance.rotate(0.5 * deltaTime);
+                earthInstance.updateOrbit(simulationTime);
+                earthInstance.rotate(0.5 * deltaTime * simulationClock.getDirection());
                 earthInstance.updateMatrixWorld();
 
+                moonInstance.updateOrbit(simulationTime);
+                planets.forEach((planet) => {
+                    planet.updateOrbit(simulationTime);
+                    planet.rotate(0.5 * deltaTime * simulationClock.getDirection());
+                });
+
                 const sunDirection = sunInstance.getPosition().clone().sub(earthInstance.getPosition()).normalize();
                 earthInstance.updateSunDirection(sunDirection);
 
@@ -272,10 +342,12 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                 // Update all meteors from asteroid data (only if meteors are enabled)
                 if (loadMeteors) {
                     meteorsListRef.current.forEach((meteor) => {
-                        meteor.updateOrbit(absoluteTime);
+                        meteor.updateOrbit(simulationTime);
                         meteor.rotate(0.01);
                     });
                 }
+                transferRef.current?.update(simulationTime);
+                cloneCloudRef.current?.update(simulationTime);
 
 
                 renderer.render(scene, camera);
@@ -296,10 +368,24 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
             // Store cleanup function
             window.threeCleanup = () => {
                 if (animationId) cancelAnimationFrame(animationId);
+                unsubscribeClock();
                 cameraController.disableControls(renderer.domElement);
                 window.removeEventListener('resize', handleResize);
                 if (sunInstance) sunInstance.dispose();
                 if (earthInstance) earthInstance.dispose();
+                planets.forEach((planet) => planet.dispose());
+                planetsRef.current = [];
+                moonInstance.dispose();
+                moonRef.current = null;
+                transferRef.current?.dispose();
+                transferRef.current = null;
+                deflectionPathsRef.current.forEach((path) => path.dispose());
+                deflectionPathsRef.current = [];
+                cloneCloudRef.current?.dispose();
+                cloneCloudRef.current = null;
+                meteorStreamRef.current?.dispose();
+                meteorStreamRef.current = null;
+                clearTimeout(meteorBatchTimeoutRef.current);
                 renderer.dispose();
                 // Remove stats panel from container
                 // if (statsContainerRef.current && stats.dom.parentNode === statsContainerRef.current) {
@@ -351,6 +437,177 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
         }
     }, [loadMeteors, asteroidOrbits, sceneReady, currentScene, sunInstance, currentCamera]);
 
+    // Catalog objects and meteors of the selected class; the analysis panels and the camera only see these
+    const filteredOrbits = useMemo(
+        () => asteroidOrbits.filter((orbit) => matchesClassFilter(orbit.classification, classFilter)),
+        [asteroidOrbits, classFilter]
+    );
+    const filteredMeteors = useMemo(
+        () => meteorsList.filter((meteor) => matchesClassFilter(meteor.classification, classFilter)),
+        [meteorsList, classFilter]
+    );
+
+    // Catalog objects drawn in the scene (at most MAX_METEORS); the panels only offer Go for these
+    const drawnNames = useMemo(() => new Set(meteorsList.map((meteor) => meteor.name)), [meteorsList]);
+
+    // Hide the meteors left out by the class filter and let the camera cycle through the rest only
+    useEffect(() => {
+        meteorsList.forEach((meteor) => meteor.setVisible(filteredMeteors.includes(meteor)));
+        if (meteorsList.length > 0) window.currentCameraController?.setMeteorsList(filteredMeteors);
+    }, [meteorsList, filteredMeteors]);
+
+    // Track which meteor the camera is locked onto (the controller changes it from keyboard input)
+    useEffect(() => {
+        const interval = setInterval(() => {
+            const status = window.currentCameraController?.getLockStatus();
+            const followsBody = status && (status.mode === 'meteor' || status.mode === 'planet');
+            setLockedObject(followsBody ? status.target : null);
+        }, 250);
+        return () => clearInterval(interval);
+    }, []);
+
+    // Lock the camera onto the catalog meteor with the given name (if it was created)
+    const lockOntoMeteorByName = (name) => {
+        const cameraController = window.currentCameraController;
+        const meteor = meteorsListRef.current.find((m) => m.name === name);
+        if (cameraController && meteor) {
+            cameraController.setCurrentMeteor(meteor);
+            cameraController.lockOntoMeteor(meteor);
+        }
+    };
+
+    // Lock the camera onto a planet
+    const lockOntoPlanet = (planet) => {
+        window.currentCameraController?.lockOntoPlanet(planet);
+    };
+
+    // Move the clock to a close approach and follow the object
+    const handleJumpToApproach = (approach) => {
+        simulationClock.pause();
+        simulationClock.setTime(approach.time);
+        lockOntoMeteorByName(approach.name);
+    };
+
+    // Draw the transfer picked in the porkchop plot (replacing the previous one) and show its departure
+    const handleSelectTransfer = (transfer) => {
+        if (!currentScene) return;
+        transferRef.current?.dispose();
+        transferRef.current = new TransferTrajectory(currentScene, transfer);
+        simulationClock.pause();
+        simulationClock.setTime(transfer.launchTime);
+    };
+
+    const clearDeflectionPaths = () => {
+        deflectionPathsRef.current.forEach((path) => path.dispose());
+        deflectionPathsRef.current = [];
+    };
+
+    // Put a deflected orbit (DeflectionPanel result) on the meteor and draw both paths up to the encounter
+    const handleApplyDeflection = (meteor, result) => {
+        if (!currentScene) return;
+        meteor.restoreOriginalOrbit();
+        const { position, velocity } = result.deflected.stateAt(result.deflectionTime);
+        meteor.setOrbitFromState(position, velocity, result.deflectionTime);
+
+        clearDeflectionPaths();
+        const encounter = result.comparison?.original.time ?? result.deflectionTime + 365.25;
+        const span = { start: Math.max(result.deflectionTime, encounter - 365.25), end: encounter + 30 };
+        deflectionPathsRef.current = [
+            new OrbitPath(currentScene, result.original, { ...span, color: 0xaaaaaa, dashed: true }),
+            new OrbitPath(currentScene, result.deflected, { ...span, color: 0x7cfc00 })
+        ];
+    };
+
+    const handleResetDeflection = (meteor) => {
+        meteor.restoreOriginalOrbit();
+        clearDeflectionPaths();
+    };
+
+    // Draw the clones of an ImpactProbabilityPanel run (replacing the previous cloud); null removes it
+    const handleShowClones = (result, name) => {
+        cloneCloudRef.current?.dispose();
+        cloneCloudRef.current = result && currentScene ? new CloneCloud(currentScene, result.clones) : null;
+        setImpactRun(result ? { name, result } : null);
+    };
+
+    // Meteor shower mode: draw the stream of a predicted shower (replacing the previous one) and watch its
+    // peak from Earth; a null shower removes the stream
+    const handleShowShower = (shower, name) => {
+        meteorStreamRef.current?.dispose();
+        meteorStreamRef.current = null;
+        const orbitParams = asteroidOrbits.find((o) => o.name === name);
+        if (!shower || !orbitParams || !currentScene) return;
+        meteorStreamRef.current = new MeteorStream(currentScene, new Orbit(orbitParams), shower);
+        simulationClock.pause();
+        simulationClock.setTime(shower.time);
+        window.currentCameraController?.lockOntoEarthWithTransition();
+    };
+
+    // Swap the catalog in the running scene: stop creating the old meteors, dispose them and everything
+    // drawn for them, then let the meteor effect build the new ones (which also hands them to the camera)
+    const replaceCatalog = (orbits, report, name) => {
+        clearTimeout(meteorBatchTimeoutRef.current);
+        const cameraController = window.currentCameraController;
+        if (cameraController) {
+            if (cameraController.lockMode === 'meteor') cameraController.lockOntoEarthWithTransition();
+            cameraController.setCurrentMeteor(null);
+            cameraController.setMeteorsList([]);
+        }
+        meteorsListRef.current.forEach((meteor) => meteor.dispose());
+        meteorsListRef.current = [];
+        setMeteorsList([]);
+
+        transferRef.current?.dispose();
+        transferRef.current = null;
+        clearDeflectionPaths();
+        cloneCloudRef.current?.dispose();
+        cloneCloudRef.current = null;
+        meteorStreamRef.current?.dispose();
+        meteorStreamRef.current = null;
+        setImpactRun(null);
+        setClassFilter('all');
+
+        catalogFromFileRef.current = true;
+        setCatalogName(name);
+        setCatalogReport(report);
+        setAsteroidOrbits(orbits);
+        setSidePanel('catalogReport');
+    };
+
+    // Read a dropped or picked catalog file (any format of utils/CatalogImporter.js), validate it and swap it in
+    const handleCatalogFile = async (file) => {
+        if (!file) return;
+        try {
+            const { orbits, report } = loadCatalog(await file.text());
+            setCatalogError(null);
+            replaceCatalog(orbits, report, file.name);
+        } catch (error) {
+            setCatalogError(`${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleDragOver = (event) => {
+        if (!loadMeteors || !event.dataTransfer.types.includes('Files')) return;
+        event.preventDefault();
+        setDragActive(true);
+    };
+
+    // dragleave also fires when moving onto a child element; only leaving the view counts
+    const handleDragLeave = (event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) setDragActive(false);
+    };
+
+    const handleDrop = (event) => {
+        if (!loadMeteors) return;
+        event.preventDefault();
+        setDragActive(false);
+        handleCatalogFile(event.dataTransfer.files[0]);
+    };
+
+    const toggleSidePanel = (panel) => {
+        setSidePanel((current) => (current === panel ? null : panel));
+    };
+
     // Function to handle back navigation
     const handleBackNavigation = () => {
         // Check where we came from
@@ -367,7 +624,12 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
     };
 
     return (
-        <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
+        <div
+            style={{ width: '100vw', height: '100vh', position: 'relative' }}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+        >
             <div style={{
                 position: 'absolute',
                 top: '20px',
@@ -382,6 +644,29 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                 <h2 style={{ margin: '0 0 10px 0', fontSize: '18px' }}>
                     Earth Explorer {!loadMeteors && '(Meteors Disabled)'}
                 </h2>
+                {loadMeteors && (
+                    <p style={{ margin: '0 0 10px 0', fontSize: '12px', opacity: 0.8 }}>
+                        Orbits: {orbitMode === 'catalog' ? 'JPL catalog elements' : 'random (decorative)'}
+                    </p>
+                )}
+                {loadMeteors && (
+                    <div className="ov-clock__row" style={{ margin: '0 0 10px 0', fontSize: '12px' }}>
+                        <span>Catalog: {catalogName}</span>
+                        {orbitMode === 'catalog' && <span>{meteorsList.length} of {asteroidOrbits.length} drawn</span>}
+                        <button className="ov-btn" onClick={() => catalogInputRef.current?.click()}>Load catalog…</button>
+                        <input
+                            ref={catalogInputRef}
+                            type="file"
+                            accept=".json,.csv,.txt,.dat"
+                            style={{ display: 'none' }}
+                            onChange={(e) => {
+                                handleCatalogFile(e.target.files[0]);
+                                e.target.value = ''; // picking the same file again still loads it
+                            }}
+                        />
+                    </div>
+                )}
+                {catalogError && <p className="ov-warning" style={{ margin: '0 0 10px 0', fontSize: '12px', maxWidth: '260px' }}>{catalogError}</p>}
                 <p style={{ margin: '0 0 5px 0', fontSize: '12px' }}>🖱️ Mouse: Rotate camera</p>
                 <p style={{ margin: '0 0 5px 0', fontSize: '12px' }}>🖱️ Scroll: Zoom in/out</p>
                 <p style={{ margin: '0 0 5px 0', fontSize: '12px' }}>⌨️ R: Reset camera</p>
@@ -394,8 +679,71 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                 ) : (
                     <p style={{ margin: '0 0 5px 0', fontSize: '12px', opacity: 0.5 }}>⌨️ A: Lock onto first Asteroid (disabled)</p>
                 )}
+                <p style={{ margin: '0 0 5px 0', fontSize: '12px' }}>⌨️ P: Next planet, J: Jupiter, M: Moon</p>
                 <p style={{ margin: '0 0 5px 0', fontSize: '12px' }}>⌨️ ESC: Unlock camera</p>
                 <p style={{ margin: '0 0 10px 0', fontSize: '12px' }}>⌨️ ↑↓: Zoom</p>
+                <div className="ov-planets">
+                    {moonRef.current && (
+                        <button
+                            className={`ov-btn${lockedObject === moonRef.current ? ' ov-btn--active' : ''}`}
+                            onClick={() => lockOntoPlanet(moonRef.current)}
+                        >Moon</button>
+                    )}
+                    {planetsRef.current.map((planet) => (
+                        <button
+                            key={planet.key}
+                            className={`ov-btn${lockedObject === planet ? ' ov-btn--active' : ''}`}
+                            onClick={() => lockOntoPlanet(planet)}
+                        >{planet.name}</button>
+                    ))}
+                </div>
+                {loadMeteors && orbitMode === 'catalog' && (
+                    <ClassificationFilter meteors={filteredMeteors} filter={classFilter} onChange={setClassFilter} />
+                )}
+                {loadMeteors && (
+                    <div className="ov-planets">
+                        <button
+                            className={`ov-btn${sidePanel === 'closeApproaches' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('closeApproaches')}
+                        >Close approaches</button>
+                        <button
+                            className={`ov-btn${sidePanel === 'porkchop' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('porkchop')}
+                        >Transfer planner</button>
+                        <button
+                            className={`ov-btn${sidePanel === 'deflection' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('deflection')}
+                        >Deflection</button>
+                        <button
+                            className={`ov-btn${sidePanel === 'impactProbability' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('impactProbability')}
+                        >Impact probability</button>
+                        <button
+                            className={`ov-btn${sidePanel === 'hazard' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('hazard')}
+                        >Hazard scales</button>
+                        <button
+                            className={`ov-btn${sidePanel === 'population' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('population')}
+                        >Comet families</button>
+                        <button
+                            className={`ov-btn${sidePanel === 'meteorShowers' ? ' ov-btn--active' : ''}`}
+                            onClick={() => toggleSidePanel('meteorShowers')}
+                        >Meteor showers</button>
+                        {catalogReport && (
+                            <button
+                                className={`ov-btn${sidePanel === 'catalogReport' ? ' ov-btn--active' : ''}`}
+                                onClick={() => toggleSidePanel('catalogReport')}
+                            >Catalog check{catalogReport.rejected.length > 0 && ` (${catalogReport.rejected.length} rejected)`}</button>
+                        )}
+                        {lockedObject?.orbitSource === 'catalog' && (
+                            <button
+                                className={`ov-btn${sidePanel === 'bPlane' ? ' ov-btn--active' : ''}`}
+                                onClick={() => toggleSidePanel('bPlane')}
+                            >B-plane</button>
+                        )}
+                    </div>
+                )}
                 <button 
                     onClick={handleBackNavigation}
                     style={{
@@ -410,6 +758,91 @@ function ThreeDemo({ loadMeteors: propLoadMeteors = true }) {
                     }}
                 >← Back to Home</button>
             </div>
+            <SimulationClockPanel clock={simulationClock} />
+            {lockedObject && <ObjectInfoPanel meteor={lockedObject} clock={simulationClock} />}
+            {sidePanel === 'closeApproaches' && (
+                <CloseApproachPanel
+                    orbits={filteredOrbits}
+                    drawnNames={drawnNames}
+                    onJump={handleJumpToApproach}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'porkchop' && (
+                <PorkchopPanel
+                    orbits={filteredOrbits}
+                    initialTarget={lockedObject?.orbitSource === 'catalog' ? lockedObject.name : null}
+                    clock={simulationClock}
+                    onSelectTransfer={handleSelectTransfer}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'deflection' && (
+                <DeflectionPanel
+                    meteors={filteredMeteors}
+                    initialTarget={lockedObject?.orbitSource === 'catalog' ? lockedObject.name : null}
+                    clock={simulationClock}
+                    onApply={handleApplyDeflection}
+                    onReset={handleResetDeflection}
+                    onJump={(time, name) => handleJumpToApproach({ time, name })}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'impactProbability' && (
+                <ImpactProbabilityPanel
+                    meteors={filteredMeteors}
+                    initialTarget={lockedObject?.orbitSource === 'catalog' ? lockedObject.name : null}
+                    clock={simulationClock}
+                    onShowClones={handleShowClones}
+                    onJump={(time, name) => handleJumpToApproach({ time, name })}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'hazard' && (
+                <HazardScalePanel
+                    meteors={filteredMeteors}
+                    initialTarget={lockedObject?.orbitSource === 'catalog' ? lockedObject.name : null}
+                    impactRun={impactRun}
+                    clock={simulationClock}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'bPlane' && lockedObject?.orbitSource === 'catalog' && (
+                <BPlanePanel
+                    meteor={lockedObject}
+                    clock={simulationClock}
+                    impactRun={impactRun}
+                    onJump={(time, name) => handleJumpToApproach({ time, name })}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'population' && (
+                <PopulationPanel
+                    orbits={filteredOrbits}
+                    drawnNames={drawnNames}
+                    selectedName={lockedObject?.orbitSource === 'catalog' ? lockedObject.name : null}
+                    onSelect={lockOntoMeteorByName}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'meteorShowers' && (
+                <MeteorShowerPanel
+                    orbits={filteredOrbits}
+                    clock={simulationClock}
+                    onShow={handleShowShower}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {sidePanel === 'catalogReport' && catalogReport && (
+                <CatalogReportPanel
+                    report={catalogReport}
+                    fileName={catalogName}
+                    drawnNames={drawnNames}
+                    onSelect={lockOntoMeteorByName}
+                    onClose={() => setSidePanel(null)}
+                />
+            )}
+            {dragActive && <div className="ov-dropzone">Drop a catalog file (NASA or SBDB JSON/CSV, MPCORB, Horizons elements) to load it</div>}
             <div ref={mountRef} style={{ width: '100%', height: '100%' }} />
         </div>
     );
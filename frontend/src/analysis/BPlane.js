@@ -0,0 +1,127 @@
+import { earthEphemeris } from './CloseApproachFinder.js';
+import { captureRadiusKm } from './VirtualImpactors.js';
+import { DAY_SECONDS, GM_EARTH_KM3_S2, GM_SUN_KM3_S2 } from '../physics/Constants.js';
+
+// Target plane (b-plane) of an Earth encounter: the plane through Earth's centre perpendicular to the
+// incoming asymptote. Coordinates follow Valsecchi et al. (2003): η along the geocentric velocity U,
+// ζ opposite to the projection of Earth's heliocentric velocity (early/late arrival), and ξ completing
+// the right-handed set (the orbits' minimum distance).
+
+// Vector helpers on [x, y, z] arrays
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function scale(v, s) {
+    return v.map((x) => x * s);
+}
+
+function normalize(v) {
+    return scale(v, 1 / Math.hypot(v[0], v[1], v[2]));
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+// b-plane of a geocentric state (km, km/s) given Earth's heliocentric velocity (km/s).
+// mu is Earth's GM (km³/s²) when the state feels Earth's gravity (a hyperbola); pass 0 for the unperturbed
+// straight-line flyby of a heliocentric two-body orbit, whose closest-approach vector is B itself.
+// Returns null for a bound (captured) state.
+export function bPlaneFromState(position, velocity, planetVelocity, mu = GM_EARTH_KM3_S2) {
+    const r = Math.hypot(...position);
+    const speedSquared = dot(velocity, velocity);
+    const vInfinitySquared = speedSquared - 2 * mu / r;
+    if (vInfinitySquared <= 0) return null;
+    const vInfinity = Math.sqrt(vInfinitySquared);
+
+    let s; // incoming asymptote direction
+    let bVector;
+    const h = cross(position, velocity);
+    if (mu === 0) {
+        s = normalize(velocity);
+        bVector = position.map((x, k) => x - dot(position, s) * s[k]);
+    } else {
+        const eVector = position.map((x, k) => ((speedSquared - mu / r) * x - dot(position, velocity) * velocity[k]) / mu);
+        const e = Math.hypot(...eVector);
+        const eHat = scale(eVector, 1 / e);
+        const hHat = normalize(h);
+        s = eHat.map((x, k) => x / e + Math.sqrt(1 - 1 / e ** 2) * cross(hHat, eHat)[k]);
+        bVector = scale(cross(s, hHat), Math.hypot(...h) / vInfinity);
+    }
+
+    const along = planetVelocity.map((x, k) => x - dot(planetVelocity, s) * s[k]);
+    const zetaAxis = scale(normalize(along), -1);
+    const xiAxis = cross(s, zetaAxis);
+    const planetSpeed = Math.hypot(...planetVelocity);
+    return {
+        xi: dot(bVector, xiAxis),
+        zeta: dot(bVector, zetaAxis),
+        b: Math.hypot(...bVector),
+        vInfinity,
+        theta: Math.acos(dot(s, planetVelocity) / planetSpeed), // angle between U and Earth's velocity
+        planetSpeed,
+        axes: { xi: xiAxis, eta: s, zeta: zetaAxis }
+    };
+}
+
+// Resonant return circle of Valsecchi et al. (2003) in Öpik units (Earth's distance and speed equal 1):
+// encounters crossing the b-plane on it leave with semi-major axis a0, period a0^1.5 years, and come back
+// after k years and h revolutions when a0 = (k / h)^(2/3). massRatio is Earth's mass over the Sun's.
+// Returns { center, radius } on the ζ axis, or null when U cannot reach that orbit.
+export function resonantCircle(u, theta, a0, massRatio) {
+    const cosThetaPrime = (1 - u ** 2 - 1 / a0) / (2 * u);
+    if (Math.abs(cosThetaPrime) > 1) return null;
+    const c = massRatio / u ** 2;
+    const denominator = cosThetaPrime - Math.cos(theta);
+    return {
+        center: c * Math.sin(theta) / denominator,
+        radius: Math.abs(c * Math.sqrt(1 - cosThetaPrime ** 2) / denominator)
+    };
+}
+
+// b-plane of the unperturbed encounter of an Orbit with Earth at time t (its closest approach, e.g. from
+// findCloseApproaches). Distances in km, speeds in km/s.
+export function encounterBPlane(orbit, time, { earthOrbit = earthEphemeris } = {}) {
+    const dt = 1e-4; // days, for Earth's central-difference velocity
+    const toKmS = 1e6 / DAY_SECONDS;
+    const { position, velocity } = orbit.stateAt(time);
+    const earthPosition = earthOrbit.walkInTime(time);
+    const earthVelocity = earthOrbit.walkInTime(time + dt)
+        .map((x, k) => (x - earthOrbit.walkInTime(time - dt)[k]) / (2 * dt) * toKmS);
+    const geocentricPosition = position.map((x, k) => (x - earthPosition[k]) * 1e6);
+    const geocentricVelocity = velocity.map((x, k) => x * toKmS - earthVelocity[k]);
+
+    const plane = bPlaneFromState(geocentricPosition, geocentricVelocity, earthVelocity, 0);
+    return {
+        time,
+        ...plane,
+        captureRadiusKm: captureRadiusKm(plane.vInfinity),
+        earthDistanceKm: Math.hypot(...earthPosition) * 1e6
+    };
+}
+
+// Resonant return circles (keyholes lie along them) for returns within maxYears, in km on the b-plane.
+// The theory takes Earth's orbit as circular at its distance and speed at the encounter.
+export function keyholeCircles(plane, { maxYears = 20 } = {}) {
+    const unitSpeed = Math.sqrt(GM_SUN_KM3_S2 / plane.earthDistanceKm);
+    const u = plane.vInfinity / unitSpeed;
+    const massRatio = GM_EARTH_KM3_S2 / GM_SUN_KM3_S2;
+    const circles = [];
+    for (let k = 1; k <= maxYears; k++) {
+        for (let h = 1; h <= 2 * maxYears; h++) {
+            const a0 = (k / h) ** (2 / 3);
+            // 6 years and 4 revolutions is the second 3:2 return, on the same circle
+            if (gcd(k, h) !== 1 || a0 < 0.3 || a0 > 5) continue;
+            const circle = resonantCircle(u, plane.theta, a0, massRatio);
+            if (circle) {
+                circles.push({ years: k, revolutions: h, center: circle.center * plane.earthDistanceKm, radius: circle.radius * plane.earthDistanceKm });
+            }
+        }
+    }
+    return circles;
+}
@@ -0,0 +1,73 @@
+import { findCloseApproaches } from './CloseApproachFinder';
+import { impactorAt } from './__fixtures__/impactors';
+import { bPlaneFromState, encounterBPlane, keyholeCircles, resonantCircle } from './BPlane';
+import { GM_EARTH_KM3_S2 } from '../physics/Constants';
+
+describe('bPlaneFromState', () => {
+    const planetVelocity = [0, 29.8, 0];
+
+    test('a straight-line flyby crosses the b-plane at its closest-approach vector', () => {
+        const plane = bPlaneFromState([0, 0, 20000], [10, 5, 0], planetVelocity, 0);
+        expect(plane.b).toBeCloseTo(20000, 6);
+        expect(Math.hypot(plane.xi, plane.zeta)).toBeCloseTo(20000, 6);
+        expect(plane.vInfinity).toBeCloseTo(Math.hypot(10, 5), 12);
+    });
+
+    test('a hyperbolic state gives the impact parameter of its asymptote', () => {
+        const perigee = 10000;
+        const vInfinity = 8;
+        const perigeeSpeed = Math.sqrt(vInfinity ** 2 + 2 * GM_EARTH_KM3_S2 / perigee);
+        const plane = bPlaneFromState([perigee, 0, 0], [0, 0, perigeeSpeed], planetVelocity);
+        expect(plane.vInfinity).toBeCloseTo(vInfinity, 9);
+        // Gravitational focusing: b = q sqrt(1 + 2μ / (q v∞²))
+        expect(plane.b).toBeCloseTo(perigee * Math.sqrt(1 + 2 * GM_EARTH_KM3_S2 / (perigee * vInfinity ** 2)), 3);
+        // The incoming asymptote makes cos ν = 1/e with the perigee direction
+        const e = 1 + perigee * vInfinity ** 2 / GM_EARTH_KM3_S2;
+        expect(plane.axes.eta[0]).toBeCloseTo(1 / e, 12);
+        expect(plane.axes.eta[2]).toBeGreaterThan(0);
+    });
+
+    test('is null for a captured state', () => {
+        expect(bPlaneFromState([10000, 0, 0], [0, 1, 0], planetVelocity)).toBeNull();
+    });
+});
+
+describe('resonantCircle', () => {
+    // Öpik units: Earth moves at unit speed along +y at unit distance, and GM_sun = 1
+    test('crossing the circle leaves the object on the resonant orbit', () => {
+        const u = 0.4;
+        const theta = 1.2;
+        const massRatio = 3.0e-6;
+        const a0 = (3 / 2) ** (2 / 3); // back after 3 years and 2 revolutions
+        const { center, radius } = resonantCircle(u, theta, a0, massRatio);
+
+        const s = [0, Math.cos(theta), Math.sin(theta)];
+        const zetaAxis = [0, -Math.sin(theta), Math.cos(theta)];
+        const xiAxis = [1, 0, 0];
+        [[0, center + radius], [0, center - radius], [radius, center]].forEach(([xi, zeta]) => {
+            const bVector = xiAxis.map((x, k) => xi * x + zeta * zetaAxis[k]);
+            const b = Math.hypot(...bVector);
+            const gamma = 2 * Math.atan(massRatio / u ** 2 / b); // deflection towards Earth
+            const uAfter = s.map((x, k) => u * (Math.cos(gamma) * x - Math.sin(gamma) * bVector[k] / b));
+            const vAfter = [uAfter[0], 1 + uAfter[1], uAfter[2]];
+            const aAfter = 1 / (2 - (vAfter[0] ** 2 + vAfter[1] ** 2 + vAfter[2] ** 2));
+            expect(aAfter / a0).toBeCloseTo(1, 9);
+        });
+    });
+});
+
+describe('encounterBPlane', () => {
+    test('maps a catalog-style encounter with its capture radius and keyhole circles', () => {
+        const t0 = 9000.25;
+        const orbit = impactorAt(t0, { eccentricity: 0.3, inclination: 0.05, perihelionScale: 0.9999 });
+        const approach = findCloseApproaches(orbit, { start: t0 - 30, end: t0 + 30 })[0];
+        const plane = encounterBPlane(orbit, approach.time);
+        expect(plane.b).toBeCloseTo(approach.distanceKm, -1);
+        expect(plane.vInfinity).toBeCloseTo(approach.relativeSpeedKmS, 2);
+        expect(plane.captureRadiusKm).toBeGreaterThan(6371);
+
+        const circles = keyholeCircles(plane, { maxYears: 10 });
+        expect(circles.length).toBeGreaterThan(0);
+        circles.forEach((circle) => expect(circle.radius).toBeGreaterThan(0));
+    });
+});
@@ -0,0 +1,130 @@
+import { Orbit } from '../render/Orbit.js';
+import { computeEarthMoid } from './Moid.js';
+import { PLANET_ELEMENTS } from '../physics/PlanetaryElements.js';
+import { AU_MKM } from '../physics/Constants.js';
+
+// Dynamical classification of a catalog object from its orbit parameters (orbitParamsFromRecord):
+// the NEO group, the comet family by the Tisserand parameter with respect to Jupiter (Levison 1996)
+// and the potentially hazardous status from the Earth MOID and the size.
+
+export const JUPITER_SEMI_MAJOR_AXIS_AU = PLANET_ELEMENTS.jupiter.elements.a;
+
+const NEO_PERIHELION_AU = 1.3;
+const EARTH_PERIHELION_AU = 0.983;
+const EARTH_APHELION_AU = 1.017;
+const HALLEY_TYPE_MAX_PERIOD_YEARS = 200;
+
+// Potentially hazardous: MOID within 0.05 AU and H of 22 or brighter (about 140 m at albedo 0.14)
+const PHA_MOID_AU = 0.05;
+const PHA_MAX_ABSOLUTE_MAGNITUDE = 22;
+const PHA_MIN_DIAMETER_KM = 0.14;
+
+export const NEO_GROUPS = {
+    Atira: 'Atira (inside Earth\'s orbit)',
+    Aten: 'Aten (Earth-crossing, a < 1 AU)',
+    Apollo: 'Apollo (Earth-crossing, a > 1 AU)',
+    Amor: 'Amor (Earth-approaching)'
+};
+
+export const COMET_FAMILIES = {
+    JFC: 'Jupiter-family comet',
+    ETC: 'Encke-type comet',
+    CTC: 'Chiron-type comet',
+    HTC: 'Halley-type comet',
+    LPC: 'Long-period comet'
+};
+
+// Comet designations: 1P/Halley, C/2020 F3, 3D/Biela, P/2004 R1 (McNaught), ...
+const COMET_DESIGNATION = /^\d*[PCDX]\//;
+
+// Tisserand parameter with respect to a planet (Jupiter by default) for a perihelion distance in AU.
+// Written with q instead of a so that it also holds for parabolic and hyperbolic orbits.
+export function tisserandParameter(perihelionAu, eccentricity, inclination, planetAu = JUPITER_SEMI_MAJOR_AXIS_AU) {
+    return planetAu * (1 - eccentricity) / perihelionAu
+        + 2 * Math.cos(inclination) * Math.sqrt(perihelionAu * (1 + eccentricity) / planetAu);
+}
+
+// Atira, Aten, Apollo or Amor; null for objects that are not near-Earth or on open orbits
+export function neoGroup(perihelionAu, eccentricity) {
+    if (eccentricity >= 1 || perihelionAu >= NEO_PERIHELION_AU) return null;
+    const a = perihelionAu / (1 - eccentricity);
+    if (a < 1) return a * (1 + eccentricity) < EARTH_PERIHELION_AU ? 'Atira' : 'Aten';
+    return perihelionAu <= EARTH_APHELION_AU ? 'Apollo' : 'Amor';
+}
+
+// Comet family from the Tisserand parameter: T_J < 2 is nearly isotropic (Halley-type below a 200-year
+// period, long-period above), 2-3 is the Jupiter family, above 3 the orbit is decoupled from Jupiter
+// (Encke-type inside its orbit, Chiron-type outside)
+export function cometFamily(perihelionAu, eccentricity, tisserand) {
+    const a = perihelionAu / (1 - eccentricity);
+    if (tisserand < 2) {
+        return eccentricity < 1 && a ** 1.5 < HALLEY_TYPE_MAX_PERIOD_YEARS ? 'HTC' : 'LPC';
+    }
+    if (tisserand <= 3) return 'JFC';
+    return eccentricity < 1 && a < JUPITER_SEMI_MAJOR_AXIS_AU ? 'ETC' : 'CTC';
+}
+
+// true/false from the MOID (AU), the absolute magnitude H and the diameter (km) when known.
+// null when the MOID qualifies but the catalog gives no size to decide on.
+export function isPotentiallyHazardous(moidAu, absoluteMagnitude, diameterKm) {
+    if (moidAu > PHA_MOID_AU) return false;
+    if (absoluteMagnitude !== null) return absoluteMagnitude <= PHA_MAX_ABSOLUTE_MAGNITUDE;
+    if (diameterKm !== null) return diameterKm >= PHA_MIN_DIAMETER_KM;
+    return null;
+}
+
+// Lower bound on the Earth MOID (AU) from the heliocentric distance ranges alone: the gap between
+// [q, Q] and Earth's [perihelion, aphelion]
+export function earthMoidLowerBound(perihelionAu, eccentricity) {
+    const aphelionAu = eccentricity < 1 ? perihelionAu * (1 + eccentricity) / (1 - eccentricity) : Infinity;
+    return Math.max(perihelionAu - EARTH_APHELION_AU, EARTH_PERIHELION_AU - aphelionAu, 0);
+}
+
+// Classification of orbit parameters from the catalog parser. kind ('comet' or 'asteroid') comes from
+// the catalog when it has one; otherwise comets are recognised by their designation. The catalog MOID is
+// used when present, our own Earth MOID otherwise. Computing it takes a few milliseconds, so moidAu is
+// only computed on first read, and pha reads it only when the size and the distance bound cannot decide.
+export function classifyOrbit(params) {
+    const perihelionAu = params.perihelionDistance / AU_MKM;
+    const isComet = params.kind ? params.kind === 'comet' : COMET_DESIGNATION.test(params.name ?? '');
+    const tisserand = tisserandParameter(perihelionAu, params.eccentricity, params.inclination);
+    const absoluteMagnitude = params.absoluteMagnitude ?? null;
+    const diameterKm = params.diameterKm ?? null;
+    let moidAu = params.catalogMoidAu ?? undefined;
+    let pha;
+    return {
+        type: isComet ? 'comet' : 'asteroid',
+        neoGroup: neoGroup(perihelionAu, params.eccentricity),
+        cometFamily: isComet ? cometFamily(perihelionAu, params.eccentricity, tisserand) : null,
+        tisserand,
+        get moidAu() {
+            if (moidAu === undefined) moidAu = computeEarthMoid(new Orbit(params)).distanceAu;
+            return moidAu;
+        },
+        get pha() {
+            if (pha === undefined) {
+                const bound = moidAu ?? earthMoidLowerBound(perihelionAu, params.eccentricity);
+                pha = isPotentiallyHazardous(bound, absoluteMagnitude, diameterKm) === false
+                    ? false
+                    : isPotentiallyHazardous(this.moidAu, absoluteMagnitude, diameterKm);
+            }
+            return pha;
+        }
+    };
+}
+
+// Filters offered for the classification: all objects, the potentially hazardous ones (an unknown size
+// counts, the MOID alone flags them), a NEO group or a comet family
+export const CLASSIFICATION_FILTERS = {
+    all: 'All objects',
+    pha: 'Potentially hazardous',
+    ...NEO_GROUPS,
+    ...COMET_FAMILIES
+};
+
+export function matchesClassFilter(classification, filter) {
+    if (filter === 'all') return true;
+    if (!classification) return false;
+    if (filter === 'pha') return classification.pha !== false;
+    return classification.neoGroup === filter || classification.cometFamily === filter;
+}
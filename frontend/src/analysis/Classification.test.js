@@ -0,0 +1,97 @@
+import {
+    classifyOrbit,
+    cometFamily,
+    earthMoidLowerBound,
+    isPotentiallyHazardous,
+    JUPITER_SEMI_MAJOR_AXIS_AU,
+    matchesClassFilter,
+    neoGroup,
+    tisserandParameter
+} from './Classification';
+import { createOrbitFromJPLData } from '../utils/NasaJsonParser';
+import catalog from '../Near-Earth.json';
+import { AU_MKM } from '../physics/Constants';
+
+function classificationOf(name) {
+    return createOrbitFromJPLData(catalog.find((record) => record.object_name === name)).classification;
+}
+
+describe('Tisserand parameter', () => {
+    test('is 3 for Jupiter\'s own circular orbit', () => {
+        expect(tisserandParameter(JUPITER_SEMI_MAJOR_AXIS_AU, 0, 0)).toBeCloseTo(3, 12);
+    });
+
+    test('matches the published values of 2P/Encke and 1P/Halley', () => {
+        expect(classificationOf('2P/Encke').tisserand).toBeCloseTo(3.03, 2);
+        expect(classificationOf('1P/Halley').tisserand).toBeCloseTo(-0.605, 2);
+    });
+});
+
+describe('NEO groups', () => {
+    test('splits by a, q and Q against Earth\'s perihelion and aphelion', () => {
+        expect(neoGroup(0.5, 0.2)).toBe('Atira');
+        expect(neoGroup(0.7, 0.2)).toBe('Aten');
+        expect(neoGroup(0.9, 0.3)).toBe('Apollo');
+        expect(neoGroup(1.1, 0.3)).toBe('Amor');
+        expect(neoGroup(1.5, 0.1)).toBeNull();
+        expect(neoGroup(0.5, 1.2)).toBeNull();
+    });
+});
+
+describe('comet families', () => {
+    test('classifies catalog comets by T_J', () => {
+        expect(classificationOf('1P/Halley')).toMatchObject({ type: 'comet', cometFamily: 'HTC', neoGroup: 'Apollo' });
+        expect(classificationOf('2P/Encke')).toMatchObject({ cometFamily: 'ETC', neoGroup: 'Apollo' });
+        expect(classificationOf('67P/Churyumov-Gerasimenko')).toMatchObject({ cometFamily: 'JFC', neoGroup: 'Amor' });
+        expect(classificationOf('109P/Swift-Tuttle').cometFamily).toBe('HTC');
+    });
+
+    test('puts open and very long period orbits among the long-period comets', () => {
+        expect(cometFamily(1, 1.001, 0.5)).toBe('LPC');
+        expect(cometFamily(1, 0.995, 0.5)).toBe('LPC'); // a = 200 AU, P ≈ 2800 yr
+    });
+});
+
+describe('potentially hazardous status', () => {
+    test('needs a MOID within 0.05 AU and H ≤ 22 or a 140 m diameter', () => {
+        expect(isPotentiallyHazardous(0.01, 21, null)).toBe(true);
+        expect(isPotentiallyHazardous(0.01, 23, null)).toBe(false);
+        expect(isPotentiallyHazardous(0.01, null, 0.3)).toBe(true);
+        expect(isPotentiallyHazardous(0.1, 15, null)).toBe(false);
+        expect(isPotentiallyHazardous(0.01, null, null)).toBeNull();
+    });
+
+    test('classifies an asteroid record with H and no catalog MOID', () => {
+        // 99942 Apophis before its 2029 encounter; the MOID is computed (about 0.0002 AU)
+        const params = createOrbitFromJPLData({
+            object_name: '99942 Apophis', kind: 'an', H: '19.09', e: '0.19148', q_au_1: '0.74602', i_deg: '3.3362',
+            w_deg: '126.6', node_deg: '204.04', tp_tdb: '2459956.6', epoch_tdb: '60000'
+        });
+        expect(params.classification).toMatchObject({ type: 'asteroid', neoGroup: 'Aten', cometFamily: null, pha: true });
+        expect(params.classification.moidAu).toBeLessThan(0.01);
+        expect(classifyOrbit({ ...params, absoluteMagnitude: 23 }).pha).toBe(false);
+    });
+
+    test('rules out distant or small objects without computing the MOID', () => {
+        // A main-belt orbit and a small Apollo; the distance bound never exceeds the computed MOID
+        const mainBelt = { perihelionDistance: 2.2 * AU_MKM, eccentricity: 0.15, inclination: 0.1, raan: 1, omega: 2, absoluteMagnitude: 12 };
+        const smallApollo = { perihelionDistance: 0.9 * AU_MKM, eccentricity: 0.4, inclination: 0.05, raan: 3, omega: 1, absoluteMagnitude: 25 };
+        expect(earthMoidLowerBound(2.2, 0.15)).toBeCloseTo(2.2 - 1.017, 12);
+        expect(earthMoidLowerBound(0.9, 0.4)).toBe(0);
+        [mainBelt, smallApollo].forEach((params) => {
+            const classification = classifyOrbit(params);
+            expect(classification.pha).toBe(false);
+            expect(earthMoidLowerBound(params.perihelionDistance / AU_MKM, params.eccentricity)).toBeLessThanOrEqual(classification.moidAu);
+        });
+    });
+
+    test('filters on class and hazard, counting unknown sizes as hazardous', () => {
+        const swiftTuttle = classificationOf('109P/Swift-Tuttle');
+        expect(swiftTuttle.pha).toBeNull();
+        expect(matchesClassFilter(swiftTuttle, 'pha')).toBe(true);
+        expect(matchesClassFilter(swiftTuttle, 'HTC')).toBe(true);
+        expect(matchesClassFilter(swiftTuttle, 'JFC')).toBe(false);
+        expect(matchesClassFilter(classificationOf('1P/Halley'), 'pha')).toBe(false);
+        expect(matchesClassFilter(null, 'all')).toBe(true);
+    });
+});
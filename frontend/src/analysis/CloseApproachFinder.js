@@ -0,0 +1,127 @@
+import { Orbit } from '../render/Orbit.js';
+import { Earth } from '../render/Earth.js';
+import { AU_MKM, DAY_SECONDS, LUNAR_DISTANCE_KM } from '../physics/Constants.js';
+import { daysSinceJ2000ToJulianDate, tdbDaysToDate } from '../physics/Time.js';
+import { earthMoonPositionsAt } from '../physics/PlanetaryElements.js';
+
+// Upper bound on the Earth-object relative speed (~170 km/s) in millions of km per day.
+// While an object is farther than the search radius it cannot get inside it sooner than
+// (distance - radius) / MAX_RELATIVE_SPEED, so the scan can safely skip ahead that far.
+const MAX_RELATIVE_SPEED = 0.1 * AU_MKM;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+let defaultEarthOrbit = null;
+
+// Earth's own position (barycenter orbit plus its monthly wobble) with the Orbit.walkInTime contract.
+// Close approaches are measured from it, so distances in lunar distances are geocentric.
+export const earthEphemeris = {
+    walkInTime: (t) => earthMoonPositionsAt(t).earth
+};
+
+// Heliocentric orbit of the Earth-Moon barycenter, created on first use
+export function getEarthOrbit() {
+    if (!defaultEarthOrbit) {
+        defaultEarthOrbit = new Orbit(Earth.getOrbitParameters());
+    }
+    return defaultEarthOrbit;
+}
+
+// Vector helpers on [x, y, z] arrays
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function length(v) {
+    return Math.hypot(v[0], v[1], v[2]);
+}
+
+// Geocentric position of the object at time t (ecliptic, millions of km)
+function relativePosition(objectOrbit, earthOrbit, t) {
+    return subtract(objectOrbit.walkInTime(t), earthOrbit.walkInTime(t));
+}
+
+// Golden-section search for the minimum distance inside [a, b]
+function refineMinimum(distanceAt, a, b, tolerance = 1e-6) {
+    let c = b - GOLDEN_RATIO * (b - a);
+    let d = a + GOLDEN_RATIO * (b - a);
+    let fc = distanceAt(c);
+    let fd = distanceAt(d);
+    while (b - a > tolerance) {
+        if (fc < fd) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b - GOLDEN_RATIO * (b - a);
+            fc = distanceAt(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a + GOLDEN_RATIO * (b - a);
+            fd = distanceAt(d);
+        }
+    }
+    return (a + b) / 2;
+}
+
+// Build the reported record for a close approach at time t
+function describeApproach(objectOrbit, earthOrbit, t) {
+    const dt = 1e-4; // days, for the central-difference relative velocity
+    const position = relativePosition(objectOrbit, earthOrbit, t);
+    const velocity = subtract(
+        relativePosition(objectOrbit, earthOrbit, t + dt),
+        relativePosition(objectOrbit, earthOrbit, t - dt)
+    ).map((component) => component / (2 * dt));
+    const distanceKm = length(position) * 1e6;
+
+    return {
+        time: t, // TDB days since J2000
+        julianDate: daysSinceJ2000ToJulianDate(t),
+        date: tdbDaysToDate(t),
+        distanceAu: distanceKm / (AU_MKM * 1e6),
+        distanceKm,
+        distanceLd: distanceKm / LUNAR_DISTANCE_KM,
+        relativeSpeedKmS: length(velocity) * 1e6 / DAY_SECONDS
+    };
+}
+
+// Scan [start, end] (TDB days since J2000) for Earth close approaches of one Orbit.
+// Every local minimum of the geocentric distance closer than maxDistanceAu is reported.
+export function findCloseApproaches(objectOrbit, {
+    start,
+    end,
+    step = 1, // days between samples while inside the search radius
+    maxDistanceAu = 0.2,
+    earthOrbit = earthEphemeris // anything with walkInTime(t)
+}) {
+    const maxDistance = maxDistanceAu * AU_MKM;
+    const distanceAt = (t) => length(relativePosition(objectOrbit, earthOrbit, t));
+    const approaches = [];
+
+    let beforePreviousTime = start;
+    let previousTime = start;
+    let previousDistance = distanceAt(start);
+    let falling = false;
+    let t = start;
+
+    while (t < end) {
+        t = Math.min(end, t + Math.max(step, (previousDistance - maxDistance) / MAX_RELATIVE_SPEED));
+        const distance = distanceAt(t);
+
+        // Distance stopped falling: the minimum lies between the sample before the previous one and this one.
+        // A fast flyby can dip inside the radius between samples, so allow one step of slack before refining.
+        if (falling && distance > previousDistance && previousDistance <= maxDistance + MAX_RELATIVE_SPEED * step) {
+            const tMin = refineMinimum(distanceAt, beforePreviousTime, t);
+            if (distanceAt(tMin) <= maxDistance) {
+                approaches.push(describeApproach(objectOrbit, earthOrbit, tMin));
+            }
+        }
+
+        falling = distance < previousDistance;
+        beforePreviousTime = previousTime;
+        previousTime = t;
+        previousDistance = distance;
+    }
+
+    return approaches;
+}
@@ -0,0 +1,24 @@
+import { findCloseApproaches } from './CloseApproachFinder';
+import { impactorAt } from './__fixtures__/impactors';
+
+describe('findCloseApproaches', () => {
+    test('finds an encounter at the right time and distance', () => {
+        const t0 = 9000.25;
+        const approaches = findCloseApproaches(impactorAt(t0), { start: t0 - 400, end: t0 + 400 });
+        const encounter = approaches.find((approach) => Math.abs(approach.time - t0) < 1);
+        expect(encounter).toBeDefined();
+        expect(encounter.time).toBeCloseTo(t0, 4);
+        expect(encounter.distanceKm).toBeLessThan(1000);
+        expect(encounter.distanceLd).toBeCloseTo(encounter.distanceKm / 384400, 9);
+        expect(encounter.relativeSpeedKmS).toBeGreaterThan(5);
+    });
+
+    test('ignores approaches outside the search radius', () => {
+        const t0 = 100;
+        // Same orbit reaching perihelion 30 days late misses Earth by far more than 0.01 AU
+        const late = impactorAt(t0);
+        late.tau += 30;
+        expect(findCloseApproaches(late, { start: t0 - 60, end: t0 + 60, maxDistanceAu: 0.01 })).toHaveLength(0);
+        expect(findCloseApproaches(late, { start: t0 - 60, end: t0 + 60, maxDistanceAu: 1 }).length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,74 @@
+// Impact hazard scales: the Palermo Technical Scale and the Torino Scale.
+// Inputs are the impact probability, the impact energy in megatons of TNT and the time to impact in years.
+
+// Energy bands of the Torino chart (Mt): below 1 Mt an object breaks up high in the atmosphere,
+// up to 100 Mt the damage is local, up to 1e5 Mt regional, above that global.
+const LOCAL_MT = 1;
+const REGIONAL_MT = 1e2;
+const GLOBAL_MT = 1e5;
+const CERTAIN_PROBABILITY = 0.99;
+const THREAT_PROBABILITY = 0.01;
+
+// The Torino scale only rates encounters within the next century
+export const TORINO_HORIZON_YEARS = 100;
+
+// Colour zones and short descriptions of the Torino categories (Binzel 2005 wording, abridged)
+export const TORINO_LEVELS = [
+    { zone: 'No hazard', color: '#ffffff', description: 'Collision chance effectively zero, or an object that would burn up in the atmosphere.' },
+    { zone: 'Normal', color: '#4caf50', description: 'Routine discovery: a pass near Earth with no unusual level of danger.' },
+    { zone: 'Meriting attention', color: '#ffeb3b', description: 'Somewhat close but not highly unusual pass; collision very unlikely.' },
+    { zone: 'Meriting attention', color: '#ffeb3b', description: 'Close encounter with a 1% or greater chance of a collision causing localized destruction.' },
+    { zone: 'Meriting attention', color: '#ffeb3b', description: 'Close encounter with a 1% or greater chance of a collision causing regional devastation.' },
+    { zone: 'Threatening', color: '#ff9800', description: 'Serious, but still uncertain threat of regional devastation.' },
+    { zone: 'Threatening', color: '#ff9800', description: 'Large object posing a serious but still uncertain threat of a global catastrophe.' },
+    { zone: 'Threatening', color: '#ff9800', description: 'Very close encounter by a large object: unprecedented, uncertain threat of a global catastrophe.' },
+    { zone: 'Certain collision', color: '#f44336', description: 'Collision certain, causing localized destruction.' },
+    { zone: 'Certain collision', color: '#f44336', description: 'Collision certain, causing regional devastation.' },
+    { zone: 'Certain collision', color: '#f44336', description: 'Collision certain, causing a global climatic catastrophe.' }
+];
+
+// Annual frequency of impacts at least as energetic as energyMt (Chesley et al. 2002)
+export function backgroundImpactFrequency(energyMt) {
+    return 0.03 * energyMt ** -0.8;
+}
+
+// Palermo Technical Scale: log10 of the impact probability over the background risk of an impact of the
+// same energy in the years until the event. Zero is as likely as the background; negative is less.
+export function palermoScale({ probability, energyMt, yearsToImpact }) {
+    return Math.log10(probability / (backgroundImpactFrequency(energyMt) * yearsToImpact));
+}
+
+// Torino Scale category 0-10, or null beyond TORINO_HORIZON_YEARS. Between 1% and 99% the chart is split
+// by energy band and, within the regional and global bands, at 10%. Below 1% the diagonal boundaries are
+// taken as lines of constant expected energy P·E, placed to reproduce published ratings (99942 Apophis
+// in 2004, 2011 AG5, 2013 TV135).
+export function torinoScale({ probability, energyMt, yearsToImpact }) {
+    if (yearsToImpact > TORINO_HORIZON_YEARS) return null;
+    if (energyMt < LOCAL_MT || probability <= 0) return 0;
+
+    const band = energyMt < REGIONAL_MT ? 0 : energyMt < GLOBAL_MT ? 1 : 2;
+    if (probability >= CERTAIN_PROBABILITY) return 8 + band;
+    if (probability >= THREAT_PROBABILITY) {
+        if (band === 0) return 3;
+        const serious = probability >= 0.1;
+        return band === 1 ? (serious ? 5 : 4) : (serious ? 7 : 6);
+    }
+
+    const expectedEnergy = probability * energyMt;
+    if (expectedEnergy >= 1) return 2;
+    return expectedEnergy >= 1e-3 ? 1 : 0;
+}
+
+// Both scales for one potential impact, with the numbers behind them
+export function rateImpactHazard({ probability, energyMt, yearsToImpact }) {
+    const torino = torinoScale({ probability, energyMt, yearsToImpact });
+    return {
+        probability,
+        energyMt,
+        yearsToImpact,
+        backgroundFrequency: backgroundImpactFrequency(energyMt),
+        palermo: palermoScale({ probability, energyMt, yearsToImpact }),
+        torino,
+        torinoLevel: torino === null ? null : TORINO_LEVELS[torino]
+    };
+}
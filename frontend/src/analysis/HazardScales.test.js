@@ -0,0 +1,41 @@
+import { backgroundImpactFrequency, palermoScale, rateImpactHazard, torinoScale } from './HazardScales';
+
+describe('palermoScale', () => {
+    test('is zero when the event is as likely as the background', () => {
+        const energyMt = 100;
+        const yearsToImpact = 20;
+        const probability = backgroundImpactFrequency(energyMt) * yearsToImpact;
+        expect(palermoScale({ probability, energyMt, yearsToImpact })).toBeCloseTo(0, 12);
+        expect(palermoScale({ probability: probability / 100, energyMt, yearsToImpact })).toBeCloseTo(-2, 12);
+    });
+
+    test('uses the Chesley background frequency', () => {
+        // One impact of 1 Mt or more every ~33 years
+        expect(1 / backgroundImpactFrequency(1)).toBeCloseTo(33.3, 1);
+        expect(backgroundImpactFrequency(1e5) / backgroundImpactFrequency(1)).toBeCloseTo(1e-4, 10);
+    });
+});
+
+describe('torinoScale', () => {
+    test.each([
+        ['99942 Apophis, December 2004 peak', 0.027, 500, 24, 4],
+        ['99942 Apophis, first rating', 0.0033, 500, 24, 2],
+        ['2024 YR4', 0.031, 8, 8, 3],
+        ['2011 AG5', 0.002, 100, 29, 1],
+        ['2013 TV135', 1.6e-5, 2500, 19, 1],
+        ['a small body that burns up', 0.5, 0.2, 1, 0],
+        ['a typical low-probability virtual impactor', 1e-7, 10, 60, 0],
+        ['certain regional impact', 1, 1000, 5, 9],
+        ['certain global impact', 1, 1e6, 5, 10],
+        ['likely global impact', 0.5, 1e6, 5, 7]
+    ])('%s', (name, probability, energyMt, yearsToImpact, expected) => {
+        expect(torinoScale({ probability, energyMt, yearsToImpact })).toBe(expected);
+    });
+
+    test('is not assigned beyond a century', () => {
+        const rating = rateImpactHazard({ probability: 0.02, energyMt: 1000, yearsToImpact: 150 });
+        expect(rating.torino).toBeNull();
+        expect(rating.torinoLevel).toBeNull();
+        expect(Number.isFinite(rating.palermo)).toBe(true);
+    });
+});
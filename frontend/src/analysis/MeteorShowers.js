@@ -0,0 +1,91 @@
+import { computeLocalMoids } from './Moid.js';
+import { earthEphemeris, getEarthOrbit } from './CloseApproachFinder.js';
+import { impactSpeedKmS } from './VirtualImpactors.js';
+import { DAY_SECONDS } from '../physics/Constants.js';
+import { dateToTdbDays, tdbDaysToDate } from '../physics/Time.js';
+
+// Meteor showers from a parent comet's orbit. The meteoroid stream is taken to follow the parent's
+// orbit, so a shower peaks when Earth passes the point of its orbit nearest to the comet's (a local
+// MOID), and the meteoroids arrive with the comet's heliocentric velocity at that point. Angles in
+// degrees, solar longitudes in the J2000 ecliptic (as in the IAU shower lists).
+
+const DEG = 180 / Math.PI;
+const OBLIQUITY_J2000 = 23.4392911 / DEG; // radians
+const DEGREES_PER_DAY = 360 / 365.25636; // Earth's mean motion (sidereal year)
+
+function wrapDegrees(angle) {
+    return ((angle % 360) + 360) % 360;
+}
+
+// -180 to 180 degrees
+function wrapDifference(angle) {
+    return wrapDegrees(angle + 180) - 180;
+}
+
+// Geocentric ecliptic longitude of the Sun (degrees) at a time (TDB days since J2000)
+export function solarLongitudeAt(time) {
+    const earth = earthEphemeris.walkInTime(time);
+    return wrapDegrees(Math.atan2(-earth[1], -earth[0]) * DEG);
+}
+
+// Time (TDB days) in the given UTC year at which the Sun reaches the solar longitude
+export function timeOfSolarLongitude(solarLongitude, year) {
+    const start = dateToTdbDays(new Date(Date.UTC(year, 0, 1)));
+    let time = start + wrapDegrees(solarLongitude - solarLongitudeAt(start)) / DEGREES_PER_DAY;
+    for (let iteration = 0; iteration < 5; iteration++) {
+        time += wrapDifference(solarLongitude - solarLongitudeAt(time)) / DEGREES_PER_DAY;
+    }
+    return time;
+}
+
+// Right ascension and declination (degrees) of an ecliptic direction
+function eclipticToEquatorial([x, y, z]) {
+    const yEquatorial = y * Math.cos(OBLIQUITY_J2000) - z * Math.sin(OBLIQUITY_J2000);
+    const zEquatorial = y * Math.sin(OBLIQUITY_J2000) + z * Math.cos(OBLIQUITY_J2000);
+    const length = Math.hypot(x, yEquatorial, zEquatorial);
+    return {
+        rightAscension: wrapDegrees(Math.atan2(yEquatorial, x) * DEG),
+        declination: Math.asin(zEquatorial / length) * DEG
+    };
+}
+
+// Heliocentric ecliptic velocity (km/s) of an orbit at path parameter u (see Orbit.getParameterLimit)
+function velocityAtParameter(orbit, u) {
+    const nu = orbit.trueAnomalyFromAnomaly(u);
+    const speedScale = Math.sqrt(orbit.mu / (orbit.q * (1 + orbit.e))) * 1e6 / DAY_SECONDS;
+    return orbit.toEcliptic([-Math.sin(nu) * speedScale, (orbit.e + Math.cos(nu)) * speedScale, 0]);
+}
+
+// Showers where the orbit passes within maxDistanceAu of Earth's, nearest first. Each has the stream's
+// distance from Earth's orbit, the peak solar longitude and its time and date in the given year, the
+// radiant (RA/Dec), the geocentric speed Vg (before Earth's pull) and the speed at the top of the
+// atmosphere, and the points on both orbits (ecliptic, millions of km).
+export function predictMeteorShowers(orbit, { year = new Date().getUTCFullYear(), maxDistanceAu = 0.2, earthOrbit = getEarthOrbit() } = {}) {
+    const dt = 1e-3; // days, for Earth's central-difference velocity
+    return computeLocalMoids(orbit, earthOrbit)
+        .filter((moid) => moid.distanceAu <= maxDistanceAu)
+        .map((moid) => {
+            const solarLongitude = wrapDegrees(Math.atan2(-moid.pointB[1], -moid.pointB[0]) * DEG);
+            const time = timeOfSolarLongitude(solarLongitude, year);
+            const earthVelocity = earthEphemeris.walkInTime(time + dt)
+                .map((x, k) => (x - earthEphemeris.walkInTime(time - dt)[k]) / (2 * dt) * 1e6 / DAY_SECONDS);
+            const geocentricVelocity = velocityAtParameter(orbit, moid.parameterA).map((v, k) => v - earthVelocity[k]);
+            const geocentricSpeed = Math.hypot(...geocentricVelocity);
+            // Meteors arrive along the geocentric velocity, so they come from the opposite direction
+            const radiantDirection = geocentricVelocity.map((v) => -v / geocentricSpeed);
+            return {
+                distanceAu: moid.distanceAu,
+                solarLongitude,
+                time,
+                date: tdbDaysToDate(time),
+                radiant: eclipticToEquatorial(radiantDirection),
+                radiantDirection, // ecliptic unit vector
+                geocentricSpeedKmS: geocentricSpeed,
+                entrySpeedKmS: impactSpeedKmS(geocentricSpeed),
+                // Inbound (before perihelion) or outbound branch of the parent's orbit
+                inbound: orbit.trueAnomalyFromAnomaly(moid.parameterA) < 0,
+                streamPoint: moid.pointA,
+                earthPoint: moid.pointB
+            };
+        });
+}
@@ -0,0 +1,53 @@
+import { predictMeteorShowers, solarLongitudeAt, timeOfSolarLongitude } from './MeteorShowers';
+import { Orbit } from '../render/Orbit';
+import { createOrbitFromJPLData } from '../utils/NasaJsonParser';
+import { dateToTdbDays } from '../physics/Time';
+import catalog from '../Near-Earth.json';
+
+function parentOrbit(name) {
+    return new Orbit(createOrbitFromJPLData(catalog.find((record) => record.object_name === name)));
+}
+
+// Compare with the IAU Meteor Data Center values (peak λ☉, radiant RA/Dec, Vg). Old streams such as
+// Halley's have drifted a few degrees from the parent's present orbit.
+function expectShower(shower, { solarLongitude, rightAscension, declination, speed }) {
+    expect(Math.abs(shower.solarLongitude - solarLongitude)).toBeLessThan(4);
+    expect(Math.abs(shower.radiant.rightAscension - rightAscension)).toBeLessThan(4);
+    expect(Math.abs(shower.radiant.declination - declination)).toBeLessThan(4);
+    expect(Math.abs(shower.geocentricSpeedKmS - speed)).toBeLessThan(2);
+}
+
+describe('solar longitude', () => {
+    test('is 0 at the March equinox of 2000 and inverts to its time', () => {
+        // J2000 ecliptic: later equinoxes fall short of 0 by the precession (0.35° by 2025)
+        expect(solarLongitudeAt(dateToTdbDays(new Date('2000-03-20T07:35:00Z')))).toBeCloseTo(0, 1);
+        const time = timeOfSolarLongitude(140, 2025);
+        expect(solarLongitudeAt(time)).toBeCloseTo(140, 6);
+        expect(Math.abs(time - dateToTdbDays(new Date('2025-08-12T12:00:00Z')))).toBeLessThan(1);
+    });
+});
+
+describe('meteor showers from parent comets', () => {
+    test('predicts the Perseids from 109P/Swift-Tuttle', () => {
+        const [perseids] = predictMeteorShowers(parentOrbit('109P/Swift-Tuttle'), { year: 2025 });
+        expectShower(perseids, { solarLongitude: 140.0, rightAscension: 48, declination: 58, speed: 59 });
+        expect(perseids.date.toISOString().slice(0, 7)).toBe('2025-08');
+        expect(perseids.entrySpeedKmS).toBeGreaterThan(perseids.geocentricSpeedKmS);
+    });
+
+    test('predicts the Leonids from 55P/Tempel-Tuttle', () => {
+        const [leonids] = predictMeteorShowers(parentOrbit('55P/Tempel-Tuttle'), { year: 2025 });
+        expectShower(leonids, { solarLongitude: 235.3, rightAscension: 152, declination: 22, speed: 71 });
+    });
+
+    test('finds both showers of 1P/Halley, one at each node', () => {
+        const [etaAquariids, orionids] = predictMeteorShowers(parentOrbit('1P/Halley'), { year: 2025 });
+        expectShower(etaAquariids, { solarLongitude: 45.5, rightAscension: 338, declination: -1, speed: 66 });
+        expectShower(orionids, { solarLongitude: 208, rightAscension: 95, declination: 16, speed: 66 });
+        expect(etaAquariids.inbound).not.toBe(orionids.inbound);
+    });
+
+    test('gives no shower when the orbits stay apart', () => {
+        expect(predictMeteorShowers(parentOrbit('67P/Churyumov-Gerasimenko'), { maxDistanceAu: 0.2 })).toEqual([]);
+    });
+});
@@ -0,0 +1,55 @@
+import { findCloseApproaches } from './CloseApproachFinder.js';
+import { simulateLowThrust } from '../physics/LowThrust.js';
+import { DAY_SECONDS, EARTH_RADIUS_KM } from '../physics/Constants.js';
+
+// Days searched on either side of the original encounter for the deflected one (a deflection shifts
+// the arrival by minutes to hours, never by weeks)
+const ENCOUNTER_WINDOW_DAYS = 30;
+
+// Closest approach of an orbit within [start, end], or null if none comes inside maxDistanceAu
+export function closestApproach(orbit, options) {
+    const approaches = findCloseApproaches(orbit, options);
+    return approaches.reduce((best, approach) => (!best || approach.distanceKm < best.distanceKm ? approach : best), null);
+}
+
+// Earth miss distance of the first close approach after start, before and after a deflection.
+// Returns null when the original orbit has no approach inside maxDistanceAu before end.
+export function compareNextCloseApproach(originalOrbit, deflectedOrbit, { start, end, maxDistanceAu = 0.2 }) {
+    const original = findCloseApproaches(originalOrbit, { start, end, maxDistanceAu })[0];
+    if (!original) return null;
+
+    // The deflected encounter is matched in a window around the original one, with a generous radius
+    // so that a large deflection is still found
+    const deflected = closestApproach(deflectedOrbit, {
+        start: Math.max(start, original.time - ENCOUNTER_WINDOW_DAYS),
+        end: original.time + ENCOUNTER_WINDOW_DAYS,
+        maxDistanceAu: Math.max(maxDistanceAu, 1)
+    });
+    if (!deflected) return null;
+
+    const changeKm = deflected.distanceKm - original.distanceKm;
+    return {
+        original,
+        deflected,
+        changeKm,
+        changeEarthRadii: changeKm / EARTH_RADIUS_KM,
+        timeShiftSeconds: (deflected.time - original.time) * DAY_SECONDS
+    };
+}
+
+// Low-thrust push (see physics/LowThrust.js) from start for up to durationDays, cut at the first close
+// approach before end since it cannot go on past it, and that approach before and after the push.
+// The comparison scans from start: cut at the encounter, a scan from the end of the push would begin at
+// the minimum itself and skip it.
+export function lowThrustDeflection(orbit, { acceleration, start, end, durationDays, direction = 1 }) {
+    const encounter = findCloseApproaches(orbit, { start, end })[0] ?? null;
+    const plotEnd = Math.max(start + 1, encounter ? encounter.time : Math.min(end, start + 2 * durationDays));
+    const duration = Math.min(durationDays, plotEnd - start);
+    const simulation = simulateLowThrust(orbit, { acceleration, start, duration, end: plotEnd, direction });
+    return {
+        encounter,
+        simulation,
+        thrustCut: duration < durationDays,
+        comparison: compareNextCloseApproach(orbit, simulation.deflectedOrbit, { start, end })
+    };
+}
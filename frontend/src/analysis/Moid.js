@@ -0,0 +1,166 @@
+import { AU_MKM } from '../physics/Constants.js';
+import { getEarthOrbit } from './CloseApproachFinder.js';
+
+const GRID_SIZE = 120; // samples per orbit for the coarse search
+const MAX_CANDIDATES = 8; // grid minima refined per orbit pair
+const PARAMETER_TOLERANCE = 1e-10;
+const DUPLICATE_TOLERANCE = 1e-6; // squared orbit units between minima that are the same one
+
+// Catalog MOIDs further than this from ours are flagged (absolute AU plus a fraction of the value).
+// Our Earth is a two-body mean orbit, so a few 1e-3 AU of disagreement is expected.
+export const MOID_ABSOLUTE_TOLERANCE_AU = 0.005;
+export const MOID_RELATIVE_TOLERANCE = 0.1;
+
+function squaredDistance(p, q) {
+    const dx = p[0] - q[0];
+    const dy = p[1] - q[1];
+    const dz = p[2] - q[2];
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// Path parameter samples of an orbit; closed orbits wrap, open ones keep both ends
+function sampleOrbit(orbit, gridSize) {
+    const limit = orbit.getParameterLimit();
+    const periodic = orbit.type === 'elliptic';
+    const step = periodic ? (2 * limit) / gridSize : (2 * limit) / (gridSize - 1);
+    const parameters = [];
+    for (let i = 0; i < gridSize; i++) {
+        parameters.push(-limit + i * step);
+    }
+    return {
+        orbit,
+        limit,
+        periodic,
+        step,
+        parameters,
+        positions: parameters.map((u) => orbit.positionAtParameter(u))
+    };
+}
+
+// Neighbour index along one grid axis, or -1 past the end of an open orbit
+function neighbour(index, offset, sample) {
+    const n = sample.parameters.length;
+    const next = index + offset;
+    if (sample.periodic) return (next + n) % n;
+    return next >= 0 && next < n ? next : -1;
+}
+
+// Grid cells that are no farther than any of their eight neighbours
+function findGridMinima(sampleA, sampleB, distances) {
+    const minima = [];
+    const nA = sampleA.parameters.length;
+    const nB = sampleB.parameters.length;
+    for (let i = 0; i < nA; i++) {
+        for (let j = 0; j < nB; j++) {
+            const d = distances[i * nB + j];
+            let isMinimum = true;
+            for (let di = -1; di <= 1 && isMinimum; di++) {
+                const ni = neighbour(i, di, sampleA);
+                if (ni < 0) continue;
+                for (let dj = -1; dj <= 1; dj++) {
+                    const nj = neighbour(j, dj, sampleB);
+                    if (nj < 0 || (di === 0 && dj === 0)) continue;
+                    if (distances[ni * nB + nj] < d) {
+                        isMinimum = false;
+                        break;
+                    }
+                }
+            }
+            if (isMinimum) minima.push({ i, j, d });
+        }
+    }
+    return minima.sort((a, b) => a.d - b.d).slice(0, MAX_CANDIDATES);
+}
+
+// Keep an open orbit's parameter inside its drawn range
+function clampParameter(u, sample) {
+    return sample.periodic ? u : Math.max(-sample.limit, Math.min(sample.limit, u));
+}
+
+// Pattern search (Hooke-Jeeves) from a grid minimum down to the local minimum
+function refineMinimum(sampleA, sampleB, uStart, vStart) {
+    const distanceAt = (u, v) => squaredDistance(sampleA.orbit.positionAtParameter(u), sampleB.orbit.positionAtParameter(v));
+    let u = uStart;
+    let v = vStart;
+    let best = distanceAt(u, v);
+    let hu = sampleA.step;
+    let hv = sampleB.step;
+
+    for (let iteration = 0; iteration < 5000 && (hu > PARAMETER_TOLERANCE || hv > PARAMETER_TOLERANCE); iteration++) {
+        let improved = false;
+        for (const [du, dv] of [[hu, 0], [-hu, 0], [0, hv], [0, -hv]]) {
+            const nu = clampParameter(u + du, sampleA);
+            const nv = clampParameter(v + dv, sampleB);
+            const d = distanceAt(nu, nv);
+            if (d < best) {
+                best = d;
+                u = nu;
+                v = nv;
+                improved = true;
+                break;
+            }
+        }
+        if (!improved) {
+            hu /= 2;
+            hv /= 2;
+        }
+    }
+    return { u, v, d: best };
+}
+
+// Local minima of the distance between two Orbit instances (same length units), nearest first.
+// Each has the distance in orbit units and AU (orbits in scene units, millions of km), the closest
+// points on each orbit (ecliptic) and their path parameters (see Orbit.getParameterLimit).
+// A comet's orbit can pass near Earth's at both of its nodes, e.g. 1P/Halley (Eta Aquariids, Orionids).
+export function computeLocalMoids(orbitA, orbitB, { gridSize = GRID_SIZE } = {}) {
+    const sampleA = sampleOrbit(orbitA, gridSize);
+    const sampleB = sampleOrbit(orbitB, gridSize);
+
+    const distances = new Float64Array(gridSize * gridSize);
+    for (let i = 0; i < gridSize; i++) {
+        for (let j = 0; j < gridSize; j++) {
+            distances[i * gridSize + j] = squaredDistance(sampleA.positions[i], sampleB.positions[j]);
+        }
+    }
+
+    const minima = [];
+    findGridMinima(sampleA, sampleB, distances).forEach(({ i, j }) => {
+        const refined = refineMinimum(sampleA, sampleB, sampleA.parameters[i], sampleB.parameters[j]);
+        const pointA = orbitA.positionAtParameter(refined.u);
+        const pointB = orbitB.positionAtParameter(refined.v);
+        // Neighbouring grid minima often refine to the same pair of points
+        if (minima.some((m) => squaredDistance(m.pointA, pointA) + squaredDistance(m.pointB, pointB) < DUPLICATE_TOLERANCE)) return;
+        const distance = Math.sqrt(refined.d);
+        minima.push({
+            distance,
+            distanceAu: distance / AU_MKM,
+            pointA,
+            pointB,
+            parameterA: refined.u,
+            parameterB: refined.v
+        });
+    });
+    return minima.sort((a, b) => a.distance - b.distance);
+}
+
+// Minimum Orbit Intersection Distance between two Orbit instances: the nearest of computeLocalMoids
+export function computeMoid(orbitA, orbitB, options) {
+    return computeLocalMoids(orbitA, orbitB, options)[0];
+}
+
+// MOID of an orbit with respect to Earth's orbit
+export function computeEarthMoid(orbit, earthOrbit = getEarthOrbit()) {
+    return computeMoid(orbit, earthOrbit);
+}
+
+// Compare our Earth MOID with the catalog's moid_au (catalogMoidAu from parseOrbitFile).
+// A large disagreement points at bad catalog data or a broken element conversion.
+export function checkCatalogMoid(orbit, catalogMoidAu) {
+    const computedAu = computeEarthMoid(orbit).distanceAu;
+    if (catalogMoidAu === null || catalogMoidAu === undefined || isNaN(catalogMoidAu)) {
+        return { computedAu, catalogAu: null, differenceAu: null, flagged: false };
+    }
+    const differenceAu = computedAu - catalogMoidAu;
+    const tolerance = MOID_ABSOLUTE_TOLERANCE_AU + MOID_RELATIVE_TOLERANCE * catalogMoidAu;
+    return { computedAu, catalogAu: catalogMoidAu, differenceAu, flagged: Math.abs(differenceAu) > tolerance };
+}
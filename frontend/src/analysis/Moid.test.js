@@ -0,0 +1,49 @@
+import { Orbit } from '../render/Orbit';
+import { checkCatalogMoid, computeLocalMoids, computeMoid } from './Moid';
+import { parseOrbitFile } from '../utils/NasaJsonParser';
+import catalog from '../Near-Earth.json';
+
+const mu = 1;
+const unitCircle = new Orbit({ eccentricity: 0, perihelionDistance: 1, mu });
+
+describe('computeMoid', () => {
+    test('is zero for orbits that cross', () => {
+        // Perihelion on the ascending node, exactly on the circle
+        const crossing = new Orbit({ eccentricity: 0.5, perihelionDistance: 1, mu, inclination: 0.4, raan: 1.2, omega: 0 });
+        expect(computeMoid(crossing, unitCircle).distance).toBeLessThan(1e-6);
+    });
+
+    test('is the gap between coplanar circles', () => {
+        const outer = new Orbit({ eccentricity: 0, perihelionDistance: 1.5, mu, omega: 2 });
+        const moid = computeMoid(outer, unitCircle);
+        expect(moid.distance).toBeCloseTo(0.5, 9);
+        expect(Math.hypot(...moid.pointA)).toBeCloseTo(1.5, 9);
+        expect(Math.hypot(...moid.pointB)).toBeCloseTo(1, 9);
+    });
+});
+
+describe('computeLocalMoids', () => {
+    test('finds a minimum near each node', () => {
+        // Nodes at perihelion (0.98) and aphelion (1.03): 0.02 inside the circle at one, 0.03 outside at the other
+        const q = 0.98;
+        const e = (1.03 - q) / (1.03 + q);
+        const orbit = new Orbit({ eccentricity: e, perihelionDistance: q, mu, inclination: 1, raan: 0.5, omega: 0 });
+        const minima = computeLocalMoids(orbit, unitCircle);
+        expect(minima.length).toBeGreaterThanOrEqual(2);
+        expect(minima[0].distance).toBeCloseTo(0.02, 3);
+        expect(minima[1].distance).toBeCloseTo(0.03, 3);
+        // On opposite sides of the Sun
+        const [a, b] = [minima[0].pointA, minima[1].pointA];
+        expect(a[0] * b[0] + a[1] * b[1] + a[2] * b[2]).toBeLessThan(0);
+    });
+});
+
+describe('catalog MOID cross-check', () => {
+    test('computed Earth MOIDs agree with moid_au', () => {
+        parseOrbitFile(catalog).orbits.forEach((params) => {
+            const check = checkCatalogMoid(new Orbit(params), params.catalogMoidAu);
+            expect(check.flagged).toBe(false);
+            expect(Math.abs(check.differenceAu)).toBeLessThan(0.003);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+import { Orbit } from '../render/Orbit.js';
+import { solveLambert } from '../physics/Lambert.js';
+import { DAY_SECONDS, GM_SUN } from '../physics/Constants.js';
+import { getEarthOrbit } from './CloseApproachFinder.js';
+
+// Mission design for intercepts: Earth departure vs. target arrival grids of Lambert transfers.
+// Speeds are reported in km/s and C3 (twice the departure energy per unit mass) in km^2/s^2.
+
+const MKM_PER_DAY_TO_KM_S = 1e6 / DAY_SECONDS;
+
+function difference(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function length(v) {
+    return Math.hypot(v[0], v[1], v[2]);
+}
+
+// Direct transfer from Earth at launchTime to the target orbit at arrivalTime, or null if Lambert has
+// no solution. vInfinity is the hyperbolic excess speed leaving Earth, arrivalSpeed the speed relative
+// to the target on arrival (the Δv to match it, or the impact speed of an impactor).
+export function computeTransfer(targetOrbit, launchTime, arrivalTime, { earthOrbit = getEarthOrbit() } = {}) {
+    const r1 = earthOrbit.walkInTime(launchTime);
+    const r2 = targetOrbit.walkInTime(arrivalTime);
+    const solution = solveLambert(r1, r2, arrivalTime - launchTime, GM_SUN);
+    if (!solution) return null;
+
+    const vInfinity = length(difference(solution.v1, earthOrbit.velocityAt(launchTime))) * MKM_PER_DAY_TO_KM_S;
+    const arrivalSpeed = length(difference(solution.v2, targetOrbit.velocityAt(arrivalTime))) * MKM_PER_DAY_TO_KM_S;
+    return {
+        launchTime,
+        arrivalTime,
+        departurePosition: r1,
+        departureVelocity: solution.v1,
+        arrivalPosition: r2,
+        arrivalVelocity: solution.v2,
+        vInfinity,
+        c3: vInfinity * vInfinity,
+        arrivalSpeed,
+        totalSpeed: vInfinity + arrivalSpeed
+    };
+}
+
+// Heliocentric orbit a transfer flies on (for drawing and propagation)
+export function transferOrbit(transfer, options = {}) {
+    return Orbit.fromStateVector(transfer.departurePosition, transfer.departureVelocity, transfer.launchTime, GM_SUN, options);
+}
+
+// Evenly spaced samples from start to end (inclusive)
+function samples(start, end, count) {
+    if (count < 2) return [start];
+    return Array.from({ length: count }, (_, i) => start + (end - start) * i / (count - 1));
+}
+
+// Porkchop grid: rows are launch dates, columns arrival dates. c3 and arrivalSpeed hold NaN where
+// the flight time is outside [minFlightDays, maxFlightDays] or the transfer has no solution.
+// Rows can be filled incrementally with computePorkchopRow to keep the UI responsive.
+export function createPorkchopGrid({ launchStart, launchEnd, arrivalStart, arrivalEnd, launchSteps = 60, arrivalSteps = 60, minFlightDays = 20, maxFlightDays = Infinity }) {
+    return {
+        launchTimes: samples(launchStart, launchEnd, launchSteps),
+        arrivalTimes: samples(arrivalStart, arrivalEnd, arrivalSteps),
+        minFlightDays,
+        maxFlightDays,
+        c3: [],
+        arrivalSpeed: [],
+        best: null // transfer with the lowest vInfinity + arrivalSpeed so far
+    };
+}
+
+// Fill one launch-date row of the grid
+export function computePorkchopRow(grid, targetOrbit, row) {
+    const launchTime = grid.launchTimes[row];
+    grid.c3[row] = [];
+    grid.arrivalSpeed[row] = [];
+    grid.arrivalTimes.forEach((arrivalTime, column) => {
+        const flightDays = arrivalTime - launchTime;
+        const inWindow = flightDays >= grid.minFlightDays && flightDays <= grid.maxFlightDays;
+        const transfer = inWindow ? computeTransfer(targetOrbit, launchTime, arrivalTime) : null;
+        grid.c3[row][column] = transfer ? transfer.c3 : NaN;
+        grid.arrivalSpeed[row][column] = transfer ? transfer.arrivalSpeed : NaN;
+        if (transfer && (!grid.best || transfer.totalSpeed < grid.best.totalSpeed)) {
+            grid.best = transfer;
+        }
+    });
+    return grid;
+}
+
+// Whole porkchop grid in one go (see createPorkchopGrid for the options)
+export function computePorkchop(targetOrbit, options) {
+    const grid = createPorkchopGrid(options);
+    grid.launchTimes.forEach((_, row) => computePorkchopRow(grid, targetOrbit, row));
+    return grid;
+}
+
+// Contour line segments of a grid of values at the given level (marching squares). Points are
+// [row, column] in fractional grid coordinates; cells touching a NaN are skipped.
+export function contourSegments(values, level) {
+    const segments = [];
+    const crossing = (a, b, va, vb) => {
+        const s = (level - va) / (vb - va);
+        return [a[0] + (b[0] - a[0]) * s, a[1] + (b[1] - a[1]) * s];
+    };
+
+    for (let i = 0; i + 1 < values.length; i++) {
+        for (let j = 0; j + 1 < values[i].length; j++) {
+            const corners = [[i, j], [i, j + 1], [i + 1, j + 1], [i + 1, j]];
+            const v = corners.map(([r, c]) => values[r][c]);
+            if (v.some(Number.isNaN)) continue;
+
+            // Points where the level crosses the cell's edges, in order around the cell
+            const points = [];
+            for (let k = 0; k < 4; k++) {
+                const next = (k + 1) % 4;
+                if ((v[k] < level) !== (v[next] < level)) {
+                    points.push(crossing(corners[k], corners[next], v[k], v[next]));
+                }
+            }
+            if (points.length === 2) {
+                segments.push(points);
+            } else if (points.length === 4) {
+                // Saddle: pair the crossings by the value at the centre of the cell
+                const centreAbove = (v[0] + v[1] + v[2] + v[3]) / 4 >= level;
+                const firstAbove = v[0] >= level;
+                if (centreAbove === firstAbove) {
+                    segments.push([points[0], points[1]], [points[2], points[3]]);
+                } else {
+                    segments.push([points[3], points[0]], [points[1], points[2]]);
+                }
+            }
+        }
+    }
+    return segments;
+}
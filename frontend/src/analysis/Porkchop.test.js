@@ -0,0 +1,43 @@
+import { Orbit } from '../render/Orbit';
+import { computePorkchop, contourSegments, transferOrbit } from './Porkchop';
+import { planetOrbitParameters } from '../physics/PlanetaryElements';
+import { dateToTdbDays, tdbDaysToDate } from '../physics/Time';
+
+const utcDays = (year, month, day = 1) => dateToTdbDays(new Date(Date.UTC(year, month - 1, day)));
+
+describe('Porkchop', () => {
+    test('finds the late-2026 Mars launch window', () => {
+        const mars = new Orbit(planetOrbitParameters('mars', utcDays(2026, 11)));
+        const grid = computePorkchop(mars, {
+            launchStart: utcDays(2026, 9), launchEnd: utcDays(2027, 2),
+            arrivalStart: utcDays(2027, 6), arrivalEnd: utcDays(2028, 3),
+            launchSteps: 30, arrivalSteps: 30
+        });
+
+        // Published minimum C3 for the 2026 opportunity is about 9 km²/s², launching in November
+        const launch = tdbDaysToDate(grid.best.launchTime);
+        expect(grid.best.c3).toBeGreaterThan(8);
+        expect(grid.best.c3).toBeLessThan(11);
+        expect(launch.getUTCFullYear()).toBe(2026);
+        expect([10, 11]).toContain(launch.getUTCMonth() + 1);
+
+        // The transfer orbit starts at Earth and reaches Mars on the arrival date
+        const orbit = transferOrbit(grid.best);
+        const miss = orbit.walkInTime(grid.best.arrivalTime).map((x, k) => x - grid.best.arrivalPosition[k]);
+        expect(Math.hypot(...miss)).toBeLessThan(1e-3); // millions of km
+    });
+
+    test('contours cross cell edges where the level lies between corner values', () => {
+        const values = [
+            [0, 1, 2],
+            [1, 2, 3],
+            [NaN, 3, 4]
+        ];
+        // The bottom-left cell touches a NaN and draws nothing
+        expect(contourSegments(values, 1.5)).toEqual([
+            [[0.5, 1], [1, 0.5]],
+            [[0, 1.5], [0.5, 1]]
+        ]);
+        expect(contourSegments(values, 10)).toHaveLength(0);
+    });
+});
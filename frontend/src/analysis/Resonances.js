@@ -0,0 +1,40 @@
+import { JUPITER_SEMI_MAJOR_AXIS_AU } from './Classification.js';
+
+// Mean-motion resonances with Jupiter. A p:q resonance has the object complete p revolutions while Jupiter
+// completes q, so its period is q/p of Jupiter's and its semi-major axis a_J (q/p)^(2/3); the order is |p - q|.
+// 1P/Halley sits near 1:6, 109P/Swift-Tuttle near 1:11 and 2P/Encke near 7:2.
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+// Semi-major axis (AU) of the p:q resonance
+export function resonantSemiMajorAxis(p, q, planetAu = JUPITER_SEMI_MAJOR_AXIS_AU) {
+    return planetAu * (q / p) ** (2 / 3);
+}
+
+// Resonances with p, q ≤ maxInteger and order ≤ maxOrder, nearest first in semi-major axis.
+// Each entry: { p, q, label, order, semiMajorAxisAu, offsetAu (object minus resonance), offset (relative) }.
+// Empty for open orbits, which have no mean motion.
+export function nearestResonances(semiMajorAxisAu, { maxInteger = 12, maxOrder = 10, count = 3 } = {}) {
+    if (!(semiMajorAxisAu > 0) || !Number.isFinite(semiMajorAxisAu)) return [];
+    const resonances = [];
+    for (let p = 1; p <= maxInteger; p++) {
+        for (let q = 1; q <= maxInteger; q++) {
+            if (gcd(p, q) !== 1 || Math.abs(p - q) > maxOrder) continue;
+            const resonantAu = resonantSemiMajorAxis(p, q);
+            resonances.push({
+                p,
+                q,
+                label: `${p}:${q}`,
+                order: Math.abs(p - q),
+                semiMajorAxisAu: resonantAu,
+                offsetAu: semiMajorAxisAu - resonantAu,
+                offset: (semiMajorAxisAu - resonantAu) / resonantAu
+            });
+        }
+    }
+    return resonances
+        .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset))
+        .slice(0, count);
+}
@@ -0,0 +1,31 @@
+import { nearestResonances, resonantSemiMajorAxis } from './Resonances';
+import { JUPITER_SEMI_MAJOR_AXIS_AU } from './Classification';
+import { createOrbitFromJPLData } from '../utils/NasaJsonParser';
+import { AU_MKM } from '../physics/Constants';
+import catalog from '../Near-Earth.json';
+
+function semiMajorAxisAu(name) {
+    const params = createOrbitFromJPLData(catalog.find((record) => record.object_name === name));
+    return params.semiMajorAxis / AU_MKM;
+}
+
+describe('Jupiter mean-motion resonances', () => {
+    test('places the 2:1 resonance at the Kirkwood gap near 3.28 AU', () => {
+        expect(resonantSemiMajorAxis(2, 1)).toBeCloseTo(3.278, 3);
+        expect(resonantSemiMajorAxis(1, 1)).toBe(JUPITER_SEMI_MAJOR_AXIS_AU);
+    });
+
+    test('finds the known resonances of Halley, Swift-Tuttle and Encke', () => {
+        expect(nearestResonances(semiMajorAxisAu('1P/Halley'))[0].label).toBe('1:6');
+        expect(nearestResonances(semiMajorAxisAu('109P/Swift-Tuttle'))[0].label).toBe('1:11');
+        expect(nearestResonances(semiMajorAxisAu('2P/Encke')).map((resonance) => resonance.label)).toContain('7:2');
+    });
+
+    test('reports the offset from the resonance and skips open orbits', () => {
+        const [exact] = nearestResonances(resonantSemiMajorAxis(3, 2));
+        expect(exact).toMatchObject({ label: '3:2', order: 1 });
+        expect(exact.offset).toBeCloseTo(0, 12);
+        expect(nearestResonances(-5)).toEqual([]);
+        expect(nearestResonances(Infinity)).toEqual([]);
+    });
+});
@@ -0,0 +1,108 @@
+import { Orbit } from '../render/Orbit.js';
+import { findCloseApproaches } from './CloseApproachFinder.js';
+import { closestApproach } from './MissDistance.js';
+import { AU_MKM, EARTH_RADIUS_KM, GM_EARTH_KM3_S2 } from '../physics/Constants.js';
+
+// Virtual impactors: Monte Carlo clones of an orbit drawn from its element uncertainties, followed
+// through one Earth encounter. The share of clones that hit is the impact probability.
+// Uncertainties use the orbit parameter units: q in millions of km, angles in radians, tp in days.
+
+const DEG = Math.PI / 180;
+
+// Days searched on either side of the nominal encounter for each clone's encounter
+const ENCOUNTER_WINDOW_DAYS = 60;
+
+// Square of Earth's surface escape speed, (km/s)²
+const ESCAPE_SPEED_SQUARED = 2 * GM_EARTH_KM3_S2 / EARTH_RADIUS_KM;
+
+// Typical 1σ element uncertainties as the observed arc grows
+export const UNCERTAINTY_PRESETS = {
+    discovery: { label: 'Few nights', e: 1e-3, q: 1e-3 * AU_MKM, i: 0.05 * DEG, node: 0.05 * DEG, omega: 0.1 * DEG, tp: 0.5 },
+    weeks: { label: 'Few weeks', e: 3e-5, q: 3e-5 * AU_MKM, i: 2e-3 * DEG, node: 2e-3 * DEG, omega: 4e-3 * DEG, tp: 0.02 },
+    multiOpposition: { label: 'Several oppositions', e: 1e-7, q: 1e-7 * AU_MKM, i: 1e-5 * DEG, node: 1e-5 * DEG, omega: 2e-5 * DEG, tp: 1e-4 }
+};
+
+// Seeded uniform generator in [0, 1) (mulberry32), so that a run can be repeated
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal deviate (Box-Muller)
+function gaussian(random) {
+    const u = 1 - random(); // (0, 1], keeps the logarithm finite
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Clones of an orbit with independent Gaussian errors of the given 1σ sizes on q, e, i, Ω, ω and tp.
+// The catalog gives no covariances, so correlations between the elements are ignored.
+export function sampleClones(orbit, uncertainty, count, random = Math.random) {
+    return Array.from({ length: count }, () => new Orbit({
+        perihelionDistance: Math.abs(orbit.q + uncertainty.q * gaussian(random)),
+        eccentricity: Math.abs(orbit.e + uncertainty.e * gaussian(random)),
+        inclination: orbit.inclination + uncertainty.i * gaussian(random),
+        raan: orbit.raan + uncertainty.node * gaussian(random),
+        omega: orbit.omega + uncertainty.omega * gaussian(random),
+        tau: orbit.tau + uncertainty.tp * gaussian(random),
+        epoch: orbit.epoch,
+        mu: orbit.mu,
+        numPoints: orbit.numPoints
+    }));
+}
+
+// Radius (km) of Earth's capture cross-section for an encounter at the given relative speed (km/s):
+// gravitational focusing widens it to R⊕ sqrt(1 + v_esc² / v∞²)
+export function captureRadiusKm(relativeSpeedKmS) {
+    return EARTH_RADIUS_KM * Math.sqrt(1 + ESCAPE_SPEED_SQUARED / relativeSpeedKmS ** 2);
+}
+
+// Speed (km/s) at which an encounter at the given relative speed would hit the atmosphere
+export function impactSpeedKmS(relativeSpeedKmS) {
+    return Math.sqrt(relativeSpeedKmS ** 2 + ESCAPE_SPEED_SQUARED);
+}
+
+// Impact probability at the first close approach of the orbit after start (within maxDistanceAu).
+// Every clone is followed through the same encounter; its two-body miss distance is the impact parameter,
+// so a clone hits when it passes inside the capture radius. Returns null when there is no encounter.
+export function estimateImpactProbability(orbit, {
+    uncertainty,
+    count = 500,
+    start,
+    end,
+    maxDistanceAu = 0.2,
+    random = createRandom()
+}) {
+    const encounter = findCloseApproaches(orbit, { start, end, maxDistanceAu })[0];
+    if (!encounter) return null;
+
+    const window = {
+        start: Math.max(start, encounter.time - ENCOUNTER_WINDOW_DAYS),
+        end: encounter.time + ENCOUNTER_WINDOW_DAYS,
+        maxDistanceAu: Math.max(maxDistanceAu, 1)
+    };
+    const clones = sampleClones(orbit, uncertainty, count, random).map((clone) => {
+        const approach = closestApproach(clone, window);
+        const impact = approach !== null && approach.distanceKm < captureRadiusKm(approach.relativeSpeedKmS);
+        return { orbit: clone, approach, impact };
+    });
+
+    const impacts = clones.filter((clone) => clone.impact).length;
+    const probability = impacts / count;
+    return {
+        encounter,
+        captureRadiusKm: captureRadiusKm(encounter.relativeSpeedKmS),
+        clones,
+        count,
+        impacts,
+        probability,
+        standardError: Math.sqrt(probability * (1 - probability) / count),
+        // With no impacting clone, the 95% upper limit is 3 / count (the rule of three)
+        upperLimit: impacts === 0 ? 3 / count : null
+    };
+}
@@ -0,0 +1,57 @@
+import { impactorAt } from './__fixtures__/impactors';
+import { captureRadiusKm, createRandom, estimateImpactProbability, sampleClones, UNCERTAINTY_PRESETS } from './VirtualImpactors';
+import { EARTH_RADIUS_KM } from '../physics/Constants';
+
+const NO_UNCERTAINTY = { e: 0, q: 0, i: 0, node: 0, omega: 0, tp: 0 };
+
+describe('sampleClones', () => {
+    test('scatters the elements with the requested 1σ and repeats with the same seed', () => {
+        const orbit = impactorAt(9000);
+        const uncertainty = { ...NO_UNCERTAINTY, e: 1e-3, tp: 0.5 };
+        const clones = sampleClones(orbit, uncertainty, 4000, createRandom(7));
+        const mean = (values) => values.reduce((sum, x) => sum + x, 0) / values.length;
+        const spread = (values) => Math.sqrt(mean(values.map((x) => (x - mean(values)) ** 2)));
+
+        expect(mean(clones.map((c) => c.e))).toBeCloseTo(orbit.e, 4);
+        expect(spread(clones.map((c) => c.e))).toBeCloseTo(1e-3, 4);
+        expect(spread(clones.map((c) => c.tau)) / 0.5).toBeCloseTo(1, 1);
+        expect(clones.every((c) => c.inclination === orbit.inclination)).toBe(true);
+
+        const again = sampleClones(orbit, uncertainty, 3, createRandom(7));
+        expect(again.map((c) => c.tau)).toEqual(clones.slice(0, 3).map((c) => c.tau));
+    });
+});
+
+describe('estimateImpactProbability', () => {
+    const t0 = 9000.25;
+    const window = { start: t0 - 100, end: t0 + 100, count: 200 };
+
+    test('gravitational focusing widens the capture radius for slow encounters', () => {
+        expect(captureRadiusKm(20) / EARTH_RADIUS_KM).toBeCloseTo(1.146, 3);
+        expect(captureRadiusKm(3)).toBeGreaterThan(3 * EARTH_RADIUS_KM);
+    });
+
+    test('a well-determined impactor hits with every clone', () => {
+        const result = estimateImpactProbability(impactorAt(t0), { ...window, uncertainty: UNCERTAINTY_PRESETS.multiOpposition });
+        expect(result.encounter.time).toBeCloseTo(t0, 3);
+        expect(result.probability).toBe(1);
+        expect(result.upperLimit).toBeNull();
+    });
+
+    test('a near miss with no uncertainty never hits and reports the rule-of-three limit', () => {
+        const nearMiss = impactorAt(t0);
+        nearMiss.tau += 0.05; // about an hour late: tens of thousands of km behind Earth
+        const result = estimateImpactProbability(nearMiss, { ...window, uncertainty: NO_UNCERTAINTY });
+        expect(result.encounter.distanceKm).toBeGreaterThan(10 * EARTH_RADIUS_KM);
+        expect(result.impacts).toBe(0);
+        expect(result.upperLimit).toBeCloseTo(3 / 200, 9);
+    });
+
+    test('a poorly determined orbit spreads the clones over and around Earth', () => {
+        const result = estimateImpactProbability(impactorAt(t0), { ...window, uncertainty: UNCERTAINTY_PRESETS.weeks });
+        expect(result.probability).toBeGreaterThan(0);
+        expect(result.probability).toBeLessThan(0.5);
+        expect(result.standardError).toBeGreaterThan(0);
+        expect(result.clones).toHaveLength(200);
+    });
+});
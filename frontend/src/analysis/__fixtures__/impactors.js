@@ -0,0 +1,16 @@
+import { Orbit } from '../../render/Orbit';
+import { earthEphemeris } from '../CloseApproachFinder';
+
+// Test fixture shared by the encounter tests: an object whose perihelion sits exactly on Earth's position
+// at time t0 (a direct hit). perihelionScale moves the perihelion slightly inside or outside Earth's orbit.
+export function impactorAt(t0, { eccentricity = 0.6, inclination = 0.2, perihelionScale = 1 } = {}) {
+    const earthPosition = earthEphemeris.walkInTime(t0);
+    return new Orbit({
+        eccentricity,
+        perihelionDistance: Math.hypot(...earthPosition) * perihelionScale,
+        inclination,
+        raan: Math.atan2(earthPosition[1], earthPosition[0]),
+        omega: 0,
+        tau: t0
+    });
+}
@@ -0,0 +1,204 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { encounterBPlane, keyholeCircles } from '../analysis/BPlane';
+import { findCloseApproaches } from '../analysis/CloseApproachFinder';
+import { EARTH_RADIUS_KM } from '../physics/Constants';
+import { formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+const PLOT_SIZE = 420;
+const PLOT_MARGIN = 30;
+const HORIZON_YEARS = 100;
+const KEYHOLE_YEARS = 20;
+
+function formatKm(km) {
+    return `${Math.round(km).toLocaleString()} km (${(km / EARTH_RADIUS_KM).toFixed(2)} R⊕)`;
+}
+
+// Earth-centred b-plane: ξ to the right, ζ up, in Earth radii. Earth's disk in blue, the capture
+// cross-section dashed red, resonant return circles in orange (keyholes lie along them), Monte Carlo
+// clones as dots and the nominal crossing as a white cross.
+function BPlanePlot({ plane, circles, clones, extent }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const context = canvasRef.current.getContext('2d');
+        const half = (PLOT_SIZE - 2 * PLOT_MARGIN) / 2;
+        const centre = PLOT_SIZE / 2;
+        const toPixels = half / extent;
+        const toX = (xi) => centre + xi * toPixels;
+        const toY = (zeta) => centre - zeta * toPixels;
+
+        context.clearRect(0, 0, PLOT_SIZE, PLOT_SIZE);
+        context.save();
+        context.beginPath();
+        context.rect(PLOT_MARGIN, PLOT_MARGIN, 2 * half, 2 * half);
+        context.clip();
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        context.beginPath();
+        context.moveTo(PLOT_MARGIN, centre);
+        context.lineTo(PLOT_SIZE - PLOT_MARGIN, centre);
+        context.moveTo(centre, PLOT_MARGIN);
+        context.lineTo(centre, PLOT_SIZE - PLOT_MARGIN);
+        context.stroke();
+
+        context.strokeStyle = 'rgba(255, 179, 71, 0.7)';
+        context.fillStyle = 'rgba(255, 179, 71, 0.9)';
+        context.font = '10px Arial';
+        context.textAlign = 'left';
+        circles.forEach((circle) => {
+            context.beginPath();
+            context.arc(toX(0), toY(circle.center), circle.radius * toPixels, 0, 2 * Math.PI);
+            context.stroke();
+            // Label where the circle crosses the ζ axis nearest to Earth
+            const crossings = [circle.center - circle.radius, circle.center + circle.radius];
+            const nearest = crossings.reduce((best, zeta) => (Math.abs(zeta) < Math.abs(best) ? zeta : best));
+            if (Math.abs(nearest) < extent) context.fillText(`${circle.years}:${circle.revolutions}`, toX(0) + 3, toY(nearest) - 2);
+        });
+
+        clones.forEach(({ xi, zeta, impact }) => {
+            context.fillStyle = impact ? '#ff4040' : 'rgba(97, 218, 251, 0.8)';
+            context.fillRect(toX(xi) - 1, toY(zeta) - 1, 2, 2);
+        });
+
+        context.fillStyle = '#2f6fd6';
+        context.beginPath();
+        context.arc(toX(0), toY(0), Math.max(EARTH_RADIUS_KM * toPixels, 1.5), 0, 2 * Math.PI);
+        context.fill();
+        context.strokeStyle = '#ff4040';
+        context.setLineDash([4, 3]);
+        context.beginPath();
+        context.arc(toX(0), toY(0), Math.max(plane.captureRadiusKm * toPixels, 2), 0, 2 * Math.PI);
+        context.stroke();
+        context.setLineDash([]);
+
+        context.strokeStyle = 'white';
+        context.lineWidth = 2;
+        const x = toX(plane.xi);
+        const y = toY(plane.zeta);
+        context.beginPath();
+        context.moveTo(x - 5, y - 5);
+        context.lineTo(x + 5, y + 5);
+        context.moveTo(x - 5, y + 5);
+        context.lineTo(x + 5, y - 5);
+        context.stroke();
+        context.lineWidth = 1;
+        context.restore();
+
+        context.fillStyle = 'white';
+        context.font = '10px Arial';
+        context.textAlign = 'center';
+        const extentRadii = extent / EARTH_RADIUS_KM;
+        context.fillText(`ξ (${(-extentRadii).toPrecision(3)} – ${extentRadii.toPrecision(3)} R⊕)`, centre, PLOT_SIZE - 10);
+        context.save();
+        context.translate(12, centre);
+        context.rotate(-Math.PI / 2);
+        context.fillText('ζ (late ↑, early ↓)', 0, 0);
+        context.restore();
+    }, [plane, circles, clones, extent]);
+
+    return <canvas ref={canvasRef} className="ov-plot" width={PLOT_SIZE} height={PLOT_SIZE} />;
+}
+
+// b-plane of the locked object's close approaches in the next century.
+// impactRun is the last ImpactProbabilityPanel result ({ name, result }); its clones are shown when it
+// analysed the same encounter. onJump(time, name) moves the clock to the encounter.
+export default function BPlanePanel({ meteor, clock, impactRun, onJump, onClose }) {
+    const [approachIndex, setApproachIndex] = useState(0);
+    const [zoom, setZoom] = useState(1);
+
+    const orbit = meteor.orbit;
+    // Search from the current time: restart on clock jumps and once the clock has run a year past the start
+    const [start, setStart] = useState(() => clock.getTime());
+
+    useEffect(() => {
+        const restart = () => setStart(clock.getTime());
+        const follow = () => setStart((previous) => (Math.abs(clock.getTime() - previous) >= 365.25 ? clock.getTime() : previous));
+        restart();
+        const interval = setInterval(follow, 500);
+        const unsubscribe = clock.subscribe(({ type }) => {
+            if (type === 'jump') restart();
+        });
+        return () => {
+            clearInterval(interval);
+            unsubscribe();
+        };
+    }, [clock]);
+
+    const approaches = useMemo(
+        () => findCloseApproaches(orbit, { start, end: start + HORIZON_YEARS * 365.25 }),
+        [orbit, start]
+    );
+
+    useEffect(() => {
+        setZoom(1);
+    }, [meteor]);
+
+    useEffect(() => {
+        setApproachIndex(0);
+    }, [approaches]);
+
+    const approach = approaches[approachIndex] ?? null;
+    const plane = useMemo(() => (approach ? encounterBPlane(orbit, approach.time) : null), [orbit, approach]);
+    const circles = useMemo(() => (plane ? keyholeCircles(plane, { maxYears: KEYHOLE_YEARS }) : []), [plane]);
+
+    // Clones of a Monte Carlo run on this encounter, each at its own closest approach
+    const clones = useMemo(() => {
+        const run = impactRun?.name === meteor.name ? impactRun.result : null;
+        if (!plane || !run || Math.abs(run.encounter.time - plane.time) > 30) return [];
+        return run.clones.filter((clone) => clone.approach).map((clone) => {
+            const clonePlane = encounterBPlane(clone.orbit, clone.approach.time);
+            return { xi: clonePlane.xi, zeta: clonePlane.zeta, impact: clone.impact };
+        });
+    }, [impactRun, meteor, plane]);
+
+    // Fit the crossing and the capture circle, then zoom from there
+    const extent = plane ? Math.max(1.3 * plane.b, 8 * plane.captureRadiusKm) / zoom : 1;
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">B-plane: {meteor.name}</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            {approaches.length === 0 ? (
+                <p>No approach within 0.2 AU of Earth in the next {HORIZON_YEARS} years.</p>
+            ) : (
+                <div className="ov-clock__row">
+                    <label>Encounter <select className="ov-input" value={approachIndex} onChange={(e) => setApproachIndex(parseInt(e.target.value, 10))}>
+                        {approaches.map((a, i) => <option key={a.time} value={i}>{formatUtc(a.date)} ({a.distanceLd.toFixed(1)} LD)</option>)}
+                    </select></label>
+                    <button className="ov-btn" onClick={() => setZoom(zoom * 4)}>Zoom in</button>
+                    <button className="ov-btn" onClick={() => setZoom(Math.max(1 / 64, zoom / 4))}>Zoom out</button>
+                    <button className="ov-btn" onClick={() => setZoom(1)}>Fit</button>
+                </div>
+            )}
+            {plane && (
+                <>
+                    <BPlanePlot plane={plane} circles={circles} clones={clones} extent={extent} />
+                    <table className="ov-info__table">
+                        <tbody>
+                            <tr><td>ξ (distance between the orbits)</td><td>{formatKm(plane.xi)}</td></tr>
+                            <tr><td>ζ (timing)</td><td>{formatKm(plane.zeta)}</td></tr>
+                            <tr><td>Impact parameter b</td><td>{formatKm(plane.b)}</td></tr>
+                            <tr><td>Capture radius</td><td>{formatKm(plane.captureRadiusKm)}</td></tr>
+                            <tr><td>v∞</td><td>{plane.vInfinity.toFixed(2)} km/s</td></tr>
+                            <tr><td>θ (U to Earth's motion)</td><td>{(plane.theta * 180 / Math.PI).toFixed(1)}°</td></tr>
+                            {clones.length > 0 && <tr><td>Clones</td><td>{clones.length} from the last impact probability run</td></tr>}
+                        </tbody>
+                    </table>
+                    <div className="ov-clock__row">
+                        <button className="ov-btn" onClick={() => onJump(plane.time, meteor.name)}>Go to encounter</button>
+                    </div>
+                </>
+            )}
+            <p>
+                The cross marks where the incoming asymptote pierces the plane. Crossing inside the dashed circle is an
+                impact: Earth's gravity bends paths up to that far in. Crossing an orange circle sends the object back for
+                another encounter after the labelled years:revolutions; keyholes are the small parts of those circles
+                that lead to an impact then.
+            </p>
+        </div>
+    );
+}
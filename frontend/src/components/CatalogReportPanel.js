@@ -0,0 +1,99 @@
+import { useMemo, useState } from 'react';
+import { CATALOG_IMPORTERS } from '../utils/CatalogImporter';
+import '../styles/orbitviewer.css';
+
+const STATUS_LABELS = { accepted: 'Accepted', repaired: 'Repaired', rejected: 'Rejected' };
+
+const VIEWS = {
+    issues: 'Repaired and rejected',
+    rejected: 'Rejected',
+    repaired: 'Repaired',
+    accepted: 'Accepted',
+    all: 'All records'
+};
+
+function viewStatuses(view) {
+    if (view === 'all') return ['accepted', 'repaired', 'rejected'];
+    if (view === 'issues') return ['repaired', 'rejected'];
+    return [view];
+}
+
+// Validation report of the loaded catalog (utils/CatalogValidator.js): what was accepted, repaired or
+// rejected and why. drawnNames is the set of objects drawn in the scene (the scene draws a limited number);
+// onSelect(name) locks the camera onto one of them.
+export default function CatalogReportPanel({ report, fileName, drawnNames, onSelect, onClose }) {
+    const [view, setView] = useState(() => (report.repaired.length + report.rejected.length > 0 ? 'issues' : 'all'));
+    const formatLabel = CATALOG_IMPORTERS.find((importer) => importer.id === report.format)?.label ?? report.format ?? 'Unknown';
+
+    const rows = useMemo(() => viewStatuses(view)
+        .flatMap((status) => report[status].map((entry) => ({ ...entry, status })))
+        .sort((a, b) => a.index - b.index), [report, view]);
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Catalog check</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <table className="ov-info__table">
+                <tbody>
+                    {fileName && <tr><td>File</td><td>{fileName}</td></tr>}
+                    <tr><td>Format</td><td>{formatLabel}</td></tr>
+                    <tr><td>Records</td><td>{report.total}</td></tr>
+                    <tr><td>Accepted</td><td>{report.accepted.length}</td></tr>
+                    <tr><td>Repaired</td><td className={report.repaired.length > 0 ? 'ov-status--repaired' : ''}>{report.repaired.length}</td></tr>
+                    <tr><td>Rejected</td><td className={report.rejected.length > 0 ? 'ov-status--rejected' : ''}>{report.rejected.length}</td></tr>
+                    <tr><td>Drawn</td><td>{drawnNames.size} of {report.accepted.length + report.repaired.length}</td></tr>
+                </tbody>
+            </table>
+
+            <div className="ov-clock__row">
+                <label>Show <select className="ov-input" value={view} onChange={(e) => setView(e.target.value)}>
+                    {Object.entries(VIEWS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select></label>
+            </div>
+
+            <div className="ov-table-wrap">
+                <table className="ov-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Object</th>
+                            <th>Status</th>
+                            <th>Reasons</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((entry) => (
+                            <tr key={entry.index}>
+                                <td>{entry.index + 1}</td>
+                                <td>{entry.name}</td>
+                                <td className={`ov-status--${entry.status}`}>{STATUS_LABELS[entry.status]}</td>
+                                <td className="ov-table__reasons">
+                                    {entry.issues.map((issue) => issue.message).join('; ') || '—'}
+                                </td>
+                                <td>
+                                    {entry.status !== 'rejected' && (
+                                        <button
+                                            className="ov-btn"
+                                            onClick={() => onSelect(entry.name)}
+                                            disabled={!drawnNames.has(entry.name)}
+                                            title={drawnNames.has(entry.name) ? undefined : 'Not drawn in the scene'}
+                                        >Go</button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {rows.length === 0 && <p>No records to show</p>}
+            <p>
+                Rejected records have missing or impossible elements and are not drawn. Repaired ones are drawn after
+                the fix listed; optional values that look wrong (H, size, MOID, epoch) are dropped rather than guessed.
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { CLASSIFICATION_FILTERS, matchesClassFilter } from '../analysis/Classification';
+import { CLASS_COLORS, PHA_COLOR, toCssColor } from '../render/ClassificationColors';
+import '../styles/orbitviewer.css';
+
+// Class filter for the catalog objects, with the legend of the trace colours.
+// Only the classes present among the meteors are offered.
+export default function ClassificationFilter({ meteors, filter, onChange }) {
+    const counts = useMemo(() => Object.fromEntries(Object.keys(CLASSIFICATION_FILTERS).map((key) => (
+        [key, meteors.filter((meteor) => matchesClassFilter(meteor.classification, key)).length]
+    ))), [meteors]);
+
+    const legend = [
+        ['pha', PHA_COLOR],
+        ...Object.entries(CLASS_COLORS)
+    ].filter(([key]) => counts[key] > 0);
+
+    return (
+        <div className="ov-filter">
+            <label>Show <select className="ov-input" value={filter} onChange={(e) => onChange(e.target.value)}>
+                {Object.entries(CLASSIFICATION_FILTERS)
+                    .filter(([key]) => key === 'all' || key === filter || counts[key] > 0)
+                    .map(([key, label]) => <option key={key} value={key}>{label} ({counts[key]})</option>)}
+            </select></label>
+            <div className="ov-legend">
+                {legend.map(([key, color]) => (
+                    <span key={key} className="ov-legend__item" title={CLASSIFICATION_FILTERS[key]}>
+                        <span className="ov-legend__swatch" style={{ background: toCssColor(color) }} />
+                        {key === 'pha' ? 'PHA' : key}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
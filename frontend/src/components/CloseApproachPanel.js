@@ -0,0 +1,144 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Orbit } from '../render/Orbit';
+import { findCloseApproaches } from '../analysis/CloseApproachFinder';
+import { dateToTdbDays, formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+const OBJECTS_PER_BATCH = 10; // Orbits scanned per frame so the scene keeps rendering
+
+const COLUMNS = [
+    { key: 'name', label: 'Object' },
+    { key: 'time', label: 'Date (UTC)' },
+    { key: 'distanceAu', label: 'AU' },
+    { key: 'distanceLd', label: 'LD' },
+    { key: 'distanceKm', label: 'km' },
+    { key: 'relativeSpeedKmS', label: 'km/s' }
+];
+
+// Sortable table of Earth close approaches for the loaded catalog orbits.
+// onJump(approach) is called when the user wants to see an approach in the scene.
+// Only objects in drawnNames are in the scene to jump to (the scene draws a limited number).
+export default function CloseApproachPanel({ orbits, drawnNames, onJump, onClose }) {
+    const currentYear = new Date().getUTCFullYear();
+    const [fromYear, setFromYear] = useState(currentYear - 10);
+    const [toYear, setToYear] = useState(currentYear + 50);
+    const [maxDistanceAu, setMaxDistanceAu] = useState(0.1);
+    const [approaches, setApproaches] = useState([]);
+    const [progress, setProgress] = useState(null);
+    const [sort, setSort] = useState({ key: 'time', ascending: true });
+    const timeoutRef = useRef(null);
+
+    // Stop a running scan when the panel closes
+    useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+    const scan = () => {
+        clearTimeout(timeoutRef.current);
+        const options = {
+            start: dateToTdbDays(new Date(Date.UTC(fromYear, 0, 1))),
+            end: dateToTdbDays(new Date(Date.UTC(toYear, 0, 1))),
+            maxDistanceAu
+        };
+        const found = [];
+        let index = 0;
+        setApproaches([]);
+        setProgress(0);
+
+        const scanBatch = () => {
+            const end = Math.min(index + OBJECTS_PER_BATCH, orbits.length);
+            for (; index < end; index++) {
+                const orbitParams = orbits[index];
+                try {
+                    findCloseApproaches(new Orbit(orbitParams), options).forEach((approach) => {
+                        found.push({ name: orbitParams.name, ...approach });
+                    });
+                } catch (error) {
+                    console.error(`Close approach scan failed for ${orbitParams.name}:`, error);
+                }
+            }
+            setProgress(index / orbits.length);
+            if (index < orbits.length) {
+                timeoutRef.current = setTimeout(scanBatch, 16);
+            } else {
+                setApproaches([...found]);
+                setProgress(null);
+            }
+        };
+        scanBatch();
+    };
+
+    const sorted = useMemo(() => {
+        const direction = sort.ascending ? 1 : -1;
+        return [...approaches].sort((a, b) => {
+            if (sort.key === 'name') return direction * a.name.localeCompare(b.name);
+            return direction * (a[sort.key] - b[sort.key]);
+        });
+    }, [approaches, sort]);
+
+    const insideMoon = approaches.filter((approach) => approach.distanceLd < 1).length;
+
+    const toggleSort = (key) => {
+        setSort((current) => ({ key, ascending: current.key === key ? !current.ascending : true }));
+    };
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Earth close approaches</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                <label>From <input type="number" className="ov-input ov-input--short" value={fromYear} onChange={(e) => setFromYear(parseInt(e.target.value, 10))} /></label>
+                <label>To <input type="number" className="ov-input ov-input--short" value={toYear} onChange={(e) => setToYear(parseInt(e.target.value, 10))} /></label>
+                <label>Max AU <input type="number" step="0.01" min="0.001" className="ov-input ov-input--short" value={maxDistanceAu} onChange={(e) => setMaxDistanceAu(parseFloat(e.target.value))} /></label>
+                <button className="ov-btn" onClick={scan} disabled={progress !== null || !orbits.length || !(toYear > fromYear) || !(maxDistanceAu > 0)}>Scan</button>
+            </div>
+
+            {progress !== null && <p>Scanning {orbits.length} orbits… {Math.round(progress * 100)}%</p>}
+            {progress === null && (
+                <p>
+                    {approaches.length} approaches found
+                    {insideMoon > 0 && <span className="ov-warning">, {insideMoon} inside the Moon's orbit (&lt; 1 LD)</span>}
+                </p>
+            )}
+
+            <div className="ov-table-wrap">
+                <table className="ov-table">
+                    <thead>
+                        <tr>
+                            {COLUMNS.map((column) => (
+                                <th key={column.key} onClick={() => toggleSort(column.key)}>
+                                    {column.label}{sort.key === column.key ? (sort.ascending ? ' ▲' : ' ▼') : ''}
+                                </th>
+                            ))}
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sorted.map((approach) => (
+                            <tr
+                                key={`${approach.name}-${approach.time}`}
+                                className={approach.distanceLd < 1 ? 'ov-table__row--inside-moon' : undefined}
+                            >
+                                <td>{approach.name}</td>
+                                <td>{formatUtc(approach.date)}</td>
+                                <td>{approach.distanceAu.toFixed(4)}</td>
+                                <td>{approach.distanceLd.toFixed(1)}</td>
+                                <td>{Math.round(approach.distanceKm).toLocaleString()}</td>
+                                <td>{approach.relativeSpeedKmS.toFixed(1)}</td>
+                                <td>
+                                    <button
+                                        className="ov-btn"
+                                        onClick={() => onJump(approach)}
+                                        disabled={!drawnNames.has(approach.name)}
+                                        title={drawnNames.has(approach.name) ? undefined : 'Not drawn in the scene'}
+                                    >Go</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
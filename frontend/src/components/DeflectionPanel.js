@@ -0,0 +1,395 @@
+import { useEffect, useRef, useState } from 'react';
+import { alongTrackDirection, applyDeltaV, asteroidMass, kineticImpactorDeltaV } from '../physics/Deflection';
+import { gravityTractorAcceleration, gravityTractorHoverThrust, ionBeamAcceleration } from '../physics/LowThrust';
+import { nuclearStandoffDeltaV, standoffCurve } from '../physics/NuclearStandoff';
+import { compareNextCloseApproach, lowThrustDeflection } from '../analysis/MissDistance';
+import { EARTH_RADIUS_KM, KILOTON_JOULES, LUNAR_DISTANCE_KM } from '../physics/Constants';
+import { dateToTdbDays, formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+const TECHNIQUES = {
+    kinetic: 'Kinetic impactor',
+    gravityTractor: 'Gravity tractor',
+    ionBeam: 'Ion beam shepherd',
+    nuclear: 'Nuclear standoff'
+};
+
+const PLOT_WIDTH = 420;
+const PLOT_HEIGHT = 200;
+const PLOT_MARGIN = { left: 56, bottom: 26, top: 8, right: 8 };
+
+// Value for <input type="date">, read and written as UTC
+function toDateInput(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function formatMiss(km) {
+    return `${Math.round(km).toLocaleString()} km (${(km / EARTH_RADIUS_KM).toFixed(2)} R⊕, ${(km / LUNAR_DISTANCE_KM).toFixed(3)} LD)`;
+}
+
+// Number input bound to a numeric state value
+function NumberField({ label, value, onChange, step = 'any', unit }) {
+    return (
+        <label>
+            {label} <input type="number" step={step} className="ov-input ov-input--short" value={value} onChange={(e) => onChange(parseFloat(e.target.value))} /> {unit}
+        </label>
+    );
+}
+
+// Along-track displacement (km) against years since the push started; the thrust period is shaded,
+// the dashed line marks the encounter (the warning time) and the dotted line one Earth radius.
+function DisplacementPlot({ result }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const context = canvasRef.current.getContext('2d');
+        const { displacement, start, thrustEnd, warningTime } = result;
+        const width = PLOT_WIDTH - PLOT_MARGIN.left - PLOT_MARGIN.right;
+        const height = PLOT_HEIGHT - PLOT_MARGIN.top - PLOT_MARGIN.bottom;
+        const years = (t) => (t - start) / 365.25;
+        const maxYears = years(displacement[displacement.length - 1].time);
+        const maxKm = Math.max(EARTH_RADIUS_KM * 1.2, ...displacement.map((d) => Math.abs(d.alongTrackKm)));
+        const toX = (t) => PLOT_MARGIN.left + years(t) / maxYears * width;
+        const toY = (km) => PLOT_MARGIN.top + height - km / maxKm * height;
+
+        context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+        context.fillStyle = 'rgba(97, 218, 251, 0.12)';
+        context.fillRect(toX(start), PLOT_MARGIN.top, toX(thrustEnd) - toX(start), height);
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        context.setLineDash([2, 3]);
+        context.beginPath();
+        context.moveTo(PLOT_MARGIN.left, toY(EARTH_RADIUS_KM));
+        context.lineTo(PLOT_MARGIN.left + width, toY(EARTH_RADIUS_KM));
+        context.stroke();
+        if (warningTime !== null) {
+            context.strokeStyle = '#ffb347';
+            context.setLineDash([5, 3]);
+            context.beginPath();
+            context.moveTo(toX(start + warningTime), PLOT_MARGIN.top);
+            context.lineTo(toX(start + warningTime), PLOT_MARGIN.top + height);
+            context.stroke();
+        }
+        context.setLineDash([]);
+
+        // Magnitude of the along-track shift (a push forwards makes the object fall behind)
+        context.strokeStyle = '#7cfc00';
+        context.lineWidth = 2;
+        context.beginPath();
+        displacement.forEach((d, i) => {
+            const x = toX(d.time);
+            const y = toY(Math.abs(d.alongTrackKm));
+            if (i === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        });
+        context.stroke();
+        context.lineWidth = 1;
+
+        context.fillStyle = 'white';
+        context.font = '10px Arial';
+        context.textAlign = 'right';
+        context.fillText(`${Math.round(maxKm).toLocaleString()} km`, PLOT_MARGIN.left - 4, PLOT_MARGIN.top + 8);
+        context.fillText('0', PLOT_MARGIN.left - 4, PLOT_MARGIN.top + height);
+        context.fillText('1 R⊕', PLOT_MARGIN.left - 4, toY(EARTH_RADIUS_KM) + 3);
+        context.textAlign = 'center';
+        context.fillText(`Years after start (0 – ${maxYears.toFixed(1)})`, PLOT_MARGIN.left + width / 2, PLOT_HEIGHT - 4);
+    }, [result]);
+
+    return <canvas ref={canvasRef} className="ov-plot" width={PLOT_WIDTH} height={PLOT_HEIGHT} />;
+}
+
+// Δv against standoff distance (in body radii) for the chosen yield and body. Standoffs that would
+// fragment the body are drawn in orange; the marker is the chosen standoff.
+function StandoffPlot({ result }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const context = canvasRef.current.getContext('2d');
+        const { curve, radius, standoff, nuclear } = result;
+        const width = PLOT_WIDTH - PLOT_MARGIN.left - PLOT_MARGIN.right;
+        const height = PLOT_HEIGHT - PLOT_MARGIN.top - PLOT_MARGIN.bottom;
+        const minLog = Math.log10(curve[0].standoff / radius);
+        const maxLog = Math.log10(curve[curve.length - 1].standoff / radius);
+        const maxDeltaV = Math.max(...curve.map((p) => p.deltaV), nuclear.deltaV);
+        const toX = (s) => PLOT_MARGIN.left + (Math.log10(Math.max(s, curve[0].standoff) / radius) - minLog) / (maxLog - minLog) * width;
+        const toY = (dv) => PLOT_MARGIN.top + height - dv / maxDeltaV * height;
+
+        context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+        context.lineWidth = 2;
+        for (let i = 1; i < curve.length; i++) {
+            context.strokeStyle = curve[i].fragmented ? '#ffb347' : '#7cfc00';
+            context.beginPath();
+            context.moveTo(toX(curve[i - 1].standoff), toY(curve[i - 1].deltaV));
+            context.lineTo(toX(curve[i].standoff), toY(curve[i].deltaV));
+            context.stroke();
+        }
+        context.lineWidth = 1;
+
+        context.fillStyle = nuclear.fragmented ? '#ffb347' : 'white';
+        context.beginPath();
+        context.arc(toX(standoff), toY(nuclear.deltaV), 4, 0, 2 * Math.PI);
+        context.fill();
+
+        context.fillStyle = 'white';
+        context.font = '10px Arial';
+        context.textAlign = 'right';
+        context.fillText(`${(maxDeltaV * 1000).toFixed(1)} mm/s`, PLOT_MARGIN.left - 4, PLOT_MARGIN.top + 8);
+        context.fillText('0', PLOT_MARGIN.left - 4, PLOT_MARGIN.top + height);
+        context.textAlign = 'center';
+        [0.01, 0.1, 1].forEach((r) => context.fillText(`${r}`, toX(r * radius), PLOT_MARGIN.top + height + 12));
+        context.fillText('Standoff (body radii)', PLOT_MARGIN.left + width / 2, PLOT_HEIGHT - 2);
+    }, [result]);
+
+    return <canvas ref={canvasRef} className="ov-plot" width={PLOT_WIDTH} height={PLOT_HEIGHT} />;
+}
+
+// Deflection experiments on catalog objects: compute the velocity change of a mitigation technique,
+// the resulting orbit and the change in Earth miss distance at the next close approach.
+// onApply(meteor, result) puts the deflected orbit into the scene, onReset(meteor) undoes it and
+// onJump(time, name) moves the clock to the encounter.
+export default function DeflectionPanel({ meteors, initialTarget, clock, onApply, onReset, onJump, onClose }) {
+    const catalogMeteors = meteors.filter((meteor) => meteor.orbitSource === 'catalog');
+    const [technique, setTechnique] = useState('kinetic');
+    const [targetName, setTargetName] = useState(initialTarget ?? catalogMeteors[0]?.name ?? '');
+    const [startDate, setStartDate] = useState(() => toDateInput(clock.getDate())); // intercept or start of the push
+    const [horizonYears, setHorizonYears] = useState(50);
+    const [diameter, setDiameter] = useState(160); // m
+    const [density, setDensity] = useState(2400); // kg/m³
+    const [impactorMass, setImpactorMass] = useState(580); // kg
+    const [impactorSpeed, setImpactorSpeed] = useState(6.1); // km/s
+    const [beta, setBeta] = useState(3.6);
+    const [spacecraftMass, setSpacecraftMass] = useState(20000); // kg
+    const [hoverDistance, setHoverDistance] = useState(200); // m from the centre
+    const [beamThrust, setBeamThrust] = useState(0.1); // N
+    const [yieldKt, setYieldKt] = useState(100);
+    const [standoff, setStandoff] = useState(35); // m above the surface
+    const [durationYears, setDurationYears] = useState(10);
+    const [direction, setDirection] = useState(-1); // -1 against the motion (slows the object), +1 along it
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (initialTarget) setTargetName(initialTarget);
+    }, [initialTarget]);
+
+    const meteor = catalogMeteors.find((m) => m.name === targetName);
+    const mass = asteroidMass(diameter, density);
+
+    // Instantaneous Δv at the intercept
+    const simulateKinetic = (orbit, start, end) => {
+        const relativeVelocity = alongTrackDirection(orbit, start).map((x) => x * direction * impactorSpeed);
+        const deltaV = kineticImpactorDeltaV({ asteroidMass: mass, impactorMass, relativeVelocity, beta });
+        const deflected = applyDeltaV(orbit, start, deltaV);
+        return {
+            deflectionTime: start,
+            deltaVMagnitude: Math.hypot(...deltaV),
+            deflected,
+            comparison: compareNextCloseApproach(orbit, deflected, { start, end })
+        };
+    };
+
+    // Impulse from a standoff burst at the intercept
+    const simulateNuclear = (orbit, start, end) => {
+        const nuclear = nuclearStandoffDeltaV({ yieldKt, standoff, diameter, density });
+        const deltaV = alongTrackDirection(orbit, start).map((x) => x * direction * nuclear.deltaV / 1000);
+        const deflected = applyDeltaV(orbit, start, deltaV);
+        return {
+            deflectionTime: start,
+            deltaVMagnitude: nuclear.deltaV / 1000,
+            nuclear,
+            curve: standoffCurve({ yieldKt, diameter, density }),
+            radius: diameter / 2,
+            standoff,
+            deflected,
+            comparison: compareNextCloseApproach(orbit, deflected, { start, end })
+        };
+    };
+
+    // Continuous push from start, integrated up to the encounter (or the end of the look-ahead)
+    const simulateLowThrustTechnique = (orbit, start, end) => {
+        const acceleration = technique === 'gravityTractor'
+            ? gravityTractorAcceleration({ spacecraftMass, hoverDistance })
+            : ionBeamAcceleration({ beamThrust, asteroidMass: mass });
+        const { encounter, simulation, thrustCut, comparison } = lowThrustDeflection(orbit, {
+            acceleration, start, end, durationDays: durationYears * 365.25, direction
+        });
+        return {
+            deflectionTime: simulation.thrustEnd,
+            deltaVMagnitude: simulation.deltaV,
+            acceleration,
+            hoverThrust: technique === 'gravityTractor' ? gravityTractorHoverThrust({ spacecraftMass, hoverDistance, asteroidMass: mass }) : null,
+            thrustCut,
+            displacement: simulation.displacement,
+            start,
+            thrustEnd: simulation.thrustEnd,
+            warningTime: encounter ? encounter.time - start : null,
+            deflected: simulation.deflectedOrbit,
+            comparison
+        };
+    };
+
+    const simulate = () => {
+        setResult(null);
+        setError(null);
+        if (!meteor) return;
+        const start = dateToTdbDays(new Date(`${startDate}T00:00:00Z`));
+        const end = start + horizonYears * 365.25;
+        const orbit = meteor.originalOrbit ?? meteor.orbit; // a new deflection replaces an earlier one
+
+        const simulations = {
+            kinetic: simulateKinetic,
+            gravityTractor: simulateLowThrustTechnique,
+            ionBeam: simulateLowThrustTechnique,
+            nuclear: simulateNuclear
+        };
+        const outcome = simulations[technique](orbit, start, end);
+        if (!outcome.comparison) {
+            setError(`${targetName} does not come within 0.2 AU of Earth in the ${horizonYears} years after ${startDate}.`);
+        }
+        setResult({ meteor, technique, mass, original: orbit, ...outcome });
+    };
+
+    const techniqueInputsValid = {
+        kinetic: impactorMass > 0 && impactorSpeed > 0 && beta >= 1,
+        gravityTractor: durationYears > 0 && spacecraftMass > 0 && hoverDistance > diameter / 2,
+        ionBeam: durationYears > 0 && beamThrust > 0,
+        nuclear: yieldKt > 0 && standoff >= 0
+    };
+    const inputsValid = diameter > 0 && density > 0 && horizonYears > 0 && techniqueInputsValid[technique];
+    const comparison = result?.comparison;
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Deflection</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                {Object.entries(TECHNIQUES).map(([key, label]) => (
+                    <button
+                        key={key}
+                        className={`ov-btn${technique === key ? ' ov-btn--active' : ''}`}
+                        onClick={() => { setTechnique(key); setResult(null); setError(null); }}
+                    >{label}</button>
+                ))}
+            </div>
+            <div className="ov-clock__row">
+                <label>Object <select className="ov-input" value={targetName} onChange={(e) => setTargetName(e.target.value)}>
+                    {catalogMeteors.map((m) => <option key={m.name} value={m.name}>{m.name}</option>)}
+                </select></label>
+            </div>
+            <div className="ov-clock__row">
+                <NumberField label="Diameter" value={diameter} onChange={setDiameter} unit="m" />
+                <NumberField label="Density" value={density} onChange={setDensity} step="100" unit="kg/m³" />
+            </div>
+            <div className="ov-clock__row">
+                <label>{technique === 'kinetic' || technique === 'nuclear' ? 'Intercept' : 'Start'} <input type="date" className="ov-input" value={startDate} onChange={(e) => setStartDate(e.target.value)} /></label>
+                <NumberField label="Look ahead" value={horizonYears} onChange={setHorizonYears} step="1" unit="yr" />
+            </div>
+            {technique === 'kinetic' && (
+                <div className="ov-clock__row">
+                    <NumberField label="Impactor" value={impactorMass} onChange={setImpactorMass} step="10" unit="kg" />
+                    <NumberField label="at" value={impactorSpeed} onChange={setImpactorSpeed} step="0.1" unit="km/s" />
+                    <NumberField label="β" value={beta} onChange={setBeta} step="0.1" />
+                </div>
+            )}
+            {technique === 'gravityTractor' && (
+                <div className="ov-clock__row">
+                    <NumberField label="Spacecraft" value={spacecraftMass} onChange={setSpacecraftMass} step="1000" unit="kg" />
+                    <NumberField label="Hover at" value={hoverDistance} onChange={setHoverDistance} step="10" unit="m" />
+                </div>
+            )}
+            {technique === 'ionBeam' && (
+                <div className="ov-clock__row">
+                    <NumberField label="Beam thrust" value={beamThrust} onChange={setBeamThrust} step="0.01" unit="N" />
+                </div>
+            )}
+            {technique === 'nuclear' && (
+                <div className="ov-clock__row">
+                    <NumberField label="Yield" value={yieldKt} onChange={setYieldKt} step="10" unit="kt" />
+                    <NumberField label="Standoff" value={standoff} onChange={setStandoff} step="5" unit="m" />
+                </div>
+            )}
+            <div className="ov-clock__row">
+                {(technique === 'gravityTractor' || technique === 'ionBeam') && <NumberField label="For" value={durationYears} onChange={setDurationYears} step="1" unit="yr" />}
+                <label>Direction <select className="ov-input" value={direction} onChange={(e) => setDirection(parseInt(e.target.value, 10))}>
+                    <option value={-1}>Against the motion (slow down)</option>
+                    <option value={1}>Along the motion (speed up)</option>
+                </select></label>
+                <button className="ov-btn" onClick={simulate} disabled={!meteor || !inputsValid}>Simulate</button>
+            </div>
+
+            {error && <p className="ov-warning">{error}</p>}
+            {result?.displacement && <DisplacementPlot result={result} />}
+            {result?.nuclear && <StandoffPlot result={result} />}
+            {result?.nuclear?.fragmented && (
+                <p className="ov-warning">
+                    The body would be fragmented rather than deflected: the fragments keep nearly the original orbit.
+                    Move the burst farther out or lower the yield.
+                </p>
+            )}
+            {result && (
+                <table className="ov-info__table">
+                    <tbody>
+                        <tr><td>Object mass</td><td>{result.mass.toExponential(2)} kg</td></tr>
+                        {result.acceleration !== undefined && <tr><td>Acceleration</td><td>{result.acceleration.toExponential(2)} m/s²</td></tr>}
+                        {result.hoverThrust !== null && result.hoverThrust !== undefined && (
+                            <tr><td>Hover thrust</td><td>{result.hoverThrust.toFixed(3)} N</td></tr>
+                        )}
+                        {result.nuclear && (
+                            <>
+                                <tr><td>Energy on target</td><td>{(result.nuclear.interceptedEnergy / KILOTON_JOULES).toFixed(2)} kt</td></tr>
+                                <tr><td>Blow-off</td><td>{result.nuclear.heatedMass.toExponential(2)} kg at {(result.nuclear.ejectaSpeed / 1000).toFixed(2)} km/s</td></tr>
+                                <tr>
+                                    <td>Shock vs Q*</td>
+                                    <td>{result.nuclear.shockEnergy.toFixed(0)} / {result.nuclear.disruptionThreshold.toFixed(0)} J/kg{result.nuclear.contact ? ' (contact burst)' : ''}</td>
+                                </tr>
+                            </>
+                        )}
+                        <tr>
+                            <td>Δv</td>
+                            <td>
+                                {(result.deltaVMagnitude * 1e6).toFixed(3)} mm/s along-track
+                                {result.thrustCut && <span className="ov-warning"> (push cut short at the encounter)</span>}
+                            </td>
+                        </tr>
+                        {result.warningTime !== undefined && result.warningTime !== null && (
+                            <tr><td>Warning time</td><td>{(result.warningTime / 365.25).toFixed(2)} yr</td></tr>
+                        )}
+                        {comparison && (
+                            <>
+                                <tr><td>Next approach</td><td>{formatUtc(comparison.original.date)}</td></tr>
+                                <tr>
+                                    <td>Original miss</td>
+                                    <td>
+                                        {formatMiss(comparison.original.distanceKm)}
+                                        {comparison.original.distanceKm < EARTH_RADIUS_KM && <span className="ov-warning"> impact</span>}
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <td>Deflected miss</td>
+                                    <td>
+                                        {formatMiss(comparison.deflected.distanceKm)}
+                                        {comparison.deflected.distanceKm < EARTH_RADIUS_KM && <span className="ov-warning"> impact</span>}
+                                    </td>
+                                </tr>
+                                <tr><td>Change</td><td>{comparison.changeKm >= 0 ? '+' : ''}{formatMiss(comparison.changeKm)}</td></tr>
+                                <tr><td>Arrival shift</td><td>{comparison.timeShiftSeconds.toFixed(1)} s</td></tr>
+                            </>
+                        )}
+                    </tbody>
+                </table>
+            )}
+            {result && (
+                <div className="ov-clock__row">
+                    <button className="ov-btn" onClick={() => onApply(result.meteor, result)} disabled={result.nuclear?.fragmented}>Apply to scene</button>
+                    {comparison && <button className="ov-btn" onClick={() => onJump(comparison.original.time, result.meteor.name)}>Go to encounter</button>}
+                    <button className="ov-btn" onClick={() => onReset(result.meteor)}>Reset orbit</button>
+                </div>
+            )}
+            <p>Original path dashed grey, deflected path green. A push along the orbit changes the period, so the miss distance grows with the warning time.</p>
+            {technique === 'nuclear' && <p>A contact burst spends its energy shattering the body; from a standoff of a fraction of a radius the neutrons heat a wide cap that blows off and pushes the body as a whole.</p>}
+        </div>
+    );
+}
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import { rateImpactHazard, TORINO_HORIZON_YEARS } from '../analysis/HazardScales';
+import { impactSpeedKmS } from '../analysis/VirtualImpactors';
+import { findCloseApproaches } from '../analysis/CloseApproachFinder';
+import { impactEnergyMt, loadCollisionCalculator } from '../utils/CollisionCalculator';
+import { dateToTdbDays, formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+const MODES = {
+    catalog: 'Catalog object',
+    custom: 'Custom scenario'
+};
+
+// Value for <input type="date">, read and written as UTC
+function toDateInput(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Number input bound to a numeric state value
+function NumberField({ label, value, onChange, step = 'any', unit }) {
+    return (
+        <label>
+            {label} <input type="number" step={step} className="ov-input ov-input--short" value={value} onChange={(e) => onChange(parseFloat(e.target.value))} /> {unit}
+        </label>
+    );
+}
+
+function describePalermo(palermo) {
+    if (palermo < -2) return 'no likely consequences';
+    if (palermo < 0) return 'merits careful monitoring';
+    return 'above the background risk: a level of concern';
+}
+
+// Torino category on its colour-coded zone, with the Palermo value and the numbers behind both.
+// With upperBound set the probability is an upper limit, and so are both ratings.
+function HazardRating({ rating, upperBound }) {
+    const bound = upperBound ? '≤ ' : '';
+    return (
+        <>
+            {upperBound && <p>No Monte Carlo clone hit Earth: the probability is an upper limit and the ratings are upper bounds.</p>}
+            {rating.torinoLevel ? (
+                <div className="ov-torino" style={{ background: rating.torinoLevel.color }}>
+                    <span className="ov-torino__value">Torino {rating.torino}</span> {rating.torinoLevel.zone}
+                    <div>{rating.torinoLevel.description}</div>
+                </div>
+            ) : (
+                <p>No Torino rating: the scale only covers the next {TORINO_HORIZON_YEARS} years.</p>
+            )}
+            <table className="ov-info__table">
+                <tbody>
+                    <tr><td>Palermo scale</td><td>{bound}{rating.palermo.toFixed(2)} ({describePalermo(rating.palermo)})</td></tr>
+                    <tr><td>Impact probability</td><td>{bound}{rating.probability.toExponential(2)}</td></tr>
+                    <tr><td>Impact energy</td><td>{rating.energyMt.toPrecision(3)} Mt TNT</td></tr>
+                    <tr><td>Time to impact</td><td>{rating.yearsToImpact.toFixed(2)} yr</td></tr>
+                    <tr><td>Background</td><td>one impact of this energy every {Math.round(1 / rating.backgroundFrequency).toLocaleString()} yr</td></tr>
+                </tbody>
+            </table>
+        </>
+    );
+}
+
+// Torino and Palermo ratings for the next close approach of a catalog object or for a custom scenario.
+// impactRun is the last ImpactProbabilityPanel result ({ name, result }); it gives the probability when it
+// analysed the approach being rated.
+export default function HazardScalePanel({ meteors, initialTarget, impactRun, clock, onClose }) {
+    const catalogMeteors = meteors.filter((meteor) => meteor.orbitSource === 'catalog');
+    const [mode, setMode] = useState('catalog');
+    const [targetName, setTargetName] = useState(initialTarget ?? catalogMeteors[0]?.name ?? '');
+    const [diameter, setDiameter] = useState(140); // m
+    const [density, setDensity] = useState(2600); // kg/m³
+    const [angle, setAngle] = useState(45); // degrees from the horizontal
+    const [probability, setProbability] = useState(1e-4);
+    const [velocity, setVelocity] = useState(20); // km/s, custom scenario only
+    const [impactDate, setImpactDate] = useState(() => toDateInput(new Date(clock.getDate().getTime() + 10 * 365.25 * 86400000)));
+    const [rating, setRating] = useState(null);
+    const [fromRun, setFromRun] = useState(null); // { upperBound } when the rating took the Monte Carlo probability
+    const [encounter, setEncounter] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (initialTarget) setTargetName(initialTarget);
+    }, [initialTarget]);
+
+    const meteor = catalogMeteors.find((m) => m.name === targetName);
+
+    // Impact time (TDB days) and speed (km/s) of the scenario, or null when the object has no encounter
+    const scenario = () => {
+        const now = clock.getTime();
+        if (mode === 'custom') {
+            return { time: dateToTdbDays(new Date(`${impactDate}T00:00:00Z`)), speed: velocity, approach: null };
+        }
+        const approach = findCloseApproaches(meteor.orbit, { start: now, end: now + TORINO_HORIZON_YEARS * 365.25 })[0];
+        return approach ? { time: approach.time, speed: impactSpeedKmS(approach.relativeSpeedKmS), approach } : null;
+    };
+
+    // A Monte Carlo run on the same object and encounter is the best probability we have for it. Without
+    // a hit among the clones it only gives an upper limit.
+    const runEstimate = (approach) => {
+        const run = impactRun?.name === targetName ? impactRun.result : null;
+        if (!approach || !run || Math.abs(run.encounter.time - approach.time) > 30) return null;
+        return run.impacts > 0
+            ? { probability: run.probability, upperBound: false }
+            : { probability: run.upperLimit, upperBound: true };
+    };
+
+    const rate = () => {
+        setRating(null);
+        setFromRun(null);
+        setError(null);
+        const event = scenario();
+        setEncounter(event?.approach ?? null);
+        if (!event) {
+            setError(`${targetName} does not come within 0.2 AU of Earth in the next ${TORINO_HORIZON_YEARS} years.`);
+            return;
+        }
+        const yearsToImpact = (event.time - clock.getTime()) / 365.25;
+        if (yearsToImpact <= 0) {
+            setError('The impact date must lie after the current simulation date.');
+            return;
+        }
+        const estimate = runEstimate(event.approach);
+        if (estimate) setProbability(estimate.probability);
+        loadCollisionCalculator()
+            .then((getMeteorData) => {
+                const energyMt = impactEnergyMt(getMeteorData, { diameter, density, velocity: event.speed, angle });
+                setRating(rateImpactHazard({ probability: estimate?.probability ?? probability, energyMt, yearsToImpact }));
+                setFromRun(estimate);
+            })
+            .catch((err) => setError(err.message));
+    };
+
+    const inputsValid = diameter > 0 && density > 0 && probability > 0 && probability <= 1 && angle > 0 && angle <= 90
+        && (mode === 'catalog' ? Boolean(meteor) : velocity > 0);
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Hazard scales</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                {Object.entries(MODES).map(([key, label]) => (
+                    <button
+                        key={key}
+                        className={`ov-btn${mode === key ? ' ov-btn--active' : ''}`}
+                        onClick={() => { setMode(key); setRating(null); setError(null); }}
+                    >{label}</button>
+                ))}
+            </div>
+            {mode === 'catalog' ? (
+                <div className="ov-clock__row">
+                    <label>Object <select className="ov-input" value={targetName} onChange={(e) => { setTargetName(e.target.value); setRating(null); }}>
+                        {catalogMeteors.map((m) => <option key={m.name} value={m.name}>{m.name}</option>)}
+                    </select></label>
+                </div>
+            ) : (
+                <div className="ov-clock__row">
+                    <label>Impact on <input type="date" className="ov-input" value={impactDate} onChange={(e) => setImpactDate(e.target.value)} /></label>
+                    <NumberField label="Speed" value={velocity} onChange={setVelocity} step="1" unit="km/s" />
+                </div>
+            )}
+            <div className="ov-clock__row">
+                <NumberField label="Diameter" value={diameter} onChange={setDiameter} unit="m" />
+                <NumberField label="Density" value={density} onChange={setDensity} step="100" unit="kg/m³" />
+                <NumberField label="Angle" value={angle} onChange={setAngle} step="5" unit="°" />
+            </div>
+            <div className="ov-clock__row">
+                <NumberField label="Impact probability" value={probability} onChange={setProbability} />
+                {rating && fromRun && <span>(from the last Monte Carlo run{fromRun.upperBound ? ', upper limit' : ''})</span>}
+                <button className="ov-btn" onClick={rate} disabled={!inputsValid}>Rate</button>
+            </div>
+
+            {error && <p className="ov-warning">{error}</p>}
+            {encounter && (
+                <p>Next approach {formatUtc(encounter.date)} at {encounter.relativeSpeedKmS.toFixed(2)} km/s; the impact speed adds Earth's escape speed.</p>
+            )}
+            {rating && <HazardRating rating={rating} upperBound={Boolean(fromRun?.upperBound)} />}
+            <p>
+                Energy from the collision simulator's calculator. Palermo compares the risk with the background
+                of random impacts until the event; Torino places it on the public 0-10 chart.
+            </p>
+        </div>
+    );
+}
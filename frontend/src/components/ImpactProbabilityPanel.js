@@ -0,0 +1,227 @@
+import { useEffect, useRef, useState } from 'react';
+import { estimateImpactProbability, UNCERTAINTY_PRESETS } from '../analysis/VirtualImpactors';
+import { AU_MKM, EARTH_RADIUS_KM } from '../physics/Constants';
+import { dateToTdbDays, formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+const DEG = Math.PI / 180;
+
+const PLOT_WIDTH = 420;
+const PLOT_HEIGHT = 160;
+const PLOT_MARGIN = { left: 40, bottom: 26, top: 8, right: 8 };
+const HISTOGRAM_BINS = 40;
+
+// σ fields shown to the user, in catalog units, and their factor to the orbit parameter units
+const SIGMA_FIELDS = [
+    { key: 'q', label: 'σq', unit: 'AU', scale: AU_MKM },
+    { key: 'e', label: 'σe', unit: '', scale: 1 },
+    { key: 'i', label: 'σi', unit: '°', scale: DEG },
+    { key: 'node', label: 'σΩ', unit: '°', scale: DEG },
+    { key: 'omega', label: 'σω', unit: '°', scale: DEG },
+    { key: 'tp', label: 'σtp', unit: 'd', scale: 1 }
+];
+
+// Value for <input type="date">, read and written as UTC
+function toDateInput(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Orbit-unit uncertainty -> catalog units for the input fields, and back
+function toDisplayUnits(uncertainty) {
+    return Object.fromEntries(SIGMA_FIELDS.map(({ key, scale }) => [key, uncertainty[key] / scale]));
+}
+
+function toOrbitUnits(sigmas) {
+    return Object.fromEntries(SIGMA_FIELDS.map(({ key, scale }) => [key, sigmas[key] * scale]));
+}
+
+function formatProbability(result) {
+    if (result.upperLimit !== null) return `< ${(result.upperLimit * 100).toPrecision(2)}% (no impacting clone)`;
+    return `${(result.probability * 100).toPrecision(3)}% ± ${(result.standardError * 100).toPrecision(2)}% (1 in ${Math.round(1 / result.probability).toLocaleString()})`;
+}
+
+// Histogram of the clones' miss distances in Earth radii; bins inside the capture radius are red
+function MissHistogram({ result }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const context = canvasRef.current.getContext('2d');
+        const misses = result.clones.filter((c) => c.approach).map((c) => c.approach.distanceKm / EARTH_RADIUS_KM).sort((a, b) => a - b);
+        const capture = result.captureRadiusKm / EARTH_RADIUS_KM;
+        const width = PLOT_WIDTH - PLOT_MARGIN.left - PLOT_MARGIN.right;
+        const height = PLOT_HEIGHT - PLOT_MARGIN.top - PLOT_MARGIN.bottom;
+        context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+        if (!misses.length) return;
+
+        // The widest 10% are left out so that the core of the cloud stays readable
+        const maxMiss = Math.max(misses[Math.floor(misses.length * 0.9)], 3 * capture);
+        const bins = new Array(HISTOGRAM_BINS).fill(0);
+        misses.filter((miss) => miss <= maxMiss).forEach((miss) => {
+            bins[Math.min(HISTOGRAM_BINS - 1, Math.floor(miss / maxMiss * HISTOGRAM_BINS))]++;
+        });
+        const maxCount = Math.max(...bins);
+        const binWidth = width / HISTOGRAM_BINS;
+        bins.forEach((count, i) => {
+            const barHeight = count / maxCount * height;
+            context.fillStyle = (i + 0.5) / HISTOGRAM_BINS * maxMiss < capture ? '#ff4040' : '#61dafb';
+            context.fillRect(PLOT_MARGIN.left + i * binWidth, PLOT_MARGIN.top + height - barHeight, binWidth - 1, barHeight);
+        });
+
+        const captureX = PLOT_MARGIN.left + capture / maxMiss * width;
+        context.strokeStyle = '#ff4040';
+        context.setLineDash([4, 3]);
+        context.beginPath();
+        context.moveTo(captureX, PLOT_MARGIN.top);
+        context.lineTo(captureX, PLOT_MARGIN.top + height);
+        context.stroke();
+        context.setLineDash([]);
+
+        context.fillStyle = 'white';
+        context.font = '10px Arial';
+        context.textAlign = 'right';
+        context.fillText(`${maxCount}`, PLOT_MARGIN.left - 4, PLOT_MARGIN.top + 8);
+        context.fillText('0', PLOT_MARGIN.left - 4, PLOT_MARGIN.top + height);
+        context.textAlign = 'center';
+        context.fillText(`Clone miss distance (0 – ${maxMiss.toFixed(maxMiss < 10 ? 1 : 0)} R⊕)`, PLOT_MARGIN.left + width / 2, PLOT_HEIGHT - 4);
+    }, [result]);
+
+    return <canvas ref={canvasRef} className="ov-plot" width={PLOT_WIDTH} height={PLOT_HEIGHT} />;
+}
+
+// Monte Carlo impact probability for a catalog object at its next Earth encounter.
+// onShowClones(result, name) draws the clone cloud in the scene (null removes it); onJump(time, name) moves
+// the clock to the encounter.
+export default function ImpactProbabilityPanel({ meteors, initialTarget, clock, onShowClones, onJump, onClose }) {
+    const catalogMeteors = meteors.filter((meteor) => meteor.orbitSource === 'catalog');
+    const [targetName, setTargetName] = useState(initialTarget ?? catalogMeteors[0]?.name ?? '');
+    const [startDate, setStartDate] = useState(() => toDateInput(clock.getDate()));
+    const [horizonYears, setHorizonYears] = useState(30);
+    const [count, setCount] = useState(500);
+    const [sigmas, setSigmas] = useState(() => toDisplayUnits(UNCERTAINTY_PRESETS.discovery));
+    const [result, setResult] = useState(null);
+    const [history, setHistory] = useState([]); // earlier runs on the same target, oldest first
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (initialTarget) setTargetName(initialTarget);
+    }, [initialTarget]);
+
+    const meteor = catalogMeteors.find((m) => m.name === targetName);
+    const catalogUncertainty = meteor?.orbitParams?.uncertainty ?? null;
+
+    const selectTarget = (name) => {
+        setTargetName(name);
+        setResult(null);
+        setHistory([]);
+        onShowClones(null);
+    };
+
+    const run = (runSigmas) => {
+        setError(null);
+        if (!meteor) return;
+        const start = dateToTdbDays(new Date(`${startDate}T00:00:00Z`));
+        const outcome = estimateImpactProbability(meteor.orbit, {
+            uncertainty: toOrbitUnits(runSigmas),
+            count,
+            start,
+            end: start + horizonYears * 365.25
+        });
+        setSigmas(runSigmas);
+        setResult(outcome);
+        onShowClones(outcome, targetName);
+        if (!outcome) {
+            setError(`${targetName} does not come within 0.2 AU of Earth in the ${horizonYears} years after ${startDate}.`);
+            return;
+        }
+        setHistory((runs) => [...runs, { sigmas: runSigmas, result: outcome }]);
+    };
+
+    // Observations shrink every uncertainty; a third per step is roughly a doubled arc
+    const refine = () => {
+        run(Object.fromEntries(Object.entries(sigmas).map(([key, sigma]) => [key, sigma / 3])));
+    };
+
+    const inputsValid = count > 0 && horizonYears > 0 && SIGMA_FIELDS.every(({ key }) => sigmas[key] >= 0);
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Impact probability</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                <label>Object <select className="ov-input" value={targetName} onChange={(e) => selectTarget(e.target.value)}>
+                    {catalogMeteors.map((m) => <option key={m.name} value={m.name}>{m.name}</option>)}
+                </select></label>
+                <label>From <input type="date" className="ov-input" value={startDate} onChange={(e) => setStartDate(e.target.value)} /></label>
+                <label>Look ahead <input type="number" className="ov-input ov-input--short" value={horizonYears} onChange={(e) => setHorizonYears(parseFloat(e.target.value))} /> yr</label>
+            </div>
+            <div className="ov-clock__row">
+                {Object.entries(UNCERTAINTY_PRESETS).map(([key, preset]) => (
+                    <button key={key} className="ov-btn" onClick={() => setSigmas(toDisplayUnits(preset))}>{preset.label}</button>
+                ))}
+                <button className="ov-btn" disabled={!catalogUncertainty} onClick={() => setSigmas(toDisplayUnits(catalogUncertainty))}>Catalog σ</button>
+            </div>
+            <div className="ov-clock__row">
+                {SIGMA_FIELDS.map(({ key, label, unit }) => (
+                    <label key={key}>
+                        {label} <input
+                            type="number"
+                            step="any"
+                            className="ov-input ov-input--short"
+                            value={sigmas[key]}
+                            onChange={(e) => setSigmas({ ...sigmas, [key]: parseFloat(e.target.value) })}
+                        /> {unit}
+                    </label>
+                ))}
+            </div>
+            <div className="ov-clock__row">
+                <label>Clones <input type="number" step="100" className="ov-input ov-input--short" value={count} onChange={(e) => setCount(parseInt(e.target.value, 10))} /></label>
+                <button className="ov-btn" onClick={() => run(sigmas)} disabled={!meteor || !inputsValid}>Run</button>
+                <button className="ov-btn" onClick={refine} disabled={!result || !inputsValid}>More observations (σ ÷ 3)</button>
+                <button className="ov-btn" onClick={() => { setResult(null); setHistory([]); onShowClones(null); }}>Clear</button>
+            </div>
+
+            {error && <p className="ov-warning">{error}</p>}
+            {result && (
+                <>
+                    <MissHistogram result={result} />
+                    <table className="ov-info__table">
+                        <tbody>
+                            <tr><td>Encounter</td><td>{formatUtc(result.encounter.date)}</td></tr>
+                            <tr><td>Nominal miss</td><td>{Math.round(result.encounter.distanceKm).toLocaleString()} km ({(result.encounter.distanceKm / EARTH_RADIUS_KM).toFixed(1)} R⊕)</td></tr>
+                            <tr><td>Relative speed</td><td>{result.encounter.relativeSpeedKmS.toFixed(2)} km/s</td></tr>
+                            <tr><td>Capture radius</td><td>{Math.round(result.captureRadiusKm).toLocaleString()} km ({(result.captureRadiusKm / EARTH_RADIUS_KM).toFixed(2)} R⊕)</td></tr>
+                            <tr><td>Impacting clones</td><td>{result.impacts} of {result.count}</td></tr>
+                            <tr><td>Impact probability</td><td className={result.impacts > 0 ? 'ov-warning' : ''}>{formatProbability(result)}</td></tr>
+                        </tbody>
+                    </table>
+                    <div className="ov-clock__row">
+                        <button className="ov-btn" onClick={() => onJump(result.encounter.time, targetName)}>Go to encounter</button>
+                    </div>
+                </>
+            )}
+            {history.length > 1 && (
+                <table className="ov-table">
+                    <thead>
+                        <tr><th>Run</th><th>σtp</th><th>Impact probability</th></tr>
+                    </thead>
+                    <tbody>
+                        {history.map((entry, i) => (
+                            <tr key={i}>
+                                <td>{i + 1}</td>
+                                <td>{entry.sigmas.tp.toPrecision(2)} d</td>
+                                <td>{formatProbability(entry.result)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <p>
+                Each dot in the scene is an orbit that fits the observations equally well; red ones hit Earth at this encounter.
+                While the cloud is wider than Earth, shrinking it can raise the odds before Earth falls outside it and they drop to zero.
+            </p>
+        </div>
+    );
+}
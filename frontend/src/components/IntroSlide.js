@@ -64,9 +64,9 @@ export default function IntroSlide({ topLeft = 'First, calm down. There\'s no ne
         for (; index < end; index++) {
           try {
             const position = new THREE.Vector3(
-              orbits[index].semiMajorAxis * Math.cos(orbits[index].omega),
+              orbits[index].perihelionDistance * Math.cos(orbits[index].omega),
               0,
-              orbits[index].semiMajorAxis * Math.sin(orbits[index].omega)
+              orbits[index].perihelionDistance * Math.sin(orbits[index].omega)
             );
             const meteor = new Meteor(
               scene,
@@ -101,7 +101,7 @@ export default function IntroSlide({ topLeft = 'First, calm down. There\'s no ne
       }
       try {
         const data = window.preloadedAsteroidData || await fetch('/Near-Earth.json').then(r => r.json());
-        cachedAsteroidOrbits = parseOrbitFile(data);
+        cachedAsteroidOrbits = parseOrbitFile(data).orbits;
         return cachedAsteroidOrbits;
       } catch (err) {
         console.error('Failed to load Near-Earth.json:', err);
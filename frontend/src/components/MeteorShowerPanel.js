@@ -0,0 +1,134 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Orbit } from '../render/Orbit';
+import { predictMeteorShowers } from '../analysis/MeteorShowers';
+import '../styles/orbitviewer.css';
+
+const OBJECTS_PER_BATCH = 10; // Orbits searched per frame so the scene keeps rendering
+
+const COLUMNS = [
+    { key: 'name', label: 'Parent' },
+    { key: 'time', label: 'Peak (UTC)' },
+    { key: 'solarLongitude', label: 'λ☉ (°)' },
+    { key: 'rightAscension', label: 'RA (°)' },
+    { key: 'declination', label: 'Dec (°)' },
+    { key: 'geocentricSpeedKmS', label: 'Vg (km/s)' },
+    { key: 'distanceAu', label: 'Δ (AU)' }
+];
+
+// Predicted meteor showers of the catalog comets for a year, sortable.
+// onShow(shower, name) draws the stream in the scene and moves the clock to the peak; onShow(null) clears it.
+export default function MeteorShowerPanel({ orbits, clock, onShow, onClose }) {
+    const [year, setYear] = useState(() => clock.getDate().getUTCFullYear());
+    const [maxDistanceAu, setMaxDistanceAu] = useState(0.1);
+    const [showers, setShowers] = useState([]);
+    const [progress, setProgress] = useState(null);
+    const [sort, setSort] = useState({ key: 'solarLongitude', ascending: true });
+    const [shown, setShown] = useState(null);
+    const timeoutRef = useRef(null);
+
+    // Stop a running search when the panel closes
+    useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+    const predict = () => {
+        clearTimeout(timeoutRef.current);
+        const found = [];
+        let index = 0;
+        setShowers([]);
+        setProgress(0);
+
+        const predictBatch = () => {
+            const end = Math.min(index + OBJECTS_PER_BATCH, orbits.length);
+            for (; index < end; index++) {
+                const orbitParams = orbits[index];
+                try {
+                    predictMeteorShowers(new Orbit(orbitParams), { year, maxDistanceAu }).forEach((shower) => {
+                        found.push({ name: orbitParams.name, ...shower, ...shower.radiant });
+                    });
+                } catch (error) {
+                    console.error(`Meteor shower prediction failed for ${orbitParams.name}:`, error);
+                }
+            }
+            setProgress(index / orbits.length);
+            if (index < orbits.length) {
+                timeoutRef.current = setTimeout(predictBatch, 16);
+            } else {
+                setShowers([...found]);
+                setProgress(null);
+            }
+        };
+        predictBatch();
+    };
+
+    const sorted = useMemo(() => {
+        const direction = sort.ascending ? 1 : -1;
+        return [...showers].sort((a, b) => {
+            if (sort.key === 'name') return direction * a.name.localeCompare(b.name);
+            return direction * (a[sort.key] - b[sort.key]);
+        });
+    }, [showers, sort]);
+
+    const toggleSort = (key) => {
+        setSort((current) => ({ key, ascending: current.key === key ? !current.ascending : true }));
+    };
+
+    const show = (shower) => {
+        setShown(shower);
+        onShow(shower, shower?.name ?? null);
+    };
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Meteor showers</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                <label>Year <input type="number" className="ov-input ov-input--short" value={year} onChange={(e) => setYear(parseInt(e.target.value, 10))} /></label>
+                <label>Max AU <input type="number" step="0.01" min="0.001" className="ov-input ov-input--short" value={maxDistanceAu} onChange={(e) => setMaxDistanceAu(parseFloat(e.target.value))} /></label>
+                <button className="ov-btn" onClick={predict} disabled={progress !== null || !orbits.length || !Number.isFinite(year) || !(maxDistanceAu > 0)}>Predict</button>
+                <button className="ov-btn" onClick={() => show(null)} disabled={!shown}>Clear stream</button>
+            </div>
+
+            {progress !== null && <p>Searching {orbits.length} orbits… {Math.round(progress * 100)}%</p>}
+            {progress === null && <p>{showers.length} showers where a parent's orbit passes within {maxDistanceAu} AU of Earth's</p>}
+
+            <div className="ov-table-wrap">
+                <table className="ov-table">
+                    <thead>
+                        <tr>
+                            {COLUMNS.map((column) => (
+                                <th key={column.key} onClick={() => toggleSort(column.key)}>
+                                    {column.label}{sort.key === column.key ? (sort.ascending ? ' ▲' : ' ▼') : ''}
+                                </th>
+                            ))}
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sorted.map((shower) => (
+                            <tr
+                                key={`${shower.name}-${shower.solarLongitude}`}
+                                className={shower === shown ? 'ov-table__row--selected' : undefined}
+                            >
+                                <td>{shower.name}</td>
+                                <td>{shower.date.toISOString().slice(0, 10)}</td>
+                                <td>{shower.solarLongitude.toFixed(1)}</td>
+                                <td>{shower.rightAscension.toFixed(1)}</td>
+                                <td>{shower.declination >= 0 ? '+' : ''}{shower.declination.toFixed(1)}</td>
+                                <td>{shower.geocentricSpeedKmS.toFixed(1)}</td>
+                                <td>{shower.distanceAu.toFixed(3)}</td>
+                                <td><button className="ov-btn" onClick={() => show(shower)}>Show</button></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p>
+                The stream is taken to follow its parent's orbit: the shower peaks when Earth passes the point of its
+                orbit nearest to the comet's, and the radiant is where the meteoroids' velocity relative to Earth points
+                back to. Real streams drift away from their parents, so peaks can differ by a day or more.
+            </p>
+        </div>
+    );
+}
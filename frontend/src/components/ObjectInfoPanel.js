@@ -0,0 +1,234 @@
+import { useEffect, useMemo, useState } from 'react';
+import { checkCatalogMoid } from '../analysis/Moid';
+import { COMET_FAMILIES, NEO_GROUPS } from '../analysis/Classification';
+import { predictMeteorShowers } from '../analysis/MeteorShowers';
+import { classificationColor, toCssColor } from '../render/ClassificationColors';
+import { AU_MKM, DAY_SECONDS, LUNAR_DISTANCE_KM } from '../physics/Constants';
+import { tdbDaysToDate, formatUtc } from '../physics/Time';
+import { earthMoonPositionsAt } from '../physics/PlanetaryElements';
+import '../styles/orbitviewer.css';
+
+const DEG = 180 / Math.PI;
+
+function formatAu(au) {
+    return `${au.toFixed(4)} AU (${(au * AU_MKM * 1e6 / LUNAR_DISTANCE_KM).toFixed(1)} LD)`;
+}
+
+function formatDrift(mkm) {
+    const km = mkm * 1e6;
+    return km < 1e6 ? `${Math.round(km).toLocaleString()} km` : formatAu(mkm / AU_MKM);
+}
+
+// Heliocentric distances in AU, geocentric ones (the Moon) in km
+function formatDistance(mkm) {
+    return mkm < 0.01 * AU_MKM ? `${Math.round(mkm * 1e6).toLocaleString()} km` : `${(mkm / AU_MKM).toFixed(4)} AU`;
+}
+
+// Comet family and NEO group, e.g. "Jupiter-family comet, Apollo (Earth-crossing, a > 1 AU)"
+function describeClassification(classification) {
+    const parts = [COMET_FAMILIES[classification.cometFamily], NEO_GROUPS[classification.neoGroup]].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : `${classification.type}, not near-Earth`;
+}
+
+// Peak date and radiant of a predicted shower, e.g. "12 Aug (λ☉ 139.4°), RA 45.8° Dec +57.7°, Vg 59.4 km/s"
+function describeShower(shower) {
+    const peak = shower.date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    const { rightAscension, declination } = shower.radiant;
+    return `${peak} (λ☉ ${shower.solarLongitude.toFixed(1)}°), RA ${rightAscension.toFixed(1)}° `
+        + `Dec ${declination >= 0 ? '+' : ''}${declination.toFixed(1)}°, Vg ${shower.geocentricSpeedKmS.toFixed(1)} km/s`;
+}
+
+function describeHazard(classification) {
+    if (classification.pha === null) return 'MOID ≤ 0.05 AU, size unknown';
+    return classification.pha ? 'Potentially hazardous' : 'No';
+}
+
+// Current distance from Earth in millions of km (the Moon's orbit is already geocentric)
+function earthDistance(body, time) {
+    if (body.centralBody === 'Earth') return Math.hypot(...body.orbit.walkInTime(time));
+    const position = body.getEclipticPositionAt(time);
+    const earth = earthMoonPositionsAt(time).earth;
+    return Math.hypot(position[0] - earth[0], position[1] - earth[1], position[2] - earth[2]);
+}
+
+// Orbit elements and derived analysis for the object the camera is locked onto
+export default function ObjectInfoPanel({ meteor, clock }) {
+    const orbit = meteor.orbit;
+    const orbitParams = meteor.orbitParams;
+    const [propagationMode, setPropagationMode] = useState(meteor.propagationMode);
+    const [nonGravitational, setNonGravitational] = useState(meteor.nonGravitational);
+    const [drift, setDrift] = useState(null); // N-body minus Kepler position, millions of km
+    const [distance, setDistance] = useState(null); // from Earth, millions of km
+    const [state, setState] = useState(null); // current state vector and derived quantities (Orbit.stateAt)
+    const [year, setYear] = useState(() => clock.getDate().getUTCFullYear()); // simulation year (UTC)
+
+    useEffect(() => {
+        setPropagationMode(meteor.propagationMode);
+        setNonGravitational(meteor.nonGravitational);
+    }, [meteor]);
+
+    // Follow the distance from Earth, in lunar distances for close approaches
+    useEffect(() => {
+        if (!meteor.orbit) return undefined;
+        const update = () => {
+            setDistance(earthDistance(meteor, clock.getTime()));
+            setState(meteor.getStateAt(clock.getTime()));
+        };
+        update();
+        const interval = setInterval(update, 500);
+        return () => clearInterval(interval);
+    }, [meteor, clock]);
+
+    // Follow the simulation year, immediately on clock jumps
+    useEffect(() => {
+        const refresh = () => setYear(clock.getDate().getUTCFullYear());
+        refresh();
+        const interval = setInterval(refresh, 500);
+        const unsubscribe = clock.subscribe(refresh);
+        return () => {
+            clearInterval(interval);
+            unsubscribe();
+        };
+    }, [clock]);
+
+    // Follow the drift of the integrated position away from the two-body solution
+    useEffect(() => {
+        setDrift(null);
+        if (propagationMode !== 'nbody' || !meteor.propagator) return undefined;
+        const update = () => setDrift(meteor.propagator.driftFromKepler(clock.getTime()));
+        update();
+        const interval = setInterval(update, 500);
+        return () => clearInterval(interval);
+    }, [meteor, clock, propagationMode, nonGravitational]);
+
+    const selectPropagation = (mode) => {
+        meteor.setPropagationMode(mode);
+        setPropagationMode(meteor.propagationMode);
+        setNonGravitational(meteor.nonGravitational);
+    };
+
+    const toggleNonGravitational = () => {
+        meteor.setNonGravitational(!meteor.nonGravitational);
+        setNonGravitational(meteor.nonGravitational);
+        setPropagationMode(meteor.propagationMode);
+    };
+
+    const nonGravitationalParams = orbitParams?.nonGravitational;
+    const classification = meteor.classification;
+
+    const moid = useMemo(
+        () => (orbit && !meteor.centralBody ? checkCatalogMoid(orbit, orbitParams?.catalogMoidAu) : null),
+        [meteor, orbit, orbitParams]
+    );
+
+    // Showers the object could feed as a parent, for the current simulation year
+    const showers = useMemo(
+        () => (orbit && meteor.orbitSource === 'catalog' ? predictMeteorShowers(orbit, { year }) : []),
+        [meteor, orbit, year]
+    );
+
+    if (!orbit) return null;
+
+    return (
+        <div className="ov-panel ov-info">
+            <h3 className="ov-side__title">{meteor.name}</h3>
+            <table className="ov-info__table">
+                <tbody>
+                    <tr><td>Orbit</td><td>{orbit.type}{meteor.orbitSource === 'random' ? ' (random)' : ''}{meteor.originalOrbit ? ' (deflected)' : ''}</td></tr>
+                    {classification && (
+                        <>
+                            <tr>
+                                <td>Class</td>
+                                <td><span style={{ color: toCssColor(classificationColor(classification)) }}>● </span>{describeClassification(classification)}</td>
+                            </tr>
+                            <tr><td>Tisserand T_J</td><td>{classification.tisserand.toFixed(3)}</td></tr>
+                            <tr><td>Hazardous</td><td>{describeHazard(classification)}</td></tr>
+                        </>
+                    )}
+                    <tr><td>a</td><td>{orbit.type === 'parabolic' ? '∞' : `${(orbit.a / AU_MKM).toFixed(4)} AU`}</td></tr>
+                    <tr><td>e</td><td>{orbit.e.toFixed(6)}</td></tr>
+                    <tr><td>q</td><td>{(orbit.q / AU_MKM).toFixed(4)} AU</td></tr>
+                    <tr><td>i</td><td>{(orbit.inclination * DEG).toFixed(3)}°</td></tr>
+                    <tr><td>ω</td><td>{(orbit.omega * DEG).toFixed(3)}°</td></tr>
+                    <tr><td>Ω</td><td>{(orbit.raan * DEG).toFixed(3)}°</td></tr>
+                    {orbit.type === 'elliptic' && <tr><td>Period</td><td>{(orbit.T / 365.25).toFixed(2)} yr</td></tr>}
+                    {orbitParams && <tr><td>Perihelion</td><td>{formatUtc(tdbDaysToDate(orbit.tau))}</td></tr>}
+                    {orbitParams && <tr><td>Epoch</td><td>{formatUtc(tdbDaysToDate(orbit.epoch))}</td></tr>}
+                    {distance !== null && (
+                        <tr>
+                            <td>Earth distance</td>
+                            <td>
+                                {formatAu(distance / AU_MKM)}
+                                {distance * 1e6 < LUNAR_DISTANCE_KM && <span className="ov-warning"> inside the Moon's orbit</span>}
+                            </td>
+                        </tr>
+                    )}
+                    {state && (
+                        <>
+                            <tr><td>r</td><td>{formatDistance(state.distance)} from {meteor.centralBody ?? 'the Sun'}</td></tr>
+                            <tr><td>Speed</td><td>{(state.speed * 1e6 / DAY_SECONDS).toFixed(2)} km/s</td></tr>
+                            <tr><td>True anomaly</td><td>{(state.trueAnomaly * DEG).toFixed(2)}°</td></tr>
+                            <tr><td>Flight-path angle</td><td>{(state.flightPathAngle * DEG).toFixed(2)}°</td></tr>
+                        </>
+                    )}
+                    {moid && <tr><td>Earth MOID</td><td>{formatAu(moid.computedAu)}</td></tr>}
+                    {moid && moid.catalogAu !== null && (
+                        <tr>
+                            <td>Catalog MOID</td>
+                            <td>
+                                {formatAu(moid.catalogAu)}
+                                {moid.flagged && <span className="ov-warning" title="Computed and catalog MOID disagree"> ⚠ mismatch</span>}
+                            </td>
+                        </tr>
+                    )}
+                    {showers.map((shower) => (
+                        <tr key={shower.solarLongitude}>
+                            <td>Meteor shower</td>
+                            <td>{describeShower(shower)}</td>
+                        </tr>
+                    ))}
+                    {meteor.orbitSource === 'catalog' && (
+                        <tr>
+                            <td>Propagation</td>
+                            <td>
+                                <button
+                                    className={`ov-btn${propagationMode === 'kepler' ? ' ov-btn--active' : ''}`}
+                                    onClick={() => selectPropagation('kepler')}
+                                    title="Two-body motion about the Sun"
+                                >
+                                    Kepler
+                                </button>
+                                <button
+                                    className={`ov-btn${propagationMode === 'nbody' ? ' ov-btn--active' : ''}`}
+                                    onClick={() => selectPropagation('nbody')}
+                                    title="Numerical integration with Earth, Moon and Jupiter perturbations"
+                                >
+                                    N-body
+                                </button>
+                                {nonGravitationalParams && (
+                                    <button
+                                        className={`ov-btn${nonGravitational ? ' ov-btn--active' : ''}`}
+                                        onClick={toggleNonGravitational}
+                                        title="Marsden outgassing model from the catalog A1/A2/A3"
+                                    >
+                                        Non-grav
+                                    </button>
+                                )}
+                            </td>
+                        </tr>
+                    )}
+                    {nonGravitationalParams && (
+                        <tr>
+                            <td>A1, A2, A3</td>
+                            <td>
+                                {[nonGravitationalParams.a1, nonGravitationalParams.a2, nonGravitationalParams.a3]
+                                    .map((a) => a.toExponential(2)).join(', ')} AU/d²
+                            </td>
+                        </tr>
+                    )}
+                    {drift !== null && <tr><td>Drift vs Kepler</td><td>{formatDrift(drift)}</td></tr>}
+                </tbody>
+            </table>
+        </div>
+    );
+}
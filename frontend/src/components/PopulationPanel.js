@@ -0,0 +1,272 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { JUPITER_SEMI_MAJOR_AXIS_AU } from '../analysis/Classification';
+import { nearestResonances } from '../analysis/Resonances';
+import { classificationColor, toCssColor } from '../render/ClassificationColors';
+import { AU_MKM } from '../physics/Constants';
+import '../styles/orbitviewer.css';
+
+const CANVAS_WIDTH = 420;
+const CANVAS_HEIGHT = 300;
+const MARGIN = { left: 40, bottom: 30, top: 8, right: 8 };
+const PICK_RADIUS = 8; // canvas pixels
+const A_TICKS = [0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500];
+const DEG = 180 / Math.PI;
+
+const DIAGRAMS = {
+    e: { label: 'a–e', max: 1, ticks: [0, 0.25, 0.5, 0.75, 1], title: 'e' },
+    i: { label: 'a–i', max: 180, ticks: [0, 45, 90, 135, 180], title: 'i (°)' }
+};
+
+const COLUMNS = [
+    { key: 'name', label: 'Object' },
+    { key: 'group', label: 'Class' },
+    { key: 'tisserand', label: 'T_J' },
+    { key: 'a', label: 'a (AU)' },
+    { key: 'e', label: 'e' },
+    { key: 'i', label: 'i (°)' },
+    { key: 'resonanceOffset', label: 'Nearest resonances' }
+];
+
+// Eccentricity on the T_J = tisserand curve of a zero-inclination orbit, or null where there is none
+function eccentricityOnTisserandCurve(a, tisserand) {
+    const term = (tisserand - JUPITER_SEMI_MAJOR_AXIS_AU / a) / 2;
+    const eSquared = 1 - JUPITER_SEMI_MAJOR_AXIS_AU / a * term ** 2;
+    return term >= 0 && eSquared >= 0 && eSquared <= 1 ? Math.sqrt(eSquared) : null;
+}
+
+function formatResonance(resonance) {
+    return `${resonance.label} (${resonance.offset >= 0 ? '+' : ''}${(resonance.offset * 100).toFixed(1)}%)`;
+}
+
+// Log a on x, e or i on y. Colours are the trace colours; the selected object is ringed in white.
+// On the a–e diagram the T_J = 2 and 3 curves (for i = 0) separate the comet families.
+function drawPopulation(canvas, points, diagram, range, selectedName) {
+    const context = canvas.getContext('2d');
+    const width = CANVAS_WIDTH - MARGIN.left - MARGIN.right;
+    const height = CANVAS_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const logMin = Math.log(range.min);
+    const logMax = Math.log(range.max);
+    const toX = (a) => MARGIN.left + (Math.log(a) - logMin) / (logMax - logMin) * width;
+    const toY = (value) => MARGIN.top + height - value / diagram.max * height;
+
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.font = '10px Arial';
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    context.fillStyle = 'white';
+    context.beginPath();
+    context.textAlign = 'center';
+    A_TICKS.filter((a) => a >= range.min && a <= range.max).forEach((a) => {
+        context.moveTo(toX(a), MARGIN.top);
+        context.lineTo(toX(a), MARGIN.top + height);
+        context.fillText(a, toX(a), CANVAS_HEIGHT - 16);
+    });
+    context.textAlign = 'right';
+    diagram.ticks.forEach((value) => {
+        context.moveTo(MARGIN.left, toY(value));
+        context.lineTo(MARGIN.left + width, toY(value));
+        context.fillText(value, MARGIN.left - 4, toY(value) + 3);
+    });
+    context.stroke();
+    context.textAlign = 'center';
+    context.fillText('a (AU)', MARGIN.left + width / 2, CANVAS_HEIGHT - 3);
+    context.save();
+    context.translate(10, MARGIN.top + height / 2);
+    context.rotate(-Math.PI / 2);
+    context.fillText(diagram.title, 0, 0);
+    context.restore();
+
+    context.strokeStyle = 'rgba(255, 179, 71, 0.8)';
+    context.fillStyle = 'rgba(255, 179, 71, 0.9)';
+    context.setLineDash([4, 3]);
+    if (JUPITER_SEMI_MAJOR_AXIS_AU > range.min && JUPITER_SEMI_MAJOR_AXIS_AU < range.max) {
+        context.beginPath();
+        context.moveTo(toX(JUPITER_SEMI_MAJOR_AXIS_AU), MARGIN.top);
+        context.lineTo(toX(JUPITER_SEMI_MAJOR_AXIS_AU), MARGIN.top + height);
+        context.stroke();
+        context.textAlign = 'left';
+        context.fillText('Jupiter', toX(JUPITER_SEMI_MAJOR_AXIS_AU) + 3, MARGIN.top + 10);
+    }
+    if (diagram === DIAGRAMS.e) {
+        [2, 3].forEach((tisserand) => {
+            context.beginPath();
+            let drawing = false;
+            for (let k = 0; k <= 200; k++) {
+                const a = Math.exp(logMin + (logMax - logMin) * k / 200);
+                const e = eccentricityOnTisserandCurve(a, tisserand);
+                if (e === null) {
+                    drawing = false;
+                } else if (drawing) {
+                    context.lineTo(toX(a), toY(e));
+                } else {
+                    context.moveTo(toX(a), toY(e));
+                    drawing = true;
+                }
+            }
+            context.stroke();
+        });
+        context.textAlign = 'left';
+        context.fillText('T_J = 2, 3', MARGIN.left + 4, MARGIN.top + 10);
+    }
+    context.setLineDash([]);
+
+    points.forEach((point) => {
+        context.fillStyle = point.color;
+        context.beginPath();
+        context.arc(toX(point.a), toY(point[diagram === DIAGRAMS.e ? 'e' : 'i']), 2.5, 0, 2 * Math.PI);
+        context.fill();
+    });
+    const selected = points.find((point) => point.name === selectedName);
+    if (selected) {
+        context.strokeStyle = 'white';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(toX(selected.a), toY(selected[diagram === DIAGRAMS.e ? 'e' : 'i']), 6, 0, 2 * Math.PI);
+        context.stroke();
+        context.lineWidth = 1;
+    }
+    return { toX, toY };
+}
+
+// Dynamical families of the catalog orbits: Tisserand parameter with respect to Jupiter, nearest
+// mean-motion resonances and a–e / a–i diagrams. onSelect(name) follows the object in the scene when it
+// is among drawnNames (the scene draws a limited number of objects).
+export default function PopulationPanel({ orbits, drawnNames, selectedName, onSelect, onClose }) {
+    const [diagramKey, setDiagramKey] = useState('e');
+    const [sort, setSort] = useState({ key: 'tisserand', ascending: false });
+    const canvasRef = useRef(null);
+    const scalesRef = useRef(null);
+
+    const rows = useMemo(() => orbits.filter((orbit) => orbit.classification).map((orbit) => {
+        const { classification } = orbit;
+        const a = orbit.eccentricity < 1 ? orbit.perihelionDistance / AU_MKM / (1 - orbit.eccentricity) : null;
+        const resonances = a === null ? [] : nearestResonances(a);
+        return {
+            name: orbit.name,
+            group: [classification.cometFamily, classification.neoGroup].filter(Boolean).join(' / ') || '—',
+            tisserand: classification.tisserand,
+            a,
+            e: orbit.eccentricity,
+            i: orbit.inclination * DEG,
+            resonances,
+            resonanceOffset: resonances.length > 0 ? Math.abs(resonances[0].offset) : Infinity,
+            color: toCssColor(classificationColor(classification))
+        };
+    }), [orbits]);
+
+    // Bound orbits only: open ones have no semi-major axis to plot
+    const points = useMemo(() => rows.filter((row) => row.a !== null), [rows]);
+    const range = useMemo(() => {
+        const values = points.map((point) => point.a);
+        return { min: Math.min(0.5, ...values) * 0.9, max: Math.max(10, ...values) * 1.1 };
+    }, [points]);
+
+    const diagram = DIAGRAMS[diagramKey];
+    useEffect(() => {
+        if (canvasRef.current) scalesRef.current = drawPopulation(canvasRef.current, points, diagram, range, selectedName);
+    }, [points, diagram, range, selectedName]);
+
+    // Object nearest to the pointer, within PICK_RADIUS
+    const handleCanvasClick = (event) => {
+        if (!scalesRef.current) return;
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (CANVAS_WIDTH / rect.width);
+        const y = (event.clientY - rect.top) * (CANVAS_HEIGHT / rect.height);
+        const { toX, toY } = scalesRef.current;
+        let nearest = null;
+        let nearestDistance = PICK_RADIUS;
+        points.forEach((point) => {
+            const distance = Math.hypot(toX(point.a) - x, toY(point[diagramKey]) - y);
+            if (distance < nearestDistance) {
+                nearest = point;
+                nearestDistance = distance;
+            }
+        });
+        if (nearest && drawnNames.has(nearest.name)) onSelect(nearest.name);
+    };
+
+    const sorted = useMemo(() => {
+        const direction = sort.ascending ? 1 : -1;
+        return [...rows].sort((a, b) => {
+            if (sort.key === 'name' || sort.key === 'group') return direction * a[sort.key].localeCompare(b[sort.key]);
+            return direction * ((a[sort.key] ?? Infinity) - (b[sort.key] ?? Infinity));
+        });
+    }, [rows, sort]);
+
+    const toggleSort = (key) => {
+        setSort((current) => ({ key, ascending: current.key === key ? !current.ascending : true }));
+    };
+
+    const familyCounts = rows.reduce((counts, row) => ({ ...counts, [row.group]: (counts[row.group] ?? 0) + 1 }), {});
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Comet families</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                {Object.entries(DIAGRAMS).map(([key, { label }]) => (
+                    <button
+                        key={key}
+                        className={`ov-btn${diagramKey === key ? ' ov-btn--active' : ''}`}
+                        onClick={() => setDiagramKey(key)}
+                    >{label}</button>
+                ))}
+                <span>{points.length} bound orbits{rows.length > points.length ? `, ${rows.length - points.length} open ones not plotted` : ''}</span>
+            </div>
+            <canvas
+                ref={canvasRef}
+                className="ov-plot ov-plot--clickable"
+                width={CANVAS_WIDTH}
+                height={CANVAS_HEIGHT}
+                onClick={handleCanvasClick}
+                title="Click an object to follow it"
+            />
+            <p>
+                {Object.entries(familyCounts).sort((a, b) => b[1] - a[1]).map(([group, count]) => `${group} ${count}`).join(' · ')}
+            </p>
+
+            <div className="ov-table-wrap">
+                <table className="ov-table">
+                    <thead>
+                        <tr>
+                            {COLUMNS.map((column) => (
+                                <th key={column.key} onClick={() => toggleSort(column.key)}>
+                                    {column.label}{sort.key === column.key ? (sort.ascending ? ' ▲' : ' ▼') : ''}
+                                </th>
+                            ))}
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sorted.map((row) => (
+                            <tr key={row.name} className={row.name === selectedName ? 'ov-table__row--selected' : undefined}>
+                                <td><span style={{ color: row.color }}>● </span>{row.name}</td>
+                                <td>{row.group}</td>
+                                <td>{row.tisserand.toFixed(3)}</td>
+                                <td>{row.a === null ? '∞' : row.a.toFixed(3)}</td>
+                                <td>{row.e.toFixed(4)}</td>
+                                <td>{row.i.toFixed(1)}</td>
+                                <td>{row.resonances.map(formatResonance).join(', ') || '—'}</td>
+                                <td>
+                                    <button
+                                        className="ov-btn"
+                                        onClick={() => onSelect(row.name)}
+                                        disabled={!drawnNames.has(row.name)}
+                                        title={drawnNames.has(row.name) ? undefined : 'Not drawn in the scene'}
+                                    >Go</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p>
+                T_J above 3: decoupled from Jupiter. 2-3: Jupiter family, whose encounters with Jupiter keep T_J nearly
+                constant. Below 2: Halley-type and long-period comets from the Oort cloud. Resonances p:q mean p orbits
+                per q of Jupiter; the offset is in semi-major axis.
+            </p>
+        </div>
+    );
+}
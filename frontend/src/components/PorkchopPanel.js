@@ -0,0 +1,228 @@
+import { useEffect, useRef, useState } from 'react';
+import { Orbit } from '../render/Orbit';
+import { computePorkchopRow, computeTransfer, contourSegments, createPorkchopGrid } from '../analysis/Porkchop';
+import { dateToTdbDays, tdbDaysToDate, formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+const GRID_STEPS = 60; // launch and arrival samples
+const ROWS_PER_BATCH = 4; // launch dates solved per frame so the scene keeps rendering
+const MIN_FLIGHT_DAYS = 20;
+const C3_LEVELS = [5, 10, 15, 20, 30, 40, 60, 80, 100]; // km²/s²
+const ARRIVAL_SPEED_LEVELS = [2, 4, 6, 8, 10, 15, 20, 30]; // km/s
+const C3_COLOR_MAX = 100; // km²/s², everything above is drawn at the top of the colour scale
+const CANVAS_WIDTH = 420;
+const CANVAS_HEIGHT = 300;
+const MARGIN = { left: 44, bottom: 28, top: 8, right: 8 };
+
+// Value for <input type="date">, read and written as UTC
+function toDateInput(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function shortDate(days) {
+    return tdbDaysToDate(days).toISOString().slice(0, 10);
+}
+
+// Dark blue (low C3) to red (high C3)
+function c3Color(c3) {
+    const x = Math.min(1, Math.sqrt(c3 / C3_COLOR_MAX));
+    return `hsl(${Math.round(230 - 230 * x)}, 70%, ${Math.round(22 + 18 * x)}%)`;
+}
+
+// Launch date (x) vs. arrival date (y) plot of a porkchop grid with C3 and arrival speed contours
+function drawPorkchop(canvas, grid, selected) {
+    const context = canvas.getContext('2d');
+    const width = CANVAS_WIDTH - MARGIN.left - MARGIN.right;
+    const height = CANVAS_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const rows = grid.launchTimes.length;
+    const columns = grid.arrivalTimes.length;
+    const toX = (row) => MARGIN.left + (row / (rows - 1)) * width;
+    const toY = (column) => MARGIN.top + height - (column / (columns - 1)) * height;
+
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    const cellWidth = width / (rows - 1);
+    const cellHeight = height / (columns - 1);
+    grid.c3.forEach((row, i) => row.forEach((c3, j) => {
+        if (Number.isNaN(c3)) return;
+        context.fillStyle = c3Color(c3);
+        context.fillRect(toX(i) - cellWidth / 2, toY(j) - cellHeight / 2, cellWidth + 1, cellHeight + 1);
+    }));
+
+    const drawContours = (values, levels, color) => {
+        context.strokeStyle = color;
+        context.lineWidth = 1;
+        context.beginPath();
+        levels.forEach((level) => {
+            contourSegments(values, level).forEach(([a, b]) => {
+                context.moveTo(toX(a[0]), toY(a[1]));
+                context.lineTo(toX(b[0]), toY(b[1]));
+            });
+        });
+        context.stroke();
+    };
+    drawContours(grid.c3, C3_LEVELS, 'rgba(255, 255, 255, 0.8)');
+    drawContours(grid.arrivalSpeed, ARRIVAL_SPEED_LEVELS, 'rgba(255, 179, 71, 0.9)');
+
+    // Axes: first, middle and last dates
+    context.fillStyle = 'white';
+    context.font = '10px Arial';
+    [0, Math.floor((rows - 1) / 2), rows - 1].forEach((i) => {
+        context.textAlign = i === 0 ? 'left' : i === rows - 1 ? 'right' : 'center';
+        context.fillText(shortDate(grid.launchTimes[i]), toX(i), CANVAS_HEIGHT - 14);
+    });
+    context.textAlign = 'center';
+    context.fillText('Launch', MARGIN.left + width / 2, CANVAS_HEIGHT - 2);
+    context.save();
+    context.translate(10, MARGIN.top + height / 2);
+    context.rotate(-Math.PI / 2);
+    context.fillText(`Arrival ${shortDate(grid.arrivalTimes[0])} → ${shortDate(grid.arrivalTimes[columns - 1])}`, 0, 0);
+    context.restore();
+
+    if (selected) {
+        const row = (selected.launchTime - grid.launchTimes[0]) / (grid.launchTimes[rows - 1] - grid.launchTimes[0]) * (rows - 1);
+        const column = (selected.arrivalTime - grid.arrivalTimes[0]) / (grid.arrivalTimes[columns - 1] - grid.arrivalTimes[0]) * (columns - 1);
+        context.strokeStyle = '#7cfc00';
+        context.lineWidth = 2;
+        context.strokeRect(toX(row) - 4, toY(column) - 4, 8, 8);
+    }
+}
+
+// Porkchop plot of direct Earth-to-target transfers for the catalog orbits.
+// onSelectTransfer(transfer, targetName) is called when the user picks a transfer to draw in the scene.
+export default function PorkchopPanel({ orbits, initialTarget, clock, onSelectTransfer, onClose }) {
+    const [targetName, setTargetName] = useState(initialTarget ?? orbits[0]?.name ?? '');
+    const [launchFrom, setLaunchFrom] = useState(() => toDateInput(clock.getDate()));
+    const [launchTo, setLaunchTo] = useState(() => toDateInput(new Date(clock.getDate().getTime() + 2 * 365.25 * 86400000)));
+    const [maxFlightDays, setMaxFlightDays] = useState(600);
+    const [grid, setGrid] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const canvasRef = useRef(null);
+    const timeoutRef = useRef(null);
+    const targetOrbitRef = useRef(null);
+
+    // Stop a running computation when the panel closes
+    useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+    useEffect(() => {
+        if (initialTarget) setTargetName(initialTarget);
+    }, [initialTarget]);
+
+    useEffect(() => {
+        if (grid && canvasRef.current) drawPorkchop(canvasRef.current, grid, selected);
+    }, [grid, progress, selected]);
+
+    const compute = () => {
+        const orbitParams = orbits.find((o) => o.name === targetName);
+        const launchStart = dateToTdbDays(new Date(`${launchFrom}T00:00:00Z`));
+        const launchEnd = dateToTdbDays(new Date(`${launchTo}T00:00:00Z`));
+        if (!orbitParams || !(launchEnd > launchStart)) return;
+
+        clearTimeout(timeoutRef.current);
+        const targetOrbit = new Orbit(orbitParams);
+        targetOrbitRef.current = targetOrbit;
+        const nextGrid = createPorkchopGrid({
+            launchStart,
+            launchEnd,
+            arrivalStart: launchStart + MIN_FLIGHT_DAYS,
+            arrivalEnd: launchEnd + maxFlightDays,
+            launchSteps: GRID_STEPS,
+            arrivalSteps: GRID_STEPS,
+            minFlightDays: MIN_FLIGHT_DAYS,
+            maxFlightDays
+        });
+        let row = 0;
+        setSelected(null);
+        setGrid(nextGrid);
+        setProgress(0);
+
+        const computeBatch = () => {
+            const end = Math.min(row + ROWS_PER_BATCH, GRID_STEPS);
+            for (; row < end; row++) {
+                computePorkchopRow(nextGrid, targetOrbit, row);
+            }
+            setProgress(row / GRID_STEPS);
+            if (row < GRID_STEPS) {
+                timeoutRef.current = setTimeout(computeBatch, 16);
+            } else {
+                setProgress(null);
+            }
+        };
+        computeBatch();
+    };
+
+    // Transfer for the grid cell under the pointer
+    const handleCanvasClick = (event) => {
+        if (!grid || progress !== null) return;
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (CANVAS_WIDTH / rect.width);
+        const y = (event.clientY - rect.top) * (CANVAS_HEIGHT / rect.height);
+        const width = CANVAS_WIDTH - MARGIN.left - MARGIN.right;
+        const height = CANVAS_HEIGHT - MARGIN.top - MARGIN.bottom;
+        const row = Math.round((x - MARGIN.left) / width * (GRID_STEPS - 1));
+        const column = Math.round((MARGIN.top + height - y) / height * (GRID_STEPS - 1));
+        if (row < 0 || row >= GRID_STEPS || column < 0 || column >= GRID_STEPS) return;
+        if (Number.isNaN(grid.c3[row][column])) return;
+        selectTransfer(computeTransfer(targetOrbitRef.current, grid.launchTimes[row], grid.arrivalTimes[column]));
+    };
+
+    const selectTransfer = (transfer) => {
+        if (!transfer) return;
+        setSelected(transfer);
+        onSelectTransfer(transfer, targetName);
+    };
+
+    const best = grid && progress === null ? grid.best : null;
+
+    return (
+        <div className="ov-panel ov-side">
+            <div className="ov-side__header">
+                <h3 className="ov-side__title">Transfer planner</h3>
+                <button className="ov-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="ov-clock__row">
+                <label>Target <select className="ov-input" value={targetName} onChange={(e) => setTargetName(e.target.value)}>
+                    {orbits.map((o) => <option key={o.name} value={o.name}>{o.name}</option>)}
+                </select></label>
+            </div>
+            <div className="ov-clock__row">
+                <label>Launch <input type="date" className="ov-input" value={launchFrom} onChange={(e) => setLaunchFrom(e.target.value)} /></label>
+                <label>to <input type="date" className="ov-input" value={launchTo} onChange={(e) => setLaunchTo(e.target.value)} /></label>
+                <label>Max days <input type="number" min={MIN_FLIGHT_DAYS + 10} className="ov-input ov-input--short" value={maxFlightDays} onChange={(e) => setMaxFlightDays(parseInt(e.target.value, 10))} /></label>
+                <button className="ov-btn" onClick={compute} disabled={progress !== null || !targetName || !(maxFlightDays > MIN_FLIGHT_DAYS)}>Plot</button>
+            </div>
+
+            {progress !== null && <p>Solving Lambert transfers… {Math.round(progress * 100)}%</p>}
+            {grid && (
+                <canvas
+                    ref={canvasRef}
+                    className="ov-plot ov-plot--clickable"
+                    width={CANVAS_WIDTH}
+                    height={CANVAS_HEIGHT}
+                    onClick={handleCanvasClick}
+                    title="Click a launch/arrival pair to draw the transfer"
+                />
+            )}
+            {grid && <p>White: C3 {C3_LEVELS.join(', ')} km²/s². Orange: arrival speed {ARRIVAL_SPEED_LEVELS.join(', ')} km/s.</p>}
+            {best && (
+                <div className="ov-clock__row">
+                    <button className="ov-btn" onClick={() => selectTransfer(best)}>Best transfer</button>
+                    <span>C3 {best.c3.toFixed(1)} km²/s², arrival {best.arrivalSpeed.toFixed(1)} km/s</span>
+                </div>
+            )}
+            {selected && (
+                <table className="ov-info__table">
+                    <tbody>
+                        <tr><td>Launch</td><td>{formatUtc(tdbDaysToDate(selected.launchTime))}</td></tr>
+                        <tr><td>Arrival</td><td>{formatUtc(tdbDaysToDate(selected.arrivalTime))}</td></tr>
+                        <tr><td>Flight time</td><td>{Math.round(selected.arrivalTime - selected.launchTime)} days</td></tr>
+                        <tr><td>C3</td><td>{selected.c3.toFixed(2)} km²/s² (v∞ {selected.vInfinity.toFixed(2)} km/s)</td></tr>
+                        <tr><td>Arrival speed</td><td>{selected.arrivalSpeed.toFixed(2)} km/s relative to {targetName}</td></tr>
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
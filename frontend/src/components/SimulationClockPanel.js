@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'react';
+import { WARP_PRESETS } from '../controller/SimulationClock';
+import { formatUtc } from '../physics/Time';
+import '../styles/orbitviewer.css';
+
+// Value for <input type="datetime-local">, read and written as UTC
+function toInputValue(date) {
+    return date.toISOString().slice(0, 16);
+}
+
+// Date readout, date picker, warp, pause/reverse and step controls for a SimulationClock
+export default function SimulationClockPanel({ clock }) {
+    const [state, setState] = useState(() => clock.getState());
+    const [pickerValue, setPickerValue] = useState(() => toInputValue(clock.getDate()));
+
+    // Refresh the readout a few times per second and immediately on clock state changes
+    useEffect(() => {
+        const refresh = () => setState(clock.getState());
+        const interval = setInterval(refresh, 250);
+        const unsubscribe = clock.subscribe(refresh);
+        return () => {
+            clearInterval(interval);
+            unsubscribe();
+        };
+    }, [clock]);
+
+    const handleDateSubmit = (event) => {
+        event.preventDefault();
+        const date = new Date(`${pickerValue}:00Z`);
+        if (!isNaN(date.getTime())) {
+            clock.setDate(date);
+        }
+    };
+
+    return (
+        <div className="ov-panel ov-clock">
+            <div className="ov-clock__date">{formatUtc(state.date)}</div>
+            <div className="ov-clock__jd">JD {state.julianDate.toFixed(3)} TDB</div>
+
+            <form className="ov-clock__row" onSubmit={handleDateSubmit}>
+                <input
+                    type="datetime-local"
+                    className="ov-input"
+                    value={pickerValue}
+                    onChange={(e) => setPickerValue(e.target.value)}
+                />
+                <button type="submit" className="ov-btn">Go</button>
+                <button type="button" className="ov-btn" onClick={() => clock.setDate(new Date())}>Now</button>
+            </form>
+
+            <div className="ov-clock__row">
+                <button className="ov-btn" onClick={() => clock.step(-1)} title="Step back one day">⏮ -1d</button>
+                <button className="ov-btn" onClick={() => clock.reverse()} title="Reverse time">⇄</button>
+                <button className="ov-btn" onClick={() => clock.togglePause()}>
+                    {state.paused ? '▶ Play' : '⏸ Pause'}
+                </button>
+                <button className="ov-btn" onClick={() => clock.step(1)} title="Step forward one day">+1d ⏭</button>
+            </div>
+
+            <div className="ov-clock__row">
+                <select
+                    className="ov-input"
+                    value={WARP_PRESETS.some((p) => p.value === state.warp) ? state.warp : ''}
+                    onChange={(e) => clock.setWarp(parseFloat(e.target.value))}
+                >
+                    {!WARP_PRESETS.some((p) => p.value === state.warp) && (
+                        <option value="">{`${state.warp.toFixed(2)} d/s`}</option>
+                    )}
+                    {WARP_PRESETS.map((preset) => (
+                        <option key={preset.label} value={preset.value}>{preset.label}</option>
+                    ))}
+                </select>
+                <span className="ov-clock__warp">{state.paused ? 'Paused' : state.warp < 0 ? 'Reversed' : 'Running'}</span>
+            </div>
+        </div>
+    );
+}
@@ -4,6 +4,7 @@ import * as THREE from 'three';
 import { ThreeInitializer } from '../utils/ThreeInitializer';
 import audioContextManager from '../utils/AudioContextManager';
 import musicManager from '../utils/MusicManager';
+import { PLANETS, PLANET_NAMES } from '../render/Planet';
 
 export default function TerminalLanding() {
   const defaultTexts = [
@@ -105,7 +106,9 @@ export default function TerminalLanding() {
       '/resources/earth/Earth Clouds.jpg',
       '/resources/sun/Sun Map.png',
       '/resources/meteor/Meteor Map.jpg',
-      '/resources/galaxy/Galaxy Map.jpg'
+      '/resources/galaxy/Galaxy Map.jpg',
+      '/resources/moon/Moon Map.jpg',
+      ...PLANET_NAMES.map((name) => `/resources/planets/${PLANETS[name].label} Map.jpg`)
     ];
 
     // Object to hold loaded assets and preprocessed objects
@@ -38,13 +38,17 @@ export class CameraController {
         
         // Lock-in system for following objects
         this.lockedTarget = null; // Reference to the object we're locked onto
-        this.lockMode = 'none'; // 'none', 'sun', 'earth'
+        this.lockMode = 'none'; // 'none', 'sun', 'earth', 'meteor', 'planet'
         this.isTransitioning = false; // Flag to prevent input during transitions
         
         // Meteors list for asteroid locking
         this.meteorsList = [];
         this.currentMeteorIndex = -1; // Track current meteor index
 
+        // Planets for planet locking
+        this.planetsList = [];
+        this.currentPlanetIndex = -1;
+
         this.update();
     }
     
@@ -165,6 +169,20 @@ export class CameraController {
                     console.log('No asteroids available to lock onto');
                 }
                 break;
+            case 'KeyP':
+                // Cycle through the planets
+                if (this.planetsList.length > 0) {
+                    this.lockOntoPlanetByIndex((this.currentPlanetIndex + 1) % this.planetsList.length);
+                }
+                break;
+            case 'KeyM':
+                // Lock onto the Moon
+                this.lockOntoPlanet(this.moonInstance);
+                break;
+            case 'KeyJ':
+                // Lock onto Jupiter
+                this.lockOntoPlanetByName('Jupiter');
+                break;
             case 'Escape':
                 // Unlock from any target
                 this.unlockTarget();
@@ -300,9 +318,10 @@ export class CameraController {
     }
     
     // Lock-in methods for following objects
-    setTargetObjects(sunInstance, earthInstance) {
+    setTargetObjects(sunInstance, earthInstance, moonInstance = null) {
         this.sunInstance = sunInstance;
         this.earthInstance = earthInstance;
+        this.moonInstance = moonInstance;
     }
     
     // Set current meteor for locking (called when meteor is created/destroyed)
@@ -321,6 +340,12 @@ export class CameraController {
         this.currentMeteorIndex = meteorsList.length > 0 ? 0 : -1;
     }
 
+    // Set planets list for planet locking
+    setPlanetsList(planetsList) {
+        this.planetsList = planetsList;
+        this.currentPlanetIndex = -1;
+    }
+
     // Internal method to lock onto meteor if one exists
     lockOntoMeteorIfExists() {
         if (this.currentMeteor) {
@@ -403,6 +428,35 @@ export class CameraController {
         }, duration);
     }
 
+    // Lock onto a planet (or the Moon) with smooth transition
+    lockOntoPlanet(planetInstance, duration = 1500) {
+        if (!planetInstance) return;
+        // Don't transition if already locked onto this planet
+        if (this.lockMode === 'planet' && this.lockedTarget === planetInstance) return;
+        const index = this.planetsList.indexOf(planetInstance);
+        if (index !== -1) this.currentPlanetIndex = index;
+        this.lockedTarget = null;
+        this.lockMode = 'none';
+        const targetDistance = planetInstance.radius * 4; // Start at 4x radius for good view
+        this.transitionToTarget(planetInstance, targetDistance, () => {
+            this.lockedTarget = planetInstance;
+            this.lockMode = 'planet';
+            this.updateMinDistanceForTarget(); // Update min distance after locking
+            console.log(`Camera locked onto ${planetInstance.name}`);
+        }, duration);
+    }
+
+    // Lock onto planet by index in the planetsList
+    lockOntoPlanetByIndex(index, duration = 1500) {
+        if (index < 0 || index >= this.planetsList.length) return;
+        this.lockOntoPlanet(this.planetsList[index], duration);
+    }
+
+    // Lock onto planet by name ('Jupiter', ...)
+    lockOntoPlanetByName(name, duration = 1500) {
+        this.lockOntoPlanet(this.planetsList.find((planet) => planet.name === name), duration);
+    }
+
     // Lock onto meteor by index in the meteorsList
     lockOntoMeteorByIndex(index, duration = 1500) {
         if (!this.meteorsList || this.meteorsList.length === 0) return;
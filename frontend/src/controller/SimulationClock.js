@@ -0,0 +1,132 @@
+import {
+    dateToTdbDays,
+    tdbDaysToDate,
+    julianDateToDaysSinceJ2000,
+    daysSinceJ2000ToJulianDate
+} from '../physics/Time.js';
+
+// Warp presets in simulated days per real second (negative values run the clock backwards)
+export const WARP_PRESETS = [
+    { label: '-1 yr/s', value: -365.25 },
+    { label: '-1 mo/s', value: -30 },
+    { label: '-1 d/s', value: -1 },
+    { label: 'Real time', value: 1 / 86400 },
+    { label: '1 h/s', value: 1 / 24 },
+    { label: '1 d/s', value: 1 },
+    { label: '1 wk/s', value: 7 },
+    { label: '1 mo/s', value: 30 },
+    { label: '1 yr/s', value: 365.25 }
+];
+
+// Simulation clock driving every orbit in the scene.
+// Keeps the current instant as TDB days since J2000.0 (the Orbit time unit) and advances it by
+// warp * real seconds on every tick. Listeners are notified of state changes (pause, warp, jumps),
+// not of every tick, so UI can subscribe without re-rendering each frame.
+export class SimulationClock {
+    constructor({ date = new Date(), warp = 1, paused = false } = {}) {
+        this.time = dateToTdbDays(date); // TDB days since J2000.0
+        this.warp = warp; // simulated days per real second
+        this.paused = paused;
+        this.lastDelta = 0; // simulated days advanced by the last tick
+        this.listeners = new Set();
+    }
+
+    // Advance the clock by a real-time interval (seconds); returns the simulated days elapsed
+    tick(realDeltaSeconds) {
+        this.lastDelta = this.paused ? 0 : this.warp * realDeltaSeconds;
+        this.time += this.lastDelta;
+        return this.lastDelta;
+    }
+
+    // Current time in TDB days since J2000.0 (feed this to AstralObject.updateOrbit)
+    getTime() {
+        return this.time;
+    }
+
+    // Julian Date in the TDB time scale
+    getJulianDate() {
+        return daysSinceJ2000ToJulianDate(this.time);
+    }
+
+    // Calendar date (UTC)
+    getDate() {
+        return tdbDaysToDate(this.time);
+    }
+
+    // +1 running forwards, -1 running backwards, 0 paused
+    getDirection() {
+        return this.paused ? 0 : Math.sign(this.warp);
+    }
+
+    // Jump to a calendar date (UTC)
+    setDate(date) {
+        this.setTime(dateToTdbDays(date));
+    }
+
+    // Jump to a Julian Date (TDB)
+    setJulianDate(jd) {
+        this.setTime(julianDateToDaysSinceJ2000(jd));
+    }
+
+    // Jump to a time in TDB days since J2000.0
+    setTime(time) {
+        this.time = time;
+        this.notify('jump');
+    }
+
+    setWarp(warp) {
+        this.warp = warp;
+        this.notify('warp');
+    }
+
+    // Flip the direction of time keeping the warp magnitude
+    reverse() {
+        this.setWarp(-this.warp);
+    }
+
+    pause() {
+        this.paused = true;
+        this.notify('pause');
+    }
+
+    resume() {
+        this.paused = false;
+        this.notify('pause');
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    // Move the clock by a fixed number of days (negative steps go back); pauses the clock
+    step(days = 1) {
+        this.paused = true;
+        this.time += days;
+        this.notify('jump');
+    }
+
+    // Subscribe to state changes; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(type) {
+        this.listeners.forEach((listener) => listener({ type, clock: this }));
+    }
+
+    // Snapshot used by UI readouts
+    getState() {
+        return {
+            time: this.time,
+            julianDate: this.getJulianDate(),
+            date: this.getDate(),
+            warp: this.warp,
+            paused: this.paused
+        };
+    }
+}
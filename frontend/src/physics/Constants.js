@@ -0,0 +1,29 @@
+// Shared physical constants.
+// Scene lengths are millions of km (Earth sits ~150 units from the Sun) and orbit times are days.
+
+export const AU_KM = 149597870.7; // astronomical unit in km
+export const AU_MKM = AU_KM / 1e6; // astronomical unit in millions of km (scene units)
+export const DAY_SECONDS = 86400;
+
+export const GM_SUN_KM3_S2 = 1.32712440018e11; // heliocentric gravitational constant, km^3/s^2
+
+// Heliocentric gravitational constant in scene units (millions of km)^3 / day^2
+export const GM_SUN = GM_SUN_KM3_S2 * 1e-18 * DAY_SECONDS ** 2;
+
+export const LUNAR_DISTANCE_KM = 384400; // mean Earth-Moon distance
+
+// Gravitational parameters of the perturbing bodies, km^3/s^2 (DE440)
+export const GM_EARTH_KM3_S2 = 398600.435507;
+export const GM_MOON_KM3_S2 = 4902.800118;
+export const GM_JUPITER_KM3_S2 = 126712764.1; // Jupiter system barycenter
+
+// The same in scene units (millions of km)^3 / day^2
+export const GM_EARTH = GM_EARTH_KM3_S2 * 1e-18 * DAY_SECONDS ** 2;
+export const GM_MOON = GM_MOON_KM3_S2 * 1e-18 * DAY_SECONDS ** 2;
+export const GM_JUPITER = GM_JUPITER_KM3_S2 * 1e-18 * DAY_SECONDS ** 2;
+
+export const EARTH_RADIUS_KM = 6371.0; // mean radius
+
+export const GRAVITATIONAL_CONSTANT = 6.6743e-11; // m^3 kg^-1 s^-2 (CODATA 2018)
+
+export const KILOTON_JOULES = 4.184e12; // energy of one kiloton of TNT
@@ -0,0 +1,36 @@
+import { Orbit } from '../render/Orbit.js';
+import { DAY_SECONDS } from './Constants.js';
+
+// Asteroid deflection: velocity changes from mitigation techniques and the orbit they leave behind.
+// Δv vectors are heliocentric ecliptic in km/s; orbits use the Orbit units (millions of km, days).
+
+const KM_S_TO_MKM_PER_DAY = DAY_SECONDS / 1e6;
+
+// Mass in kg of a sphere with the given diameter (m) and bulk density (kg/m³)
+export function asteroidMass(diameterM, densityKgM3) {
+    return densityKgM3 * Math.PI * diameterM ** 3 / 6;
+}
+
+// Unit vector along the object's heliocentric velocity at time t (the along-track direction)
+export function alongTrackDirection(orbit, time) {
+    const velocity = orbit.velocityAt(time);
+    const speed = Math.hypot(velocity[0], velocity[1], velocity[2]);
+    return velocity.map((x) => x / speed);
+}
+
+// Kinetic impactor: M Δv = β m U, where β > 1 counts the extra momentum carried off by impact ejecta.
+// relativeVelocity is the impactor's velocity relative to the asteroid (km/s vector); returns Δv (km/s).
+export function kineticImpactorDeltaV({ asteroidMass: mass, impactorMass, relativeVelocity, beta = 1 }) {
+    const scale = beta * impactorMass / mass;
+    return relativeVelocity.map((x) => x * scale);
+}
+
+// Osculating orbit after an instantaneous Δv (km/s) at the given time; keeps the path options of the original
+export function applyDeltaV(orbit, time, deltaV) {
+    const { position, velocity } = orbit.stateAt(time);
+    const newVelocity = velocity.map((x, k) => x + deltaV[k] * KM_S_TO_MKM_PER_DAY);
+    return Orbit.fromStateVector(position, newVelocity, time, orbit.mu, {
+        numPoints: orbit.numPoints,
+        maxPathRadius: orbit.maxPathRadius
+    });
+}
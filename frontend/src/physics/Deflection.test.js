@@ -0,0 +1,92 @@
+import { Orbit } from '../render/Orbit';
+import { alongTrackDirection, applyDeltaV, asteroidMass, kineticImpactorDeltaV } from './Deflection';
+import { compareNextCloseApproach, lowThrustDeflection } from '../analysis/MissDistance';
+import { impactorAt } from '../analysis/__fixtures__/impactors';
+import { AU_MKM, DAY_SECONDS } from './Constants';
+import { gravityTractorAcceleration, simulateLowThrust } from './LowThrust';
+import { nuclearStandoffDeltaV, standoffCurve } from './NuclearStandoff';
+
+describe('Kinetic impactor', () => {
+    test('reproduces the DART momentum transfer', () => {
+        // Dimorphos: ~4.3e9 kg; DART: 580 kg at 6.1 km/s with β ≈ 3.6 gave a few mm/s
+        const deltaV = kineticImpactorDeltaV({ asteroidMass: 4.3e9, impactorMass: 580, relativeVelocity: [-6.1, 0, 0], beta: 3.6 });
+        expect(deltaV[0] * 1e6).toBeCloseTo(-2.96, 2); // mm/s
+        expect(asteroidMass(1000, 2000)).toBeCloseTo(2000 * Math.PI / 6 * 1e9, -3);
+    });
+
+    test('along-track push years ahead turns a hit into a miss of about 3 Δv t', () => {
+        const t0 = 9000;
+        const orbit = impactorAt(t0, { eccentricity: 0.5, inclination: 0.1 });
+        const leadDays = 10 * 365.25;
+        const interceptTime = t0 - leadDays;
+        const deltaVKmS = 0.001; // 1 m/s, far more than DART, to make the effect large
+        const direction = alongTrackDirection(orbit, interceptTime);
+        const deflected = applyDeltaV(orbit, interceptTime, direction.map((x) => x * deltaVKmS));
+
+        // Same position at the intercept, faster afterwards
+        const before = orbit.walkInTime(interceptTime);
+        deflected.walkInTime(interceptTime).forEach((x, k) => expect(x).toBeCloseTo(before[k], 9));
+        expect(deflected.a).toBeGreaterThan(orbit.a);
+
+        const comparison = compareNextCloseApproach(orbit, deflected, { start: interceptTime, end: t0 + 10 });
+        expect(comparison.original.time).toBeCloseTo(t0, 3);
+        expect(comparison.original.distanceKm).toBeLessThan(100);
+        // Linear along-track drift 3 Δv t, reduced by the encounter geometry; order of magnitude check
+        const drift = 3 * deltaVKmS * leadDays * DAY_SECONDS;
+        expect(comparison.changeKm).toBeGreaterThan(0.1 * drift);
+        expect(comparison.changeKm).toBeLessThan(drift);
+    });
+});
+
+describe('Low-thrust deflection', () => {
+    test('a gravity tractor pulls with G m / d²', () => {
+        // 20 t spacecraft hovering 200 m from the centre
+        expect(gravityTractorAcceleration({ spacecraftMass: 20000, hoverDistance: 200 })).toBeCloseTo(3.337e-11, 13);
+    });
+
+    test('a steady push along a circular orbit falls behind by 3/2 a t²', () => {
+        const orbit = new Orbit({ eccentricity: 0, perihelionDistance: AU_MKM, inclination: 0.2, tau: 0 });
+        const acceleration = 1e-9; // m/s²
+        const years = 5;
+        const { displacement, deflectedOrbit } = simulateLowThrust(orbit, { acceleration, start: 100, duration: years * 365.25, samples: 10 });
+
+        const seconds = years * 365.25 * DAY_SECONDS;
+        const expectedKm = -1.5 * acceleration * seconds ** 2 / 1000;
+        const final = displacement[displacement.length - 1];
+        expect(final.alongTrackKm / expectedKm).toBeCloseTo(1, 1);
+        expect(deflectedOrbit.a).toBeGreaterThan(orbit.a);
+    });
+
+    test('a push cut at the encounter is compared at that encounter', () => {
+        const t0 = 9000;
+        const orbit = impactorAt(t0);
+        const start = t0 - 2 * 365.25;
+        const { encounter, simulation, thrustCut, comparison } = lowThrustDeflection(orbit, {
+            acceleration: 1e-9, start, end: start + 50 * 365.25, durationDays: 10 * 365.25, direction: -1
+        });
+        expect(thrustCut).toBe(true);
+        expect(simulation.thrustEnd).toBe(encounter.time);
+        expect(comparison.original.time).toBeCloseTo(encounter.time, 6);
+        expect(Math.abs(comparison.deflected.time - encounter.time)).toBeLessThan(1);
+        expect(comparison.changeKm).toBeGreaterThan(1000);
+    });
+});
+
+describe('Nuclear standoff', () => {
+    const body = { diameter: 160, density: 2400 };
+
+    test('the push peaks at a standoff of about 0.4 radii', () => {
+        const curve = standoffCurve({ yieldKt: 100, ...body });
+        const best = curve.reduce((a, b) => (b.deltaV > a.deltaV ? b : a));
+        expect(best.standoff / 80).toBeGreaterThan(0.3);
+        expect(best.standoff / 80).toBeLessThan(0.6);
+        expect(best.deltaV).toBeGreaterThan(curve[0].deltaV);
+        expect(best.deltaV).toBeGreaterThan(curve[curve.length - 1].deltaV);
+    });
+
+    test('contact bursts and oversized yields break the body up, standoff bursts do not', () => {
+        expect(nuclearStandoffDeltaV({ yieldKt: 100, standoff: 32, ...body }).fragmented).toBe(false);
+        expect(nuclearStandoffDeltaV({ yieldKt: 100, standoff: 0, ...body }).fragmented).toBe(true);
+        expect(nuclearStandoffDeltaV({ yieldKt: 10000, standoff: 32, ...body }).fragmented).toBe(true);
+    });
+});
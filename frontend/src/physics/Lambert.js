@@ -0,0 +1,89 @@
+import { GM_SUN } from './Constants.js';
+
+// Lambert's problem: the two-body orbit that goes from r1 to r2 in a given time of flight.
+// Universal-variable formulation (Bate, Mueller & White; Vallado), single revolution only.
+// Units follow Orbit: millions of km, days and GM in millions of km^3/day^2.
+
+const MAX_ITERATIONS = 200;
+const TIME_TOLERANCE = 1e-11; // relative
+
+// Stumpff functions C(z) and S(z), with series near z = 0 where the closed forms lose precision
+function stumpffC(z) {
+    if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+    if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    return 1 / 2 - z / 24 + z * z / 720;
+}
+
+function stumpffS(z) {
+    if (z > 1e-6) {
+        const s = Math.sqrt(z);
+        return (s - Math.sin(s)) / (s * s * s);
+    }
+    if (z < -1e-6) {
+        const s = Math.sqrt(-z);
+        return (Math.sinh(s) - s) / (s * s * s);
+    }
+    return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+// Velocities at both ends of the transfer from r1 to r2 taking tof days, or null when there is no
+// single-revolution solution (r1 and r2 exactly opposite, where the transfer plane is undefined).
+// prograde picks the transfer that moves counter-clockwise around the ecliptic north pole.
+export function solveLambert(r1, r2, tof, mu = GM_SUN, { prograde = true } = {}) {
+    if (!(tof > 0)) return null;
+    const r1Norm = Math.hypot(r1[0], r1[1], r1[2]);
+    const r2Norm = Math.hypot(r2[0], r2[1], r2[2]);
+    const cosAngle = Math.max(-1, Math.min(1, (r1[0] * r2[0] + r1[1] * r2[1] + r1[2] * r2[2]) / (r1Norm * r2Norm)));
+    const crossZ = r1[0] * r2[1] - r1[1] * r2[0];
+
+    // Transfer angle: the short way unless that would go against the requested direction
+    let angle = Math.acos(cosAngle);
+    if (prograde ? crossZ < 0 : crossZ >= 0) angle = 2 * Math.PI - angle;
+    const A = Math.sin(angle) * Math.sqrt(r1Norm * r2Norm / (1 - cosAngle));
+    if (!Number.isFinite(A) || Math.abs(A) < 1e-12) return null;
+
+    const y = (z) => r1Norm + r2Norm + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+    const timeOfFlight = (z) => {
+        const yz = y(z);
+        const chi = Math.sqrt(yz / stumpffC(z));
+        return (chi ** 3 * stumpffS(z) + A * Math.sqrt(yz)) / Math.sqrt(mu);
+    };
+
+    // Time of flight grows with z (z < 0 hyperbolic, z > 0 elliptic) up to z = 4π², one full revolution.
+    // Bracket the solution; below the root of y(z) (short transfers only) no orbit exists and the
+    // time of flight drops to zero there, so that root is the lower end.
+    let upper = 4 * Math.PI ** 2 - 1e-9;
+    let lower = -4 * Math.PI ** 2;
+    for (let i = 0; i < 60 && timeOfFlight(lower) > tof; i++) lower = lower * 2 - 1;
+    if (!(y(lower) >= 0)) {
+        let invalid = lower;
+        let valid = upper;
+        for (let i = 0; i < 100; i++) {
+            const mid = (invalid + valid) / 2;
+            if (y(mid) < 0) invalid = mid;
+            else valid = mid;
+        }
+        lower = valid;
+    }
+    if (timeOfFlight(lower) > tof || timeOfFlight(upper) < tof) return null;
+
+    let z = 0;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        z = (lower + upper) / 2;
+        const t = y(z) < 0 ? -Infinity : timeOfFlight(z);
+        if (Math.abs(t - tof) < TIME_TOLERANCE * tof) break;
+        if (t < tof) lower = z;
+        else upper = z;
+    }
+
+    // Lagrange coefficients
+    const yz = y(z);
+    const f = 1 - yz / r1Norm;
+    const g = A * Math.sqrt(yz / mu);
+    const gDot = 1 - yz / r2Norm;
+    return {
+        v1: r1.map((x, k) => (r2[k] - f * x) / g),
+        v2: r2.map((x, k) => (gDot * x - r1[k]) / g),
+        transferAngle: angle
+    };
+}
@@ -0,0 +1,52 @@
+import { solveLambert } from './Lambert';
+import { Orbit } from '../render/Orbit';
+import { AU_MKM, GM_SUN } from './Constants';
+
+const deg = Math.PI / 180;
+
+function expectVectorClose(actual, expected, tolerance) {
+    expect(Math.hypot(...actual.map((x, k) => x - expected[k]))).toBeLessThan(tolerance);
+}
+
+describe('solveLambert', () => {
+    // Each case: an orbit and two times on it; Lambert must recover the orbit's velocities
+    const cases = {
+        'short-way ellipse': {
+            orbit: new Orbit({ eccentricity: 0.3, perihelionDistance: 0.9 * AU_MKM, inclination: 12 * deg, raan: 40 * deg, omega: 80 * deg, mu: GM_SUN }),
+            t1: 10, t2: 150
+        },
+        'long-way ellipse': {
+            orbit: new Orbit({ eccentricity: 0.5, perihelionDistance: 0.7 * AU_MKM, inclination: 5 * deg, raan: 200 * deg, omega: 10 * deg, mu: GM_SUN }),
+            t1: -100, t2: 300
+        },
+        'fast hyperbola': {
+            orbit: new Orbit({ eccentricity: 2.5, perihelionDistance: 0.5 * AU_MKM, inclination: 30 * deg, raan: 10 * deg, omega: 300 * deg, mu: GM_SUN }),
+            t1: -20, t2: 25
+        }
+    };
+
+    Object.entries(cases).forEach(([name, { orbit, t1, t2 }]) => {
+        test(`recovers the velocities of a ${name}`, () => {
+            const solution = solveLambert(orbit.walkInTime(t1), orbit.walkInTime(t2), t2 - t1);
+            const speed = Math.hypot(...orbit.velocityAt(t1));
+            expectVectorClose(solution.v1, orbit.velocityAt(t1), 1e-7 * speed);
+            expectVectorClose(solution.v2, orbit.velocityAt(t2), 1e-7 * speed);
+        });
+    });
+
+    test('retrograde option reverses the direction of travel', () => {
+        const r1 = [AU_MKM, 0, 0];
+        const r2 = [0, 1.2 * AU_MKM, 0];
+        const prograde = solveLambert(r1, r2, 120);
+        const retrograde = solveLambert(r1, r2, 120, GM_SUN, { prograde: false });
+        expect(prograde.transferAngle).toBeCloseTo(90 * deg, 9);
+        expect(retrograde.transferAngle).toBeCloseTo(270 * deg, 9);
+        expect(prograde.v1[1]).toBeGreaterThan(0);
+        expect(retrograde.v1[1]).toBeLessThan(0);
+    });
+
+    test('has no solution for opposite points or a non-positive time of flight', () => {
+        expect(solveLambert([AU_MKM, 0, 0], [-AU_MKM, 0, 0], 200)).toBeNull();
+        expect(solveLambert([AU_MKM, 0, 0], [0, AU_MKM, 0], 0)).toBeNull();
+    });
+});
@@ -0,0 +1,77 @@
+import { Orbit } from '../render/Orbit.js';
+import { NBodyPropagator } from './NBodyPropagator.js';
+import { alongTrackDirection } from './Deflection.js';
+import { DAY_SECONDS, GRAVITATIONAL_CONSTANT } from './Constants.js';
+
+// Slow-push deflection: a tiny continuous acceleration along the orbit for months to years.
+// Accelerations are in m/s²; the integration runs in the Orbit units (millions of km, days).
+
+const MS2_TO_MKM_PER_DAY2 = DAY_SECONDS ** 2 / 1e9;
+
+// Gravity tractor: a spacecraft of the given mass hovering at hoverDistance (m, from the asteroid's
+// centre) pulls the asteroid with a = G m / d². Its engines only have to balance that same pull.
+export function gravityTractorAcceleration({ spacecraftMass, hoverDistance }) {
+    return GRAVITATIONAL_CONSTANT * spacecraftMass / hoverDistance ** 2;
+}
+
+// Thrust (N) a gravity tractor needs to hold station against the asteroid's pull
+export function gravityTractorHoverThrust({ spacecraftMass, hoverDistance, asteroidMass }) {
+    return GRAVITATIONAL_CONSTANT * spacecraftMass * asteroidMass / hoverDistance ** 2;
+}
+
+// Ion beam shepherd: the ion beam pushes the asteroid with the beam thrust (N) times the fraction of
+// the beam momentum it intercepts
+export function ionBeamAcceleration({ beamThrust, asteroidMass, efficiency = 1 }) {
+    return beamThrust * efficiency / asteroidMass;
+}
+
+// NBodyPropagator acceleration of the given magnitude (m/s²) along (+1) or against (-1) the velocity
+// while start <= t <= end
+export function createAlongTrackAcceleration(magnitude, start, end, direction = 1) {
+    const scale = magnitude * direction * MS2_TO_MKM_PER_DAY2;
+    return (t, position, velocity) => {
+        if (t < start || t > end) return [0, 0, 0];
+        const speed = Math.hypot(velocity[0], velocity[1], velocity[2]);
+        return [velocity[0] / speed * scale, velocity[1] / speed * scale, velocity[2] / speed * scale];
+    };
+}
+
+// Integrate an orbit pushed from start for duration days and sample the displacement from the
+// unperturbed two-body position until end. Returns the samples (time, along-track and total
+// displacement in km) and the osculating orbit once the push is over.
+export function simulateLowThrust(orbit, { acceleration, start, duration, end = start + duration, direction = 1, samples = 200 }) {
+    const thrustEnd = start + duration;
+    const startState = orbit.stateAt(start);
+    const startOrbit = Orbit.fromStateVector(startState.position, startState.velocity, start, orbit.mu);
+    // Sun-only integration: both paths feel the same planets, so the difference is the push itself
+    const propagator = new NBodyPropagator(startOrbit, {
+        perturbers: [],
+        accelerations: [createAlongTrackAcceleration(acceleration, start, thrustEnd, direction)]
+    });
+
+    const displacement = [];
+    const last = Math.max(end, thrustEnd);
+    for (let i = 0; i <= samples; i++) {
+        const t = start + (last - start) * i / samples;
+        const pushed = propagator.positionAt(t);
+        const kepler = orbit.walkInTime(t);
+        const offset = pushed.map((x, k) => x - kepler[k]);
+        const track = alongTrackDirection(orbit, t);
+        displacement.push({
+            time: t,
+            alongTrackKm: (offset[0] * track[0] + offset[1] * track[1] + offset[2] * track[2]) * 1e6,
+            totalKm: Math.hypot(offset[0], offset[1], offset[2]) * 1e6
+        });
+    }
+
+    const { position, velocity } = propagator.stateAt(thrustEnd);
+    return {
+        displacement,
+        thrustEnd,
+        deltaV: acceleration * duration * DAY_SECONDS / 1000, // km/s accumulated
+        deflectedOrbit: Orbit.fromStateVector(position, velocity, thrustEnd, orbit.mu, {
+            numPoints: orbit.numPoints,
+            maxPathRadius: orbit.maxPathRadius
+        })
+    };
+}
@@ -0,0 +1,160 @@
+import { GM_SUN, GM_EARTH, GM_MOON, GM_JUPITER } from './Constants.js';
+import { planetPositionAt, earthMoonPositionsAt } from './PlanetaryElements.js';
+
+// Numerical propagation of a small body in the heliocentric ecliptic frame with planetary perturbations.
+// Units follow Orbit: millions of km and TDB days since J2000.
+
+// Bodies that can perturb an object; position(t) is heliocentric ecliptic
+export const PERTURBERS = {
+    earth: { gm: GM_EARTH, position: (t) => earthMoonPositionsAt(t).earth },
+    moon: { gm: GM_MOON, position: (t) => earthMoonPositionsAt(t).moon },
+    jupiter: { gm: GM_JUPITER, position: (t) => planetPositionAt('jupiter', t) }
+};
+
+export const DEFAULT_PERTURBERS = ['earth', 'moon', 'jupiter'];
+
+// Dormand-Prince 5(4) tableau: nodes, stage coefficients, 5th-order weights and 4th-order weights
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+const MIN_STEP = 1e-9; // days; steps are accepted regardless of error below this
+
+// Heliocentric acceleration from the Sun and the perturbers. The second term in the sum is the
+// indirect acceleration: the perturbers also pull on the Sun, which is the origin of the frame.
+export function heliocentricAcceleration(t, position, perturbers) {
+    const r = Math.hypot(position[0], position[1], position[2]);
+    const k = -GM_SUN / r ** 3;
+    const acceleration = [k * position[0], k * position[1], k * position[2]];
+
+    perturbers.forEach(({ gm, position: perturberPosition }) => {
+        const body = perturberPosition(t);
+        const d = [body[0] - position[0], body[1] - position[1], body[2] - position[2]];
+        const dCubed = Math.hypot(d[0], d[1], d[2]) ** 3;
+        const bodyCubed = Math.hypot(body[0], body[1], body[2]) ** 3;
+        for (let i = 0; i < 3; i++) {
+            acceleration[i] += gm * (d[i] / dCubed - body[i] / bodyCubed);
+        }
+    });
+    return acceleration;
+}
+
+// Adaptive Runge-Kutta (Dormand-Prince 4(5)) integrator started from an Orbit's state at its epoch.
+// Extra accelerations (t, position, velocity) => [ax, ay, az] can be plugged in for non-gravitational forces.
+export class NBodyPropagator {
+    constructor(orbit, {
+                    perturbers = DEFAULT_PERTURBERS,
+                    accelerations = [],
+                    relativeTolerance = 1e-10,
+                    absoluteTolerance = 1e-10,
+                    maxStep = 20
+                } = {}) {
+        this.orbit = orbit; // two-body reference solution
+        this.perturbers = perturbers.map((name) => PERTURBERS[name]);
+        this.perturberNames = perturbers;
+        this.accelerations = accelerations;
+        this.relativeTolerance = relativeTolerance;
+        this.absoluteTolerance = absoluteTolerance;
+        this.maxStep = maxStep;
+
+        this.epoch = orbit.epoch;
+        this.epochState = [...orbit.walkInTime(this.epoch), ...orbit.velocityAt(this.epoch)];
+        this.reset();
+    }
+
+    // Restart from the osculating state at the epoch
+    reset() {
+        this.time = this.epoch;
+        this.state = this.epochState.slice();
+        this.stepSize = 1;
+    }
+
+    // Time derivative of the state [x, y, z, vx, vy, vz]
+    derivative(t, y) {
+        const position = [y[0], y[1], y[2]];
+        const velocity = [y[3], y[4], y[5]];
+        const acceleration = heliocentricAcceleration(t, position, this.perturbers);
+        this.accelerations.forEach((extra) => {
+            const a = extra(t, position, velocity);
+            acceleration[0] += a[0];
+            acceleration[1] += a[1];
+            acceleration[2] += a[2];
+        });
+        return [y[3], y[4], y[5], acceleration[0], acceleration[1], acceleration[2]];
+    }
+
+    // One trial step of size h: returns the 5th-order state and the scaled error norm
+    trialStep(t, y, h) {
+        const k = [];
+        for (let s = 0; s < 7; s++) {
+            const stage = y.map((value, i) => {
+                let sum = value;
+                for (let j = 0; j < s; j++) sum += h * A[s][j] * k[j][i];
+                return sum;
+            });
+            k.push(this.derivative(t + C[s] * h, stage));
+        }
+
+        const next = y.map((value, i) => value + h * B5.reduce((sum, b, s) => sum + b * k[s][i], 0));
+        let errorSquared = 0;
+        for (let i = 0; i < y.length; i++) {
+            const difference = h * B5.reduce((sum, b, s) => sum + (b - B4[s]) * k[s][i], 0);
+            const scale = this.absoluteTolerance + this.relativeTolerance * Math.max(Math.abs(y[i]), Math.abs(next[i]));
+            errorSquared += (difference / scale) ** 2;
+        }
+        return { next, error: Math.sqrt(errorSquared / y.length) };
+    }
+
+    // Integrate the current state forwards or backwards to time target
+    advance(target) {
+        while (this.time !== target) {
+            const remaining = target - this.time;
+            const limitedByTarget = Math.abs(remaining) < this.stepSize;
+            const h = limitedByTarget ? remaining : Math.sign(remaining) * this.stepSize;
+            const { next, error } = this.trialStep(this.time, this.state, h);
+
+            const factor = Math.min(5, Math.max(0.2, 0.9 * Math.pow(Math.max(error, 1e-12), -0.2)));
+            if (error <= 1 || Math.abs(h) <= MIN_STEP) {
+                this.time = limitedByTarget ? target : this.time + h;
+                this.state = next;
+                // A step cut short by the target says nothing about the step size the orbit allows
+                if (!limitedByTarget) this.stepSize = Math.min(Math.abs(h) * factor, this.maxStep);
+            } else {
+                this.stepSize = Math.abs(h) * factor;
+            }
+        }
+    }
+
+    // State at time t; restarts from the epoch when that is closer than the current time
+    stateAt(t) {
+        if (Math.abs(t - this.epoch) < Math.abs(t - this.time)) {
+            this.reset();
+        }
+        this.advance(t);
+        return {
+            position: this.state.slice(0, 3),
+            velocity: this.state.slice(3, 6)
+        };
+    }
+
+    // Heliocentric ecliptic position at time t (same contract as Orbit.walkInTime)
+    positionAt(t) {
+        return this.stateAt(t).position;
+    }
+
+    // Distance between the integrated position and the two-body Kepler position at time t
+    driftFromKepler(t) {
+        const integrated = this.positionAt(t);
+        const kepler = this.orbit.walkInTime(t);
+        return Math.hypot(integrated[0] - kepler[0], integrated[1] - kepler[1], integrated[2] - kepler[2]);
+    }
+}
@@ -0,0 +1,62 @@
+import { NBodyPropagator, heliocentricAcceleration, PERTURBERS } from './NBodyPropagator';
+import { Orbit } from '../render/Orbit';
+import { AU_MKM, GM_SUN } from './Constants';
+import { createNonGravitationalAcceleration, marsdenG } from './NonGravitational';
+
+const deg = Math.PI / 180;
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+describe('NBodyPropagator', () => {
+    const encke = new Orbit({
+        eccentricity: 0.8483, perihelionDistance: 0.3395 * AU_MKM, inclination: 11.78 * deg,
+        omega: 186.5 * deg, raan: 334.6 * deg, tau: 8700, epoch: 8800, mu: GM_SUN
+    });
+
+    test('reproduces the Kepler solution when there are no perturbers', () => {
+        const propagator = new NBodyPropagator(encke, { perturbers: [] });
+        // Ten Encke orbits, including ten perihelion passages at 0.34 AU
+        expect(propagator.driftFromKepler(encke.epoch + 33 * 365.25) * 1e6).toBeLessThan(100); // km
+
+        const hyperbola = new Orbit({ eccentricity: 1.2, perihelionDistance: 0.25 * AU_MKM, omega: 1, epoch: -30, mu: GM_SUN });
+        expect(new NBodyPropagator(hyperbola, { perturbers: [] }).driftFromKepler(200) * 1e6).toBeLessThan(1);
+    });
+
+    test('integrates backwards to the same state', () => {
+        const propagator = new NBodyPropagator(encke);
+        const later = propagator.positionAt(encke.epoch + 2000);
+        const start = propagator.positionAt(encke.epoch + 0.5);
+        propagator.reset();
+        expect(distance(propagator.positionAt(encke.epoch + 0.5), start) * 1e6).toBeLessThan(1);
+        expect(distance(propagator.positionAt(encke.epoch + 2000), later) * 1e6).toBeLessThan(1);
+    });
+
+    test('a nearby perturber pulls towards itself', () => {
+        const earth = PERTURBERS.earth.position(0);
+        const offset = [0, 0, 0.01 * AU_MKM];
+        const position = earth.map((x, k) => x + offset[k]);
+        const pull = heliocentricAcceleration(0, position, [PERTURBERS.earth])
+            .map((a, k) => a - heliocentricAcceleration(0, position, [])[k]);
+        // At 0.01 AU the indirect term is ~1e-4 of the direct one
+        expect(pull[2] / (-PERTURBERS.earth.gm / offset[2] ** 2)).toBeCloseTo(1, 3);
+        expect(Math.hypot(pull[0], pull[1]) / Math.abs(pull[2])).toBeLessThan(1e-3);
+    });
+
+    test('a transverse non-gravitational push raises the semi-major axis', () => {
+        expect(marsdenG(1)).toBeCloseTo(1, 3);
+
+        const semiMajorAxisAfter = (model) => {
+            const propagator = new NBodyPropagator(encke, {
+                perturbers: [],
+                accelerations: [createNonGravitationalAcceleration(model, encke)]
+            });
+            const { position, velocity } = propagator.stateAt(encke.epoch + 1200);
+            return 1 / (2 / Math.hypot(...position) - Math.hypot(...velocity) ** 2 / GM_SUN);
+        };
+        expect(semiMajorAxisAfter({}) / encke.a).toBeCloseTo(1, 9);
+        expect(semiMajorAxisAfter({ a2: 1e-8 })).toBeGreaterThan(encke.a * 1.001);
+        expect(semiMajorAxisAfter({ a2: -1e-8 })).toBeLessThan(encke.a * 0.999);
+    });
+});
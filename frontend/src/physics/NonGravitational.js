@@ -0,0 +1,45 @@
+import { AU_MKM } from './Constants.js';
+
+// Marsden, Sekanina & Yeomans (1973) non-gravitational force model for comets:
+// a = g(r) * (A1 r̂ + A2 t̂ + A3 n̂), with r̂ radial (away from the Sun), n̂ along the orbit normal
+// and t̂ = n̂ × r̂ in the direction of motion. g(r) models water-ice sublimation and is 1 at r = 1 AU.
+export const MARSDEN_G = {
+    alpha: 0.1112620426,
+    r0: 2.808, // AU
+    m: 2.15,
+    n: 5.093,
+    k: 4.6142
+};
+
+// Sublimation law g(r) for heliocentric distance r in AU
+export function marsdenG(rAu) {
+    const { alpha, r0, m, n, k } = MARSDEN_G;
+    const x = rAu / r0;
+    return alpha * x ** -m * (1 + x ** n) ** -k;
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+// Extra acceleration for NBodyPropagator from the catalog parameters { a1, a2, a3 } (AU/day^2) and dt
+// (days, perihelion offset of peak outgassing). With dt the sublimation law is evaluated at the distance
+// the comet had dt days earlier on its two-body orbit, as in the JPL asymmetric model.
+export function createNonGravitationalAcceleration({ a1 = 0, a2 = 0, a3 = 0, dt = 0 }, orbit = null) {
+    const scale = AU_MKM; // AU/day^2 -> millions of km/day^2
+    return (t, position, velocity) => {
+        const r = Math.hypot(position[0], position[1], position[2]);
+        const delayed = dt && orbit ? Math.hypot(...orbit.walkInTime(t - dt)) : r;
+        const g = marsdenG(delayed / AU_MKM) * scale;
+
+        const radial = normalize(position);
+        const normal = normalize(cross(position, velocity));
+        const transverse = cross(normal, radial);
+        return [0, 1, 2].map((i) => g * (a1 * radial[i] + a2 * transverse[i] + a3 * normal[i]));
+    };
+}
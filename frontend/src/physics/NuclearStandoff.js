@@ -0,0 +1,74 @@
+import { asteroidMass } from './Deflection.js';
+import { KILOTON_JOULES } from './Constants.js';
+
+// Nuclear standoff deflection, a first-order energy-deposition model.
+// The device goes off at a height (standoff) above the surface. The neutrons that hit the body heat a
+// thin surface layer over the cap it can see; that layer blows off and the recoil pushes the body.
+// Closer bursts put more energy into less material: fast ejecta, more shock and a risk of breaking the
+// body up. Farther bursts catch too little of the yield. Outputs are estimates, not a hydrocode.
+
+export const NUCLEAR_MODEL = {
+    neutronFraction: 0.2, // share of the yield released as neutrons (the energy that couples at standoff)
+    depositionDepth: 200, // kg/m², column the neutrons heat (~10 cm of rock)
+    blowOffEfficiency: 0.1, // share of the deposited energy that ends up as ejecta kinetic energy
+    meanCosine: 0.5, // ejecta leave normal to the cap; the average component along the push
+    contactStandoff: 0.01, // bursts closer than this fraction of the radius count as contact bursts
+    contactShockCoupling: 0.05 // share of the yield a contact burst drives into the body as a shock
+};
+
+// Catastrophic disruption threshold Q*_D (J/kg) for a basalt target of the given radius (m) and density
+// (kg/m³), Benz & Asphaug (1999) at 5 km/s: strength regime for small bodies, gravity regime for large ones
+export function disruptionThreshold(radius, density) {
+    const r = radius * 100; // cm
+    const rho = density / 1000; // g/cm³
+    const ergPerGram = 9.0e7 * r ** -0.36 + 0.5 * rho * r ** 1.36;
+    return ergPerGram * 1e-4;
+}
+
+// Δv (m/s) and the numbers behind it for a burst of yieldKt kilotons at standoff (m above the surface)
+// from a spherical body of the given diameter (m) and density (kg/m³)
+export function nuclearStandoffDeltaV({ yieldKt, standoff, diameter, density, model = NUCLEAR_MODEL }) {
+    const radius = diameter / 2;
+    const mass = asteroidMass(diameter, density);
+    const contact = standoff < model.contactStandoff * radius;
+    const distance = radius + Math.max(standoff, model.contactStandoff * radius);
+
+    // The burst sees a cap whose edge is where its lines of sight graze the surface
+    const sinGrazing = radius / distance;
+    const cosGrazing = Math.sqrt(1 - sinGrazing ** 2);
+    const interceptedFraction = (1 - cosGrazing) / 2; // of an isotropic release
+    const capArea = 2 * Math.PI * radius ** 2 * (1 - sinGrazing);
+
+    const interceptedEnergy = yieldKt * KILOTON_JOULES * model.neutronFraction * interceptedFraction;
+    const heatedMass = Math.min(capArea * model.depositionDepth, mass);
+    const specificEnergy = heatedMass > 0 ? interceptedEnergy / heatedMass : 0;
+    const ejectaSpeed = Math.sqrt(2 * model.blowOffEfficiency * specificEnergy);
+    const momentum = heatedMass * ejectaSpeed * model.meanCosine;
+
+    // Energy driven into the body per unit mass, against the disruption threshold: the work of the recoil,
+    // plus a direct ground shock for a contact burst
+    const recoilEnergy = 0.5 * momentum * ejectaSpeed;
+    const contactEnergy = contact ? yieldKt * KILOTON_JOULES * model.contactShockCoupling : 0;
+    const shockEnergy = (recoilEnergy + contactEnergy) / mass;
+    const threshold = disruptionThreshold(radius, density);
+    return {
+        deltaV: momentum / mass,
+        mass,
+        interceptedEnergy,
+        heatedMass,
+        ejectaSpeed,
+        shockEnergy,
+        disruptionThreshold: threshold,
+        contact,
+        fragmented: shockEnergy > threshold
+    };
+}
+
+// Δv over a range of standoff distances (from 1% to 3 radii), to show where the optimum lies
+export function standoffCurve({ yieldKt, diameter, density, model = NUCLEAR_MODEL, points = 60 }) {
+    const radius = diameter / 2;
+    return Array.from({ length: points }, (_, i) => {
+        const standoff = radius * 0.01 * 300 ** (i / (points - 1));
+        return { standoff, ...nuclearStandoffDeltaV({ yieldKt, standoff, diameter, density, model }) };
+    });
+}
@@ -0,0 +1,147 @@
+import { Orbit } from '../render/Orbit.js';
+import { AU_MKM, GM_EARTH, GM_MOON, LUNAR_DISTANCE_KM } from './Constants.js';
+
+// Mean orbital elements of the planets and the Moon.
+// Positions are heliocentric ecliptic J2000 in millions of km, times are TDB days since J2000.
+
+const DEG = Math.PI / 180;
+const DAYS_PER_CENTURY = 36525;
+
+// Standish, "Keplerian Elements for Approximate Positions of the Major Planets" (JPL, 1800-2050).
+// a [AU], e, I, L, ϖ (longitude of perihelion), Ω [deg] at J2000 and their rates per Julian century.
+export const PLANET_ELEMENTS = {
+    mercury: {
+        elements: { a: 0.38709927, e: 0.20563593, I: 7.00497902, L: 252.25032350, varpi: 77.45779628, node: 48.33076593 },
+        rates: { a: 0.00000037, e: 0.00001906, I: -0.00594749, L: 149472.67411175, varpi: 0.16047689, node: -0.12534081 }
+    },
+    venus: {
+        elements: { a: 0.72333566, e: 0.00677672, I: 3.39467605, L: 181.97909950, varpi: 131.60246718, node: 76.67984255 },
+        rates: { a: 0.00000390, e: -0.00004107, I: -0.00078890, L: 58517.81538729, varpi: 0.00268329, node: -0.27769418 }
+    },
+    mars: {
+        elements: { a: 1.52371034, e: 0.09339410, I: 1.84969142, L: -4.55343205, varpi: -23.94362959, node: 49.55953891 },
+        rates: { a: 0.00001847, e: 0.00007882, I: -0.00813131, L: 19140.30268499, varpi: 0.44441088, node: -0.29257343 }
+    },
+    jupiter: {
+        elements: { a: 5.20288700, e: 0.04838624, I: 1.30439695, L: 34.39644051, varpi: 14.72847983, node: 100.47390909 },
+        rates: { a: -0.00011607, e: -0.00013253, I: -0.00183714, L: 3034.74612775, varpi: 0.21252668, node: 0.20469106 }
+    },
+    saturn: {
+        elements: { a: 9.53667594, e: 0.05386179, I: 2.48599187, L: 49.95424423, varpi: 92.59887831, node: 113.66242448 },
+        rates: { a: -0.00125060, e: -0.00050991, I: 0.00193609, L: 1222.49362201, varpi: -0.41897216, node: -0.28867794 }
+    },
+    uranus: {
+        elements: { a: 19.18916464, e: 0.04725744, I: 0.77263783, L: 313.23810451, varpi: 170.95427630, node: 74.01692503 },
+        rates: { a: -0.00196176, e: -0.00004397, I: -0.00242939, L: 428.48202785, varpi: 0.40805281, node: 0.04240589 }
+    },
+    neptune: {
+        elements: { a: 30.06992276, e: 0.00859048, I: 1.77004347, L: -55.12002969, varpi: 44.96476227, node: 131.78422574 },
+        rates: { a: 0.00026291, e: 0.00005105, I: 0.00035372, L: 218.45945325, varpi: -0.32241464, node: -0.00508664 }
+    }
+};
+
+// Earth-Moon barycenter J2000 elements from the same table (kept fixed: the scene's reference orbit)
+const EARTH_MOON_BARYCENTER = {
+    a: 1.00000261,
+    e: 0.01671123,
+    L: 100.46457166,
+    varpi: 102.93768193,
+    siderealYear: 365.256363 // days
+};
+
+// Geocentric mean lunar elements (ecliptic of date) at J2000 with linear rates in degrees per day.
+// They ignore evection and variation, so the Moon can be off by ~1.5° (a few thousand km).
+export const MOON_ELEMENTS = {
+    a: LUNAR_DISTANCE_KM / 1e6,
+    e: 0.0549,
+    I: 5.1454,
+    node: 125.0434, nodeRate: -0.0529538083, // regresses once every 18.6 years
+    omega: 318.3099, omegaRate: 0.1643573223, // apsides advance once every 8.85 years
+    M: 134.9629, MRate: 13.0649929509 // anomalistic month of 27.55 days
+};
+
+// Earth/Moon mass ratio: the Earth orbit in the scene is the Earth-Moon barycenter
+export const EARTH_MOON_MASS_RATIO = GM_EARTH / GM_MOON;
+
+let barycenterOrbit = null;
+let lastEarthMoon = { t: NaN, positions: null }; // the integrator asks for Earth and Moon at the same t
+
+// Orbit parameters of a planet from its mean elements at time t (osculating epoch t)
+export function planetOrbitParameters(name, t = 0) {
+    const { elements, rates } = PLANET_ELEMENTS[name];
+    const centuries = t / DAYS_PER_CENTURY;
+    const at = (key) => elements[key] + rates[key] * centuries;
+
+    const period = 360 / rates.L * DAYS_PER_CENTURY; // from the mean motion in longitude
+    const meanAnomaly = (((at('L') - at('varpi')) % 360) + 360) % 360;
+    return {
+        semiMajorAxis: at('a') * AU_MKM,
+        eccentricity: at('e'),
+        inclination: at('I') * DEG,
+        omega: (at('varpi') - at('node')) * DEG,
+        raan: at('node') * DEG,
+        period,
+        tau: t - meanAnomaly / 360 * period,
+        epoch: t
+    };
+}
+
+// Heliocentric ecliptic position of a planet at time t
+export function planetPositionAt(name, t) {
+    return new Orbit(planetOrbitParameters(name, t)).walkInTime(t);
+}
+
+// Heliocentric orbit of the Earth-Moon barycenter
+export function earthMoonBarycenterParameters() {
+    const { a, e, L, varpi, siderealYear } = EARTH_MOON_BARYCENTER;
+    // Mean anomaly at J2000 is L - ϖ, so perihelion passage is that many mean-motion days earlier
+    return {
+        semiMajorAxis: a * AU_MKM,
+        eccentricity: e,
+        period: siderealYear,
+        inclination: 0, // The ecliptic is Earth's orbital plane
+        omega: varpi * Math.PI / 180, // Node is undefined at i = 0, so ω = ϖ
+        raan: 0,
+        tau: -(L - varpi) / 360 * siderealYear, // Perihelion passage (~2000-01-03)
+        epoch: 0
+    };
+}
+
+// Geocentric orbit parameters of the Moon at time t
+export function moonOrbitParameters(t = 0) {
+    const period = 360 / MOON_ELEMENTS.MRate;
+    const meanAnomaly = ((((MOON_ELEMENTS.M + MOON_ELEMENTS.MRate * t) % 360) + 360) % 360);
+    return {
+        semiMajorAxis: MOON_ELEMENTS.a,
+        eccentricity: MOON_ELEMENTS.e,
+        inclination: MOON_ELEMENTS.I * DEG,
+        omega: (MOON_ELEMENTS.omega + MOON_ELEMENTS.omegaRate * t) * DEG,
+        raan: (MOON_ELEMENTS.node + MOON_ELEMENTS.nodeRate * t) * DEG,
+        period,
+        tau: t - meanAnomaly / 360 * period,
+        epoch: t
+    };
+}
+
+// Geocentric ecliptic position of the Moon at time t
+export function moonGeocentricPositionAt(t) {
+    return new Orbit(moonOrbitParameters(t)).walkInTime(t);
+}
+
+// Heliocentric positions of Earth and Moon, split from the barycenter by their mass ratio
+export function earthMoonPositionsAt(t) {
+    if (lastEarthMoon.t === t) return lastEarthMoon.positions;
+    if (!barycenterOrbit) {
+        barycenterOrbit = new Orbit(earthMoonBarycenterParameters());
+    }
+    const barycenter = barycenterOrbit.walkInTime(t);
+    const moon = moonGeocentricPositionAt(t);
+    const earthShare = 1 / (1 + EARTH_MOON_MASS_RATIO);
+    const moonShare = EARTH_MOON_MASS_RATIO / (1 + EARTH_MOON_MASS_RATIO);
+    const positions = {
+        earth: barycenter.map((x, k) => x - moon[k] * earthShare),
+        moon: barycenter.map((x, k) => x + moon[k] * moonShare)
+    };
+    lastEarthMoon = { t, positions };
+    return positions;
+}
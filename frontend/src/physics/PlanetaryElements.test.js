@@ -0,0 +1,31 @@
+import { Orbit } from '../render/Orbit';
+import { Earth } from '../render/Earth';
+import { AU_MKM } from './Constants';
+import { dateToTdbDays } from './Time';
+import { planetPositionAt } from './PlanetaryElements';
+
+const deg = 180 / Math.PI;
+
+// Heliocentric ecliptic longitude (degrees, J2000 frame) and distance (AU)
+function longitudeAndDistance(position) {
+    const longitude = (Math.atan2(position[1], position[0]) * deg + 360) % 360;
+    return { longitude, distance: Math.hypot(...position) / AU_MKM };
+}
+
+describe('planets against reference dates', () => {
+    const earth = new Orbit(Earth.getOrbitParameters());
+
+    // At opposition the planet has the same heliocentric longitude as Earth
+    [
+        ['mars', '2025-01-16T02:38:00Z'],
+        ['jupiter', '2024-12-07T21:00:00Z'],
+        ['saturn', '2024-09-08T04:00:00Z']
+    ].forEach(([name, date]) => {
+        test(`${name} opposition ${date.slice(0, 10)}`, () => {
+            const t = dateToTdbDays(new Date(date));
+            const planet = longitudeAndDistance(planetPositionAt(name, t));
+            const { longitude } = longitudeAndDistance(earth.walkInTime(t));
+            expect(Math.abs(planet.longitude - longitude)).toBeLessThan(0.5);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+// Calendar and Julian Date conversions.
+// Orbit propagation uses days since J2000.0 (JD 2451545.0) in the TDB time scale, the same scale as the
+// JPL catalog's epoch_tdb / tp_tdb. Calendar dates (JavaScript Date) are UTC.
+
+export const J2000_JD = 2451545.0;
+export const UNIX_EPOCH_JD = 2440587.5; // 1970-01-01T00:00:00Z
+export const MJD_OFFSET = 2400000.5; // JD = MJD + 2400000.5
+const MS_PER_DAY = 86400000;
+
+// TDB - UTC: TT - TAI is 32.184 s and TAI - UTC has been 37 leap seconds since 2017-01-01.
+// TDB - TT stays under 2 ms; dates before 2017 are off by at most a few tens of seconds.
+export const TDB_MINUS_UTC_SECONDS = 69.184;
+const TDB_MINUS_UTC_DAYS = TDB_MINUS_UTC_SECONDS / 86400;
+
+// Convert a JavaScript Date (UTC) to a Julian Date
+export function dateToJulianDate(date) {
+    return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+// Convert a Julian Date to a JavaScript Date (UTC)
+export function julianDateToDate(jd) {
+    return new Date((jd - UNIX_EPOCH_JD) * MS_PER_DAY);
+}
+
+// Convert a Julian Date to days since J2000.0
+export function julianDateToDaysSinceJ2000(jd) {
+    return jd - J2000_JD;
+}
+
+// Convert days since J2000.0 to a Julian Date
+export function daysSinceJ2000ToJulianDate(days) {
+    return days + J2000_JD;
+}
+
+// Convert a Modified Julian Date to a Julian Date
+export function modifiedJulianDateToJulianDate(mjd) {
+    return mjd + MJD_OFFSET;
+}
+
+// Convert a UTC Date to TDB days since J2000.0 (the Orbit time unit)
+export function dateToTdbDays(date) {
+    return julianDateToDaysSinceJ2000(dateToJulianDate(date)) + TDB_MINUS_UTC_DAYS;
+}
+
+// Convert TDB days since J2000.0 back to a UTC Date
+export function tdbDaysToDate(days) {
+    return julianDateToDate(daysSinceJ2000ToJulianDate(days - TDB_MINUS_UTC_DAYS));
+}
+
+// Format a Date as "YYYY-MM-DD HH:MM UTC"
+export function formatUtc(date) {
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
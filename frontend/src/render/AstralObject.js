@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { Orbit } from './Orbit.js';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { classificationColor } from './ClassificationColors.js';
 
 export class AstralObject {
     constructor(scene, radius, segments, initialPosition, preprocessedObjects = {}, traceColor = 0xffffff) {
@@ -12,6 +14,7 @@ export class AstralObject {
 
         this.isOrbiting = false;
         this.orbit = null;
+        this.propagator = null; // optional numerical propagator replacing two-body motion on the orbit
 
         this.tracePoints = [];
         this.traceMaxPoints = 600;
@@ -19,6 +22,8 @@ export class AstralObject {
         this.traceRefreshRate = 10; // Update trace every 30 updates
         this.updates = 0;
         this.traceColor = traceColor;
+        this.classification = null; // dynamical class (analysis/Classification.js), colours the trace
+        this.visible = true;
         this.camera = null; // Will be set from scene
         // Create and add trace to scene immediately
         this.createTraceLine();
@@ -30,6 +35,20 @@ export class AstralObject {
         this.camera = camera;
     }
 
+    // Colour the trace by dynamical class; the whole trace takes it at its next refresh
+    setClassification(classification) {
+        this.classification = classification;
+        this.traceColor = classificationColor(classification);
+    }
+
+    // Show or hide the body and its trace (e.g. when a class filter leaves it out)
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.mesh) this.mesh.visible = visible;
+        if (this.atmosphere) this.atmosphere.visible = visible;
+        if (this.traceLine) this.traceLine.visible = visible;
+    }
+
     createTraceLine() {
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(this.traceMaxPoints * 3);
@@ -71,9 +90,45 @@ export class AstralObject {
     startOrbit(orbitParams) {
         this.isOrbiting = true;
         this.orbit = new Orbit(orbitParams);
+        this.propagator = null;
         // Trace line is already created and added to scene in constructor
     }
 
+    // Use a numerical propagator (see NBodyPropagator) instead of Orbit.walkInTime, or null for Kepler
+    setPropagator(propagator) {
+        this.propagator = propagator;
+        this.clearTrace();
+    }
+
+    // Heliocentric ecliptic position at the given simulation time
+    getEclipticPositionAt(time) {
+        return this.propagator ? this.propagator.positionAt(time) : this.orbit.walkInTime(time);
+    }
+
+    // Where the body is drawn at the given time; bodies near Earth stretch it (see NearEarthScale.js)
+    getDisplayPositionAt(time) {
+        return this.getEclipticPositionAt(time);
+    }
+
+    // Position, velocity, anomalies, distance, speed and flight-path angle at the given simulation time.
+    // With a propagator the derived quantities come from the osculating orbit of the integrated state.
+    getStateAt(time) {
+        if (!this.propagator) return this.orbit.stateAt(time);
+        const { position, velocity } = this.propagator.stateAt(time);
+        return Orbit.fromStateVector(position, velocity, time, this.orbit.mu).stateAt(time);
+    }
+
+    // Continue on the osculating orbit through an ecliptic state vector at the given time
+    // (e.g. after a velocity change); the path keeps its sampling settings
+    setOrbitFromState(position, velocity, time) {
+        this.orbit = Orbit.fromStateVector(position, velocity, time, this.orbit?.mu, {
+            numPoints: this.orbit?.numPoints
+        });
+        this.isOrbiting = true;
+        this.propagator = null;
+        this.clearTrace();
+    }
+
     stopOrbit() {
         this.isOrbiting = false;
     }
@@ -126,14 +181,23 @@ export class AstralObject {
         }
     }
 
+    // Drop the trace history (e.g. after the simulation clock jumps to another date)
+    clearTrace() {
+        this.tracePoints = [];
+        if (this.traceLine) {
+            this.traceLine.geometry.setDrawRange(0, 0);
+        }
+    }
+
+    // Move along the orbit to the given simulation time (days since J2000, see SimulationClock)
     updateOrbit(time) {
         this.updates++;
         if (this.updates >= this.traceRefreshRate) {
             this.updates = 0;
         }
         if (!this.isOrbiting || !this.orbit) return;
-        const orbitPosition = this.orbit.walkInTime(time);
-        this.setPosition(orbitPosition[0], orbitPosition[2], orbitPosition[1]);
+        const orbitPosition = eclipticToScene(this.getDisplayPositionAt(time));
+        this.setPosition(orbitPosition[0], orbitPosition[1], orbitPosition[2]);
         //console.log('Updates:', this.updates);
         if (this.updates === 0) {
             this.updateTrace();
@@ -0,0 +1,27 @@
+// Trace colours by dynamical class (analysis/Classification.js). Potentially hazardous objects are red
+// whatever their class; the rest take the colour of their comet family or NEO group.
+export const PHA_COLOR = 0xff4040;
+export const UNCLASSIFIED_COLOR = 0xffffff;
+
+export const CLASS_COLORS = {
+    Atira: 0xb388ff,
+    Aten: 0xffd54f,
+    Apollo: 0xff9e40,
+    Amor: 0x81c784,
+    JFC: 0x4fc3f7,
+    ETC: 0x4db6ac,
+    CTC: 0x9575cd,
+    HTC: 0xf06292,
+    LPC: 0x90a4ae
+};
+
+export function classificationColor(classification) {
+    if (!classification) return UNCLASSIFIED_COLOR;
+    if (classification.pha !== false) return PHA_COLOR;
+    return CLASS_COLORS[classification.cometFamily] ?? CLASS_COLORS[classification.neoGroup] ?? UNCLASSIFIED_COLOR;
+}
+
+// CSS colour for legends
+export function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { nearEarthDisplayPosition } from './NearEarthScale.js';
+
+const MISS_COLOR = new THREE.Color(0x61dafb);
+const IMPACT_COLOR = new THREE.Color(0xff4040);
+
+// Point cloud of the Monte Carlo clones of an orbit (see analysis/VirtualImpactors.js), moved along with
+// the simulation clock on the near-Earth scale. Clones that hit Earth at the analysed encounter are drawn in red.
+export class CloneCloud {
+    constructor(scene, clones) {
+        this.scene = scene;
+        this.clones = clones;
+
+        const positions = new Float32Array(clones.length * 3);
+        const colors = new Float32Array(clones.length * 3);
+        clones.forEach((clone, i) => (clone.impact ? IMPACT_COLOR : MISS_COLOR).toArray(colors, i * 3));
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        // Screen-sized points: at scene scale the cloud is far smaller than a pixel until it spreads out
+        const material = new THREE.PointsMaterial({ size: 3, sizeAttenuation: false, vertexColors: true });
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false;
+        this.scene.add(this.points);
+    }
+
+    // Place every clone at the given simulation time
+    update(time) {
+        const positions = this.points.geometry.attributes.position;
+        this.clones.forEach((clone, i) => {
+            positions.setXYZ(i, ...eclipticToScene(nearEarthDisplayPosition(clone.orbit.walkInTime(time), time)));
+        });
+        positions.needsUpdate = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
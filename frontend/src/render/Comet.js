@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { Orbit } from './Orbit.js';
 import { AstralObject } from './AstralObject.js';
+import { nearEarthDisplayPosition } from './NearEarthScale.js';
 
 export class Comet extends AstralObject {
     constructor(scene, radius, segments = 32, initialPosition, preloadedAssets = {}, preprocessedObjects = {}) {
@@ -237,6 +238,11 @@ export class Comet extends AstralObject {
         });
     }
     
+    // Close approaches are drawn on the near-Earth scale, against the lunar-distance ring (see NearEarthScale.js)
+    getDisplayPositionAt(time) {
+        return nearEarthDisplayPosition(this.getEclipticPositionAt(time), time);
+    }
+
     // Update orbit position (override to update tail)
     updateOrbit(time) {
         if (!this.isOrbiting || !this.orbit) return;
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { Orbit } from './Orbit.js';
 import { AstralObject } from './AstralObject.js';
+import { earthMoonBarycenterParameters, earthMoonPositionsAt } from '../physics/PlanetaryElements.js';
 
 export class Earth extends AstralObject {
     constructor(scene, radius = 50, segments = 64, initialPosition = new THREE.Vector3(15, 0, 0), preloadedAssets = {}, preprocessedObjects = {}) {
@@ -243,17 +244,20 @@ export class Earth extends AstralObject {
         }
     }
 
-    // Start orbiting around a center point (usually the sun)
+    // Heliocentric orbit of the Earth-Moon barycenter (time in TDB days since J2000, see SimulationClock).
+    // Earth itself circles the barycenter once a month, ~4700 km away, see getEclipticPositionAt.
+    static getOrbitParameters() {
+        return earthMoonBarycenterParameters();
+    }
+
+    // Barycenter position minus Earth's share of the Earth-Moon separation
+    getEclipticPositionAt(time) {
+        return earthMoonPositionsAt(time).earth;
+    }
+
+    // Start orbiting the Sun on its J2000 elements
     startOrbit() {
-        super.startOrbit({
-            semiMajorAxis: 150, // Earth's distance from Sun in million km (scaled)
-            eccentricity: 0.0,  // Earth's orbital eccentricity
-            period: 365.0,        // Earth's orbital period in days
-            inclination: 0, // Earth's orbital inclination (minimal)
-            omega: 0,
-            raan: 0,
-            tau: 0,
-        });
+        super.startOrbit(Earth.getOrbitParameters());
     }
 
     // Stop orbiting
@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { Orbit } from './Orbit.js';
 import { AstralObject } from './AstralObject.js';
+import { nearEarthDisplayPosition } from './NearEarthScale.js';
+import { NBodyPropagator } from '../physics/NBodyPropagator.js';
+import { createNonGravitationalAcceleration } from '../physics/NonGravitational.js';
 
 export class Meteor extends AstralObject {
     constructor(scene, radius, segments = 32, initialPosition, preloadedAssets = {}, preprocessedObjects = {}, name = 'Unknown') {
@@ -8,6 +11,11 @@ export class Meteor extends AstralObject {
         this.preloadedAssets = preloadedAssets;
         this.mesh = null; // Mesh is not created by default
         this.name = name;
+        this.orbitSource = null; // 'catalog' for real JPL elements, 'random' for decorative orbits
+        this.orbitParams = null;
+        this.propagationMode = 'kepler'; // 'kepler' (two-body) or 'nbody' (integrated with perturbations)
+        this.nonGravitational = false; // apply the comet's Marsden outgassing model while integrating
+        this.originalOrbit = null; // orbit before the first deflection, see setOrbitFromState
 
         // Add to scene (traceLine is already added by parent constructor)
         this.addToScene();
@@ -16,6 +24,7 @@ export class Meteor extends AstralObject {
     instantiateMesh() {
         if (this.mesh) return; // Already instantiated
         this.mesh = this.createMeteorMesh();
+        this.mesh.visible = this.visible;
         this.setPosition(this.position.x, this.position.y, this.position.z);
         this.addToScene();
     }
@@ -168,6 +177,8 @@ export class Meteor extends AstralObject {
     // Start orbiting around a center point (usually the sun)
     startOrbit(center = new THREE.Vector3(0, 0, 0), speed = 0.005) {
         const distance = this.position.distanceTo(center);
+        this.orbitSource = 'random';
+        this.propagationMode = 'kepler';
         super.startOrbit({
             semiMajorAxis: distance,
             eccentricity: 0.1 + Math.random() * 0.3,
@@ -178,11 +189,79 @@ export class Meteor extends AstralObject {
         });
     }
     
+    // Follow the real orbital elements of a catalog object (output of parseOrbitFile)
+    startCatalogOrbit(orbitParams) {
+        this.orbitSource = 'catalog';
+        this.orbitParams = orbitParams; // kept for info panels (catalog MOID, epoch, ...)
+        if (orbitParams.name) {
+            this.name = orbitParams.name;
+        }
+        this.propagationMode = 'kepler';
+        this.nonGravitational = false;
+        this.originalOrbit = null;
+        if (orbitParams.classification) {
+            this.setClassification(orbitParams.classification);
+        }
+        super.startOrbit(orbitParams);
+    }
+
+    // Switch between two-body Kepler motion and N-body integration from the orbit's epoch.
+    // Only catalog orbits qualify: random orbits don't move at the Sun's real gravitational rate.
+    setPropagationMode(mode) {
+        if (this.orbitSource !== 'catalog' || mode === this.propagationMode) return;
+        this.propagationMode = mode;
+        if (mode === 'kepler') this.nonGravitational = false;
+        this.updatePropagator();
+    }
+
+    // Toggle the non-gravitational model (needs A1/A2/A3 from the catalog); it only acts in N-body mode,
+    // so enabling it also switches the object to N-body integration
+    setNonGravitational(enabled) {
+        if (this.orbitSource !== 'catalog' || !this.orbitParams.nonGravitational) return;
+        this.nonGravitational = enabled;
+        if (enabled) this.propagationMode = 'nbody';
+        this.updatePropagator();
+    }
+
+    // Rebuild the numerical propagator for the current mode and force model
+    updatePropagator() {
+        if (this.propagationMode !== 'nbody') {
+            this.setPropagator(null);
+            return;
+        }
+        const model = this.nonGravitational ? this.orbitParams.nonGravitational : null;
+        this.setPropagator(new NBodyPropagator(this.orbit, {
+            accelerations: model ? [createNonGravitationalAcceleration(model, this.orbit)] : []
+        }));
+    }
+
+    // Replace the orbit with the one through the given state vector, keeping the propagation mode.
+    // The orbit it had before the first change is kept for restoreOriginalOrbit.
+    setOrbitFromState(position, velocity, time) {
+        if (!this.originalOrbit) this.originalOrbit = this.orbit;
+        super.setOrbitFromState(position, velocity, time);
+        this.updatePropagator();
+    }
+
+    // Undo deflections: go back to the orbit before the first setOrbitFromState
+    restoreOriginalOrbit() {
+        if (!this.originalOrbit) return;
+        this.orbit = this.originalOrbit;
+        this.originalOrbit = null;
+        this.clearTrace();
+        this.updatePropagator();
+    }
+
     // Stop orbiting
     stopOrbit() {
         super.stopOrbit();
     }
     
+    // Close approaches are drawn on the near-Earth scale, against the lunar-distance ring (see NearEarthScale.js)
+    getDisplayPositionAt(time) {
+        return nearEarthDisplayPosition(this.getEclipticPositionAt(time), time);
+    }
+
     // Update orbit position
     updateOrbit(time) {
         if (!this.isOrbiting || !this.orbit) return;
@@ -213,6 +292,7 @@ export class Meteor extends AstralObject {
         }
         return {
             isOrbiting: this.isOrbiting,
+            source: this.orbitSource,
             semiMajorAxis: this.orbit.a,
             eccentricity: this.orbit.e,
             period: this.orbit.T,
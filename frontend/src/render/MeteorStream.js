@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { AU_MKM } from '../physics/Constants.js';
+
+const STREAM_COLOR = 0xffd27f;
+const RADIANT_COLOR = 0xff9e40;
+const STREAM_PARTICLES = 3000;
+const STREAM_WIDTH = 0.01; // spread of the dust around the orbit, as a fraction of the distance from the Sun
+const RADIANT_LINE_AU = 0.3;
+
+// Dust stream along a parent comet's orbit with the shower's encounter point and a line from Earth's orbit
+// towards the radiant (see analysis/MeteorShowers.js). Static: the stream fills the whole orbit.
+export class MeteorStream {
+    constructor(scene, orbit, shower) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+
+        const limit = orbit.getParameterLimit();
+        const positions = new Float32Array(STREAM_PARTICLES * 3);
+        for (let i = 0; i < STREAM_PARTICLES; i++) {
+            const point = orbit.positionAtParameter(-limit + 2 * limit * Math.random());
+            const spread = STREAM_WIDTH * Math.hypot(...point);
+            const scattered = point.map((x) => x + spread * (Math.random() - 0.5));
+            positions.set(eclipticToScene(scattered), i * 3);
+        }
+        const streamGeometry = new THREE.BufferGeometry();
+        streamGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const streamMaterial = new THREE.PointsMaterial({ color: STREAM_COLOR, size: 2, sizeAttenuation: false, transparent: true, opacity: 0.6 });
+        this.group.add(new THREE.Points(streamGeometry, streamMaterial));
+
+        const encounterGeometry = new THREE.BufferGeometry();
+        encounterGeometry.setAttribute('position', new THREE.Float32BufferAttribute(eclipticToScene(shower.streamPoint), 3));
+        this.group.add(new THREE.Points(encounterGeometry, new THREE.PointsMaterial({ color: RADIANT_COLOR, size: 8, sizeAttenuation: false })));
+
+        const radiantEnd = shower.earthPoint.map((x, k) => x + RADIANT_LINE_AU * AU_MKM * shower.radiantDirection[k]);
+        const radiantGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(...eclipticToScene(shower.earthPoint)),
+            new THREE.Vector3(...eclipticToScene(radiantEnd))
+        ]);
+        this.group.add(new THREE.Line(radiantGeometry, new THREE.LineBasicMaterial({ color: RADIANT_COLOR })));
+
+        this.group.children.forEach((child) => { child.frustumCulled = false; });
+        this.scene.add(this.group);
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.group.children.forEach((child) => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+    }
+}
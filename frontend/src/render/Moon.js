@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+import { Orbit } from './Orbit.js';
+import { AstralObject } from './AstralObject.js';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { PLANET_SIZE_SCALE } from './Planet.js';
+import { earthMoonPositionsAt, moonOrbitParameters } from '../physics/PlanetaryElements.js';
+import { LUNAR_DISTANCE_KM } from '../physics/Constants.js';
+import { nearEarthDisplayDistance, nearEarthDisplayPosition } from './NearEarthScale.js';
+
+const MOON_RADIUS_KM = 1737.4;
+
+// Rebuild the geocentric orbit (node and perigee precess) once a simulated month
+const ELEMENT_REFRESH_DAYS = 27.3;
+
+export class Moon extends AstralObject {
+    constructor(scene, segments = 32, preloadedAssets = {}, preprocessedObjects = {}) {
+        super(scene, MOON_RADIUS_KM * PLANET_SIZE_SCALE, segments, new THREE.Vector3(), preprocessedObjects, 0xbbbbbb);
+        this.name = 'Moon';
+        this.centralBody = 'Earth'; // orbit elements are geocentric
+        this.preloadedAssets = preloadedAssets;
+        this.elementsTime = null;
+        this.traceRefreshRate = 2; // a month goes by quickly, sample the trace more often
+
+        this.mesh = this.createMoonMesh();
+        this.referenceRing = this.createReferenceRing();
+        this.addToScene();
+    }
+
+    createMoonMesh() {
+        const geometry = new THREE.SphereGeometry(this.radius, this.segments, this.segments);
+        const material = new THREE.MeshStandardMaterial({ color: 0xa8a8a8, roughness: 1.0, metalness: 0.0 });
+
+        // Use preloaded texture if available, otherwise load it and keep the flat colour until then
+        const texturePath = '/resources/moon/Moon Map.jpg';
+        const applyTexture = (texture) => {
+            material.map = texture;
+            material.color.set(0xffffff);
+            material.needsUpdate = true;
+        };
+        if (this.preloadedAssets[texturePath]) {
+            applyTexture(this.preloadedAssets[texturePath]);
+        } else {
+            new THREE.TextureLoader().load(texturePath, applyTexture, undefined, () => {
+                console.warn('No texture for the Moon, using a flat colour');
+            });
+        }
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = false;
+        mesh.receiveShadow = false;
+        return mesh;
+    }
+
+    // Circle of one mean lunar distance around Earth in the ecliptic plane, on the near-Earth display scale
+    createReferenceRing() {
+        const radius = nearEarthDisplayDistance(LUNAR_DISTANCE_KM / 1e6);
+        const points = [];
+        for (let i = 0; i < 128; i++) {
+            const angle = (i / 128) * Math.PI * 2;
+            points.push(new THREE.Vector3(...eclipticToScene([radius * Math.cos(angle), radius * Math.sin(angle), 0])));
+        }
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineDashedMaterial({ color: 0x9ad0ff, dashSize: 3, gapSize: 2, transparent: true, opacity: 0.5 });
+        const ring = new THREE.LineLoop(geometry, material);
+        ring.computeLineDistances();
+        return ring;
+    }
+
+    addToScene() {
+        super.addToScene();
+        if (this.referenceRing) {
+            this.scene.add(this.referenceRing);
+        }
+    }
+
+    removeFromScene() {
+        super.removeFromScene();
+        if (this.referenceRing) {
+            this.scene.remove(this.referenceRing);
+        }
+    }
+
+    // Start orbiting Earth on the mean lunar elements at the given time
+    startOrbit(time = 0) {
+        this.isOrbiting = true;
+        this.orbit = new Orbit(moonOrbitParameters(time));
+        this.elementsTime = time;
+    }
+
+    // Heliocentric ecliptic position (the orbit elements are geocentric)
+    getEclipticPositionAt(time) {
+        return earthMoonPositionsAt(time).moon;
+    }
+
+    // Drawn on the near-Earth scale, like the reference ring and close approaches (see NearEarthScale.js)
+    getDisplayPositionAt(time) {
+        return nearEarthDisplayPosition(this.getEclipticPositionAt(time), time);
+    }
+
+    // Update orbit position and keep the ring centred on Earth
+    updateOrbit(time) {
+        if (!this.isOrbiting) return;
+        if (Math.abs(time - this.elementsTime) > ELEMENT_REFRESH_DAYS) {
+            this.startOrbit(time);
+        }
+        super.updateOrbit(time);
+        this.referenceRing.position.set(...eclipticToScene(earthMoonPositionsAt(time).earth));
+    }
+
+    dispose() {
+        if (this.referenceRing) {
+            this.scene.remove(this.referenceRing);
+            this.referenceRing.geometry.dispose();
+            this.referenceRing.material.dispose();
+            this.referenceRing = null;
+        }
+        super.dispose();
+    }
+}
@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+import { Moon } from './Moon';
+import { nearEarthDisplayDistance, nearEarthDisplayPosition, NEAR_EARTH_OUTER_MKM } from './NearEarthScale';
+import { AU_MKM, LUNAR_DISTANCE_KM } from '../physics/Constants';
+import { dateToTdbDays } from '../physics/Time';
+import { earthMoonPositionsAt, moonGeocentricPositionAt } from '../physics/PlanetaryElements';
+
+const deg = 180 / Math.PI;
+
+// Ecliptic longitude (degrees, J2000 frame) and distance (AU)
+function longitudeAndDistance(position) {
+    const longitude = (Math.atan2(position[1], position[0]) * deg + 360) % 360;
+    return { longitude, distance: Math.hypot(...position) / AU_MKM };
+}
+
+describe('Moon against reference dates', () => {
+    // At new moon the Moon's geocentric longitude equals the Sun's, at full moon it is opposite
+    [
+        ['2024-01-11T11:57:00Z', 0],
+        ['2024-06-22T01:08:00Z', 180],
+        ['2025-03-29T10:58:00Z', 0],
+        ['2025-09-07T18:09:00Z', 180]
+    ].forEach(([date, elongation]) => {
+        test(`${elongation ? 'full' : 'new'} moon ${date.slice(0, 10)}`, () => {
+            const t = dateToTdbDays(new Date(date));
+            const { earth } = earthMoonPositionsAt(t);
+            const moon = longitudeAndDistance(moonGeocentricPositionAt(t));
+            const sun = longitudeAndDistance(earth.map((x) => -x));
+            const difference = ((moon.longitude - sun.longitude - elongation) % 360 + 540) % 360 - 180;
+            expect(Math.abs(difference)).toBeLessThan(2);
+        });
+    });
+});
+
+describe('lunar-distance ring', () => {
+    const moon = new Moon(new THREE.Scene(), 8);
+    const ring = moon.referenceRing.geometry.attributes.position;
+    const ringRadius = Math.hypot(ring.getX(0), ring.getY(0), ring.getZ(0));
+    const t = 9000;
+    const earth = earthMoonPositionsAt(t).earth;
+
+    function drawnGeocentricDistance(position) {
+        const drawn = nearEarthDisplayPosition(position, t);
+        return Math.hypot(drawn[0] - earth[0], drawn[1] - earth[1], drawn[2] - earth[2]);
+    }
+
+    test('an object 1 LD from Earth is drawn on the ring, outside the Earth sphere', () => {
+        const direction = [0.6, -0.64, 0.48];
+        const position = earth.map((x, k) => x + direction[k] * LUNAR_DISTANCE_KM / 1e6);
+        expect(drawnGeocentricDistance(position)).toBeCloseTo(ringRadius, 5) // the ring geometry is single precision;
+        expect(ringRadius).toBeGreaterThan(moon.radius + 1); // Earth is drawn with a radius of 1 unit
+    });
+
+    test('the Moon is drawn near the ring', () => {
+        moon.startOrbit(t);
+        const drawn = moon.getDisplayPositionAt(t);
+        const distance = Math.hypot(drawn[0] - earth[0], drawn[1] - earth[1], drawn[2] - earth[2]);
+        expect(Math.abs(distance / ringRadius - 1)).toBeLessThan(0.07);
+    });
+
+    test('the stretch grows with distance and is gone far from Earth', () => {
+        const distances = [0.1, 0.5, 1, 5, 10, 14.9, 20].map(nearEarthDisplayDistance);
+        distances.slice(1).forEach((d, i) => expect(d).toBeGreaterThan(distances[i]));
+        expect(nearEarthDisplayDistance(NEAR_EARTH_OUTER_MKM)).toBeCloseTo(NEAR_EARTH_OUTER_MKM, 12);
+        const far = [AU_MKM * 2, 0, 0];
+        expect(nearEarthDisplayPosition(far, t)).toEqual(far);
+    });
+});
@@ -0,0 +1,35 @@
+import { earthMoonPositionsAt } from '../physics/PlanetaryElements.js';
+import { AU_MKM, LUNAR_DISTANCE_KM } from '../physics/Constants.js';
+
+// Earth is drawn ~157x too large (1 unit = 1 Earth radius), which would put the Moon's orbit and every
+// close approach within a few lunar distances inside it. Geocentric offsets are therefore drawn stretched
+// by EARTH_MOON_DISPLAY_SCALE out to NEAR_EARTH_INNER_MKM, then eased back to true scale at
+// NEAR_EARTH_OUTER_MKM. The Moon, the lunar-distance ring and catalog objects all use the same mapping, so
+// an object passing at 1 LD is drawn on the ring. Physics and the panels keep true positions.
+export const EARTH_MOON_DISPLAY_SCALE = 10;
+export const NEAR_EARTH_INNER_MKM = 2 * LUNAR_DISTANCE_KM / 1e6;
+export const NEAR_EARTH_OUTER_MKM = 0.1 * AU_MKM;
+
+// Drawn geocentric distance for a true one (millions of km); continuous and increasing
+export function nearEarthDisplayDistance(distance) {
+    if (distance <= NEAR_EARTH_INNER_MKM) return distance * EARTH_MOON_DISPLAY_SCALE;
+    if (distance >= NEAR_EARTH_OUTER_MKM) return distance;
+    const inner = NEAR_EARTH_INNER_MKM * EARTH_MOON_DISPLAY_SCALE;
+    const fraction = (distance - NEAR_EARTH_INNER_MKM) / (NEAR_EARTH_OUTER_MKM - NEAR_EARTH_INNER_MKM);
+    return inner + fraction * (NEAR_EARTH_OUTER_MKM - inner);
+}
+
+// Drawn geocentric offset for a true one: same direction, distance from nearEarthDisplayDistance
+export function stretchGeocentricOffset(offset) {
+    const distance = Math.hypot(offset[0], offset[1], offset[2]);
+    if (distance === 0 || distance >= NEAR_EARTH_OUTER_MKM) return offset;
+    const factor = nearEarthDisplayDistance(distance) / distance;
+    return offset.map((x) => x * factor);
+}
+
+// Drawn heliocentric ecliptic position of a body at the given time (TDB days since J2000)
+export function nearEarthDisplayPosition(position, time) {
+    const earth = earthMoonPositionsAt(time).earth;
+    const offset = stretchGeocentricOffset([position[0] - earth[0], position[1] - earth[1], position[2] - earth[2]]);
+    return earth.map((x, k) => x + offset[k]);
+}
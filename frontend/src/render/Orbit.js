@@ -1,43 +1,95 @@
-// Class to handle elliptic orbit calculations
+import { GM_SUN } from '../physics/Constants.js';
+
+// Eccentricities this close to 1 are treated as exactly parabolic
+const PARABOLIC_TOLERANCE = 1e-9;
+
+// Class to handle conic orbit calculations (elliptic, parabolic and hyperbolic).
+// Positions are heliocentric ecliptic J2000 coordinates (see ReferenceFrame.js for the scene mapping):
+// the orbital plane is oriented with the standard 3-1-3 rotation R_z(raan) * R_x(inclination) * R_z(omega).
+// Open orbits use a < 0 for hyperbolas and a = Infinity for parabolas, so perihelionDistance (q) is
+// the safe way to describe them.
 export class Orbit {
     // Constructor initializes orbital parameters
     constructor({
                     semiMajorAxis = 1,
                     eccentricity = 1 / Math.sqrt(2),
+                    perihelionDistance = null,
                     inclination = 0,
                     omega = 0,
                     raan = 0,
-                    period = 120,
+                    period = null,
                     tau = 0,
-                    numPoints = 250
+                    epoch = null,
+                    mu = null,
+                    numPoints = 250,
+                    maxPathRadius = null
                 }) {
-        this.a = semiMajorAxis; // semi-major axis
         this.e = eccentricity; // eccentricity
-        this.b = this.a * Math.sqrt(1 - this.e ** 2); // semi-minor axis
-        this.c = this.e * this.a; // distance from center to focus
-        this.center = [-this.c, 0, 0]; // center at [-a*e, 0, 0], focus at origin
-        this.inclination = inclination; // pitch ~ inclination (y-axis rotation)
-        this.omega = omega; // yaw ~ longitude of ascending node (z-axis rotation)
-        this.raan = raan; // roll ~ RAAN (x-axis rotation)
-        this.T = period; // orbital period in seconds
+        this.type = Orbit.classify(this.e); // 'elliptic', 'parabolic' or 'hyperbolic'
+        this.q = perihelionDistance ?? semiMajorAxis * (1 - this.e); // perihelion distance
+        this.a = this.type === 'parabolic' ? Infinity : this.q / (1 - this.e); // semi-major axis (negative if hyperbolic)
+        this.mu = mu ?? (this.type === 'elliptic' && period ? 4 * Math.PI ** 2 * this.a ** 3 / period ** 2 : GM_SUN); // gravitational parameter
+        this.b = this.type === 'parabolic' ? Infinity : Math.abs(this.a) * Math.sqrt(Math.abs(1 - this.e ** 2)); // semi-minor axis
+        this.c = this.e * this.a; // distance from center to focus (signed)
+        this.center = this.type === 'parabolic' ? null : [-this.c, 0, 0]; // conic center, focus at origin
+        this.inclination = inclination; // i, tilt of the orbital plane against the ecliptic (radians)
+        this.omega = omega; // ω, argument of perihelion measured from the ascending node (radians)
+        this.raan = raan; // Ω, longitude of the ascending node measured from the vernal equinox (radians)
+        this.rotation = this.createRotationMatrix(); // orbital plane -> ecliptic
+        this.T = this.type === 'elliptic' ? (period ?? 2 * Math.PI * Math.sqrt(this.a ** 3 / this.mu)) : Infinity; // orbital period
         this.tau = tau; // time of pericenter passage
+        this.epoch = epoch ?? tau; // osculating epoch of the elements
         this.numPoints = numPoints; // number of points for orbit curve
-        this.u = this.generateU(); // parametric angles for orbit
-        this.orbitPoints = this.generateEllipsePoints(); // base ellipse points
-        this.rotatedOrbits = this.applyRotations(); // rotated orbit points
+        this.maxPathRadius = maxPathRadius ?? 20 * this.q; // open orbits are only drawn out to this distance
+        this.u = null; // parametric angles for orbit (generated on first getOrbitPoints call)
+        this.orbitPoints = null; // base conic points
+        this.rotatedOrbits = null; // rotated orbit points
         //console.log("Orbit initialized with parameters:", this);
     }
 
-    // Generate sequence like seq(-pi, pi, length.out=numPoints)
+    // Classify a conic by its eccentricity
+    static classify(eccentricity) {
+        if (Math.abs(eccentricity - 1) < PARABOLIC_TOLERANCE) return 'parabolic';
+        return eccentricity < 1 ? 'elliptic' : 'hyperbolic';
+    }
+
+    // Limit of the path parameter: the eccentric anomaly for ellipses, the hyperbolic anomaly for
+    // hyperbolas and tan(ν/2) for parabolas. Open orbits stop at maxPathRadius.
+    getParameterLimit() {
+        if (this.type === 'hyperbolic') {
+            return Math.acosh((this.maxPathRadius / Math.abs(this.a) + 1) / this.e);
+        }
+        if (this.type === 'parabolic') {
+            return Math.sqrt(Math.max(this.maxPathRadius / this.q - 1, 0));
+        }
+        return Math.PI;
+    }
+
+    // Ecliptic position for a path parameter u in [-limit, limit] (see getParameterLimit)
+    positionAtParameter(u) {
+        if (this.type === 'hyperbolic') return this.toEcliptic(this.hyperbolicPosition(u));
+        if (this.type === 'parabolic') return this.toEcliptic(this.parabolicPosition(u));
+        return this.toEcliptic(this.ellipticPosition(u));
+    }
+
+    // Generate sequence like seq(-limit, limit, length.out=numPoints) of path parameters
     generateU() {
+        const limit = this.getParameterLimit();
         const u = [];
-        const step = (2 * Math.PI) / (this.numPoints - 1);
+        const step = (2 * limit) / (this.numPoints - 1);
         for (let i = 0; i < this.numPoints; i++) {
-            u.push(-Math.PI + i * step);
+            u.push(-limit + i * step);
         }
         return u;
     }
 
+    // Generate the path points in the orbital plane for the conic type
+    generatePathPoints() {
+        if (this.type === 'hyperbolic') return this.generateHyperbolaPoints();
+        if (this.type === 'parabolic') return this.generateParabolaPoints();
+        return this.generateEllipsePoints();
+    }
+
     // Generate ellipse points in the orbital plane
     generateEllipsePoints() {
         const points = [];
@@ -52,64 +104,64 @@ export class Orbit {
         return points;
     }
 
-    // 3D rotation of a point [x,y,z] around axis [ux,uy,uz] by angle theta (radians)
-    rotate3D(point, theta, ux, uy, uz) {
-        const len = Math.sqrt(ux ** 2 + uy ** 2 + uz ** 2);
-        ux /= len;
-        uy /= len;
-        uz /= len;
+    // Generate hyperbola branch points in the orbital plane (u is the hyperbolic anomaly H)
+    generateHyperbolaPoints() {
+        return this.u.map((H) => this.hyperbolicPosition(H));
+    }
 
-        const cos_theta = Math.cos(theta);
-        const sin_theta = Math.sin(theta);
-        const one_minus_cos = 1 - cos_theta;
+    // Generate parabola points in the orbital plane (u is D = tan(ν/2))
+    generateParabolaPoints() {
+        return this.u.map((D) => this.parabolicPosition(D));
+    }
 
-        const m11 = cos_theta + ux * ux * one_minus_cos;
-        const m12 = ux * uy * one_minus_cos - uz * sin_theta;
-        const m13 = ux * uz * one_minus_cos + uy * sin_theta;
-        const m21 = uy * ux * one_minus_cos + uz * sin_theta;
-        const m22 = cos_theta + uy * uy * one_minus_cos;
-        const m23 = uy * uz * one_minus_cos - ux * sin_theta;
-        const m31 = uz * ux * one_minus_cos - uy * sin_theta;
-        const m32 = uz * uy * one_minus_cos + ux * sin_theta;
-        const m33 = cos_theta + uz * uz * one_minus_cos;
+    // Rotation matrix R_z(Ω) * R_x(i) * R_z(ω) from the perifocal frame (x towards perihelion,
+    // z along the orbit normal) to the ecliptic frame, stored row-major
+    createRotationMatrix() {
+        const cosO = Math.cos(this.raan);
+        const sinO = Math.sin(this.raan);
+        const cosI = Math.cos(this.inclination);
+        const sinI = Math.sin(this.inclination);
+        const cosW = Math.cos(this.omega);
+        const sinW = Math.sin(this.omega);
 
-        const x = point[0];
-        const y = point[1];
-        const z = point[2];
-        const new_x = m11 * x + m12 * y + m13 * z;
-        const new_y = m21 * x + m22 * y + m23 * z;
-        const new_z = m31 * x + m32 * y + m33 * z;
+        return [
+            [cosO * cosW - sinO * sinW * cosI, -cosO * sinW - sinO * cosW * cosI, sinO * sinI],
+            [sinO * cosW + cosO * sinW * cosI, -sinO * sinW + cosO * cosW * cosI, -cosO * sinI],
+            [sinW * sinI, cosW * sinI, cosI]
+        ];
+    }
 
-        return [new_x, new_y, new_z];
+    // Rotate a point [x,y,z] from the orbital plane into the ecliptic frame
+    toEcliptic(point) {
+        const R = this.rotation;
+        return [
+            R[0][0] * point[0] + R[0][1] * point[1] + R[0][2] * point[2],
+            R[1][0] * point[0] + R[1][1] * point[1] + R[1][2] * point[2],
+            R[2][0] * point[0] + R[2][1] * point[1] + R[2][2] * point[2]
+        ];
     }
 
-    // Apply sequential rotations to orbit points and center
+    // Orient the orbit points and center in the ecliptic frame
     applyRotations() {
-        let rotatedPointsInc = [];
-        let rotatedPointsOm = [];
-        let rotatedPointsRaan = [];
-
-        let centerInc = this.rotate3D(this.center, this.inclination, 0, 1, 0);
-        for (let p of this.orbitPoints) {
-            rotatedPointsInc.push(this.rotate3D(p, this.inclination, 0, 1, 0));
-        }
+        return {
+            points: this.orbitPoints.map((p) => this.toEcliptic(p)),
+            center: this.center ? this.toEcliptic(this.center) : null
+        };
+    }
 
-        let centerOm = this.rotate3D(centerInc, this.omega, 0, 0, 1);
-        for (let i = 0; i < this.orbitPoints.length; i++) {
-            rotatedPointsOm.push(this.rotate3D(rotatedPointsInc[i], this.omega, 0, 0, 1));
-        }
+    // Unit vector from the Sun towards perihelion (first column of the rotation matrix)
+    getPerihelionDirection() {
+        return [this.rotation[0][0], this.rotation[1][0], this.rotation[2][0]];
+    }
 
-        let centerRaan = this.rotate3D(centerOm, this.raan, 1, 0, 0);
-        for (let i = 0; i < this.orbitPoints.length; i++) {
-            rotatedPointsRaan.push(this.rotate3D(rotatedPointsOm[i], this.raan, 1, 0, 0));
-        }
+    // Unit vector from the Sun towards the ascending node
+    getAscendingNodeDirection() {
+        return [Math.cos(this.raan), Math.sin(this.raan), 0];
+    }
 
-        return {
-            inc: rotatedPointsInc,
-            om: rotatedPointsOm,
-            raan: rotatedPointsRaan,
-            center: centerRaan
-        };
+    // Unit vector normal to the orbital plane (angular momentum direction)
+    getNormalDirection() {
+        return [this.rotation[0][2], this.rotation[1][2], this.rotation[2][2]];
     }
 
     // Kepler starter function for initial guess
@@ -145,7 +197,8 @@ export class Orbit {
     // Solve Kepler's equation for eccentric anomaly E
     keplerSolve(M) {
         const tol = 1e-14;
-        let Mnorm = M % (2 * Math.PI);
+        // Wrap to [-pi, pi]: the starter is poor for M just below 2*pi when e is close to 1
+        let Mnorm = M - 2 * Math.PI * Math.round(M / (2 * Math.PI));
         let E0 = this.keplerStart3(Mnorm);
         let dE = tol + 1;
         let count = 0;
@@ -164,36 +217,227 @@ export class Orbit {
         return E;
     }
 
-    // Propagate position at given clock time (walkInTime method)
+    // Solve the hyperbolic Kepler equation M = e*sinh(H) - H for the hyperbolic anomaly H.
+    // Returns the iterate with the smallest residual if Newton's method has not settled after 100 steps.
+    hyperbolicKeplerSolve(M) {
+        const tol = 1e-14;
+        let H = Math.sign(M) * Math.log(2 * Math.abs(M) / this.e + 1.8);
+        let best = { H, residual: Infinity };
+        let previousStep = Infinity;
+        for (let count = 0; count < 100; count++) {
+            const residual = this.e * Math.sinh(H) - H - M;
+            // Near e = 1, e*sinh(H) - H cancels and the residual cannot get below its rounding error
+            const roundoff = 4 * Number.EPSILON * (Math.abs(this.e * Math.sinh(H)) + Math.abs(H) + Math.abs(M));
+            if (Math.abs(residual) <= roundoff) return H;
+            if (Math.abs(residual) < best.residual) best = { H, residual: Math.abs(residual) };
+            const dH = residual / (this.e * Math.cosh(H) - 1);
+            H -= dH;
+            if (Math.abs(dH) <= tol * Math.max(1, Math.abs(H))) return H;
+            // Newton steps that stop shrinking are bouncing on rounding noise
+            if (count > 5 && Math.abs(dH) >= previousStep) return best.H;
+            previousStep = Math.abs(dH);
+        }
+        return best.H;
+    }
+
+    // Solve Barker's equation D + D^3/3 = W for D = tan(ν/2) (closed form)
+    barkerSolve(W) {
+        const A = 1.5 * W;
+        const B = Math.cbrt(A + Math.sqrt(A * A + 1));
+        return B - 1 / B;
+    }
+
+    // Mean motion (radians per time unit); for parabolas this is the Barker rate sqrt(mu / (2 q^3))
+    getMeanMotion() {
+        if (this.type === 'elliptic') return 2 * Math.PI / this.T;
+        if (this.type === 'hyperbolic') return Math.sqrt(this.mu / (-this.a) ** 3);
+        return Math.sqrt(this.mu / (2 * this.q ** 3));
+    }
+
+    // Position in the orbital plane for eccentric anomaly E (focus at origin)
+    ellipticPosition(E) {
+        return [this.a * (Math.cos(E) - this.e), this.b * Math.sin(E), 0];
+    }
+
+    // Position in the orbital plane for hyperbolic anomaly H (focus at origin)
+    hyperbolicPosition(H) {
+        return [-this.a * (this.e - Math.cosh(H)), this.b * Math.sinh(H), 0];
+    }
+
+    // Position in the orbital plane for D = tan(ν/2) (focus at origin)
+    parabolicPosition(D) {
+        return [this.q * (1 - D * D), 2 * this.q * D, 0];
+    }
+
+    // Mean anomaly at given clock time (hyperbolic mean anomaly for e > 1, Barker's W for e = 1)
+    getMeanAnomaly(clock) {
+        return this.getMeanMotion() * (clock - this.tau);
+    }
+
+    // Mean anomaly at the osculating epoch
+    getMeanAnomalyAtEpoch() {
+        return this.getMeanAnomaly(this.epoch);
+    }
+
+    // Propagate the position in the orbital plane at given clock time
+    perifocalPositionAt(clock) {
+        const M = this.getMeanAnomaly(clock); // mean anomaly
+        if (this.type === 'hyperbolic') return this.hyperbolicPosition(this.hyperbolicKeplerSolve(M));
+        if (this.type === 'parabolic') return this.parabolicPosition(this.barkerSolve(M));
+        return this.ellipticPosition(this.keplerSolve(M));
+    }
+
+    // Propagate heliocentric ecliptic position at given clock time (walkInTime method)
     walkInTime(clock) {
-        const n = 2 * Math.PI / this.T; // mean motion
-        const M = n * (clock - this.tau); // mean anomaly
+        return this.toEcliptic(this.perifocalPositionAt(clock));
+    }
+
+    // Velocity in the orbital plane at given clock time (derivative of perifocalPositionAt)
+    perifocalVelocityAt(clock) {
+        const M = this.getMeanAnomaly(clock);
+        const n = this.getMeanMotion();
+        if (this.type === 'hyperbolic') {
+            const H = this.hyperbolicKeplerSolve(M);
+            const dH = n / (this.e * Math.cosh(H) - 1);
+            return [this.a * Math.sinh(H) * dH, this.b * Math.cosh(H) * dH, 0];
+        }
+        if (this.type === 'parabolic') {
+            const D = this.barkerSolve(M);
+            const dD = n / (1 + D * D);
+            return [-2 * this.q * D * dD, 2 * this.q * dD, 0];
+        }
         const E = this.keplerSolve(M);
-        const cos_E = Math.cos(E);
-        const sin_E = Math.sin(E);
-        const r = this.a * (1 - this.e * cos_E);
+        const dE = n / (1 - this.e * Math.cos(E));
+        return [-this.a * Math.sin(E) * dE, this.b * Math.cos(E) * dE, 0];
+    }
+
+    // Heliocentric ecliptic velocity at given clock time (length units per time unit)
+    velocityAt(clock) {
+        return this.toEcliptic(this.perifocalVelocityAt(clock));
+    }
 
-        // Position in orbital plane (focus at origin)
-        let s_x = r * ((cos_E - this.e) / (1 - this.e * cos_E));
-        let s_y = r * ((Math.sqrt(1 - this.e ** 2) * sin_E) / (1 - this.e * cos_E));
-        let s_z = 0;
+    // Anomaly that parametrizes the conic at the given clock time: eccentric anomaly E (elliptic),
+    // hyperbolic anomaly H (hyperbolic) or D = tan(ν/2) (parabolic)
+    eccentricAnomalyAt(clock) {
+        const M = this.getMeanAnomaly(clock);
+        if (this.type === 'hyperbolic') return this.hyperbolicKeplerSolve(M);
+        if (this.type === 'parabolic') return this.barkerSolve(M);
+        return this.keplerSolve(M);
+    }
 
-        // Apply rotations
-        let point = [s_x, s_y, s_z];
-        point = this.rotate3D(point, this.inclination, 0, 1, 0);
-        point = this.rotate3D(point, this.omega, 0, 0, 1);
-        point = this.rotate3D(point, this.raan, 1, 0, 0);
+    // True anomaly ν (radians, 0 at perihelion) for the conic's anomaly (see eccentricAnomalyAt)
+    trueAnomalyFromAnomaly(anomaly) {
+        if (this.type === 'hyperbolic') {
+            return 2 * Math.atan(Math.sqrt((this.e + 1) / (this.e - 1)) * Math.tanh(anomaly / 2));
+        }
+        if (this.type === 'parabolic') return 2 * Math.atan(anomaly);
+        return 2 * Math.atan2(Math.sqrt(1 + this.e) * Math.sin(anomaly / 2), Math.sqrt(1 - this.e) * Math.cos(anomaly / 2));
+    }
+
+    // True anomaly at the given clock time
+    trueAnomalyAt(clock) {
+        return this.trueAnomalyFromAnomaly(this.eccentricAnomalyAt(clock));
+    }
+
+    // Full state at the given clock time: ecliptic position and velocity, anomalies, distance from the
+    // central body, speed and flight-path angle (velocity above the local horizontal, radians)
+    stateAt(clock) {
+        const position = this.walkInTime(clock);
+        const velocity = this.velocityAt(clock);
+        const eccentricAnomaly = this.eccentricAnomalyAt(clock);
+        const distance = Math.hypot(position[0], position[1], position[2]);
+        const speed = Math.hypot(velocity[0], velocity[1], velocity[2]);
+        const radialVelocity = (position[0] * velocity[0] + position[1] * velocity[1] + position[2] * velocity[2]) / distance;
+        return {
+            time: clock,
+            position,
+            velocity,
+            eccentricAnomaly,
+            trueAnomaly: this.trueAnomalyFromAnomaly(eccentricAnomaly),
+            distance,
+            speed,
+            flightPathAngle: Math.asin(Math.max(-1, Math.min(1, radialVelocity / speed)))
+        };
+    }
+
+    // Osculating orbit for an ecliptic state vector at the given clock time (the inverse of stateAt).
+    // options are passed on to the constructor (numPoints, maxPathRadius, ...).
+    static fromStateVector(position, velocity, clock, mu = GM_SUN, options = {}) {
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const norm = (a) => Math.hypot(a[0], a[1], a[2]);
+
+        const r = norm(position);
+        const h = cross(position, velocity); // specific angular momentum
+        const hNorm = norm(h);
+        const rv = dot(position, velocity);
+        const v2 = dot(velocity, velocity);
+
+        // Eccentricity vector points at perihelion
+        const eVector = position.map((x, k) => ((v2 - mu / r) * x - rv * velocity[k]) / mu);
+        let e = norm(eVector);
+        if (Math.abs(e - 1) < PARABOLIC_TOLERANCE) e = 1;
+        const p = hNorm * hNorm / mu; // semi-latus rectum
+        const q = p / (1 + e);
+
+        const inclination = Math.acos(Math.max(-1, Math.min(1, h[2] / hNorm)));
+        // Ascending node; for orbits in the ecliptic the node is undefined and Ω = 0 is used
+        const nodeLength = Math.hypot(h[0], h[1]);
+        const raan = nodeLength > 1e-12 * hNorm ? Math.atan2(h[0], -h[1]) : 0;
+        const node = [Math.cos(raan), Math.sin(raan), 0];
+        const inPlane = cross(h, node).map((x) => x / hNorm); // 90° ahead of the node in the orbital plane
+
+        // Angles in the orbital plane are measured from the node; circular orbits put perihelion on it
+        const angleFromNode = (vector) => Math.atan2(dot(vector, inPlane), dot(vector, node));
+        const argumentOfLatitude = angleFromNode(position);
+        const omega = e > 1e-12 ? angleFromNode(eVector) : 0;
+        const trueAnomaly = argumentOfLatitude - omega;
+
+        const orbit = new Orbit({
+            ...options,
+            eccentricity: e,
+            perihelionDistance: q,
+            inclination,
+            omega: (omega + 2 * Math.PI) % (2 * Math.PI),
+            raan: (raan + 2 * Math.PI) % (2 * Math.PI),
+            tau: 0,
+            epoch: clock,
+            mu
+        });
+
+        // Time since perihelion from the true anomaly
+        const halfTan = Math.tan(trueAnomaly / 2);
+        let meanAnomaly;
+        if (orbit.type === 'hyperbolic') {
+            const H = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * halfTan);
+            meanAnomaly = e * Math.sinh(H) - H;
+        } else if (orbit.type === 'parabolic') {
+            meanAnomaly = halfTan + halfTan ** 3 / 3;
+        } else {
+            const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2), Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2));
+            meanAnomaly = E - e * Math.sin(E);
+        }
+        orbit.tau = clock - meanAnomaly / orbit.getMeanMotion();
+        return orbit;
+    }
 
-        return point;
+    // Build the drawable path on first use; propagation-only orbits never pay for it
+    ensurePath() {
+        if (this.rotatedOrbits) return;
+        this.u = this.generateU();
+        this.orbitPoints = this.generatePathPoints();
+        this.rotatedOrbits = this.applyRotations();
     }
 
     // Get the full orbit points (after rotations)
     getOrbitPoints() {
-        return this.rotatedOrbits.raan;
+        this.ensurePath();
+        return this.rotatedOrbits.points;
     }
 
     // Get the rotated center (focus position)
     getCenter() {
+        this.ensurePath();
         return this.rotatedOrbits.center;
     }
 }
\ No newline at end of file
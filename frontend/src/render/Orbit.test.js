@@ -0,0 +1,190 @@
+import { Orbit } from './Orbit';
+import { eclipticToScene, sceneToEcliptic } from './ReferenceFrame';
+import { AU_MKM, GM_SUN } from '../physics/Constants';
+
+const deg = Math.PI / 180;
+
+function expectVectorClose(actual, expected, digits = 9) {
+    expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, digits));
+}
+
+describe('Orbit orientation', () => {
+    test('perihelion lies along the node line when omega is zero', () => {
+        const orbit = new Orbit({ semiMajorAxis: 2, eccentricity: 0.5, inclination: 30 * deg, raan: 90 * deg, omega: 0 });
+        expectVectorClose(orbit.getPerihelionDirection(), [0, 1, 0]);
+        expectVectorClose(orbit.getAscendingNodeDirection(), [0, 1, 0]);
+    });
+
+    test('argument of perihelion is measured in the orbital plane from the ascending node', () => {
+        const orbit = new Orbit({ semiMajorAxis: 2, eccentricity: 0.5, inclination: 90 * deg, raan: 0, omega: 90 * deg });
+        // Polar orbit with its node on +X: 90° past the node is the north ecliptic pole
+        expectVectorClose(orbit.getPerihelionDirection(), [0, 0, 1]);
+    });
+
+    test('orbit normal follows the inclination and node', () => {
+        const orbit = new Orbit({ inclination: 20 * deg, raan: 40 * deg, omega: 75 * deg });
+        const n = orbit.getNormalDirection();
+        expectVectorClose(n, [Math.sin(40 * deg) * Math.sin(20 * deg), -Math.cos(40 * deg) * Math.sin(20 * deg), Math.cos(20 * deg)]);
+    });
+
+    test('walkInTime starts at perihelion at the time of pericenter passage', () => {
+        const orbit = new Orbit({ semiMajorAxis: 3, eccentricity: 0.4, inclination: 12 * deg, raan: 200 * deg, omega: 33 * deg, period: 100, tau: 10 });
+        const q = 3 * (1 - 0.4);
+        expectVectorClose(orbit.walkInTime(10), orbit.getPerihelionDirection().map((c) => c * q));
+    });
+
+    test('prograde ecliptic orbits move counter-clockwise around the north pole', () => {
+        const orbit = new Orbit({ semiMajorAxis: 1, eccentricity: 0, period: 4, tau: 0 });
+        expectVectorClose(orbit.walkInTime(1), [0, 1, 0]);
+    });
+});
+
+describe('ReferenceFrame', () => {
+    test('maps ecliptic north to scene up and keeps the frame right-handed', () => {
+        expectVectorClose(eclipticToScene([0, 0, 1]), [0, 1, 0]);
+        const x = eclipticToScene([1, 0, 0]);
+        const y = eclipticToScene([0, 1, 0]);
+        const z = eclipticToScene([0, 0, 1]);
+        // x × y must equal z in scene coordinates too
+        expectVectorClose([x[1] * y[2] - x[2] * y[1], x[2] * y[0] - x[0] * y[2], x[0] * y[1] - x[1] * y[0]], z);
+    });
+
+    test('round-trips between frames', () => {
+        expectVectorClose(sceneToEcliptic(eclipticToScene([1.5, -2, 0.25])), [1.5, -2, 0.25]);
+    });
+});
+
+describe('Open orbits', () => {
+    const mu = 1;
+
+    test('classifies conics by eccentricity', () => {
+        expect(Orbit.classify(0.3)).toBe('elliptic');
+        expect(Orbit.classify(1)).toBe('parabolic');
+        expect(Orbit.classify(1.2)).toBe('hyperbolic');
+    });
+
+    test('hyperbolic orbits keep q and a negative semi-major axis', () => {
+        const orbit = new Orbit({ eccentricity: 1.2, perihelionDistance: 2, mu });
+        expect(orbit.type).toBe('hyperbolic');
+        expect(orbit.a).toBeCloseTo(-10, 12);
+        expect(orbit.T).toBe(Infinity);
+        expectVectorClose(orbit.walkInTime(0), [2, 0, 0]);
+    });
+
+    test('hyperbolic Kepler solution satisfies M = e sinh H - H', () => {
+        const orbit = new Orbit({ eccentricity: 3.5, perihelionDistance: 0.25, mu });
+        [-40, -1, 0.001, 2.5, 1e4].forEach((M) => {
+            const H = orbit.hyperbolicKeplerSolve(M);
+            expect(orbit.e * Math.sinh(H) - H).toBeCloseTo(M, 9);
+        });
+    });
+
+    test('parabolic orbits reach ν = 90° at the Barker time', () => {
+        const q = 1.5;
+        const orbit = new Orbit({ eccentricity: 1, perihelionDistance: q, mu });
+        // D = tan(45°) = 1, so D + D^3/3 = 4/3 = sqrt(mu / (2 q^3)) * t
+        const t = (4 / 3) / Math.sqrt(mu / (2 * q ** 3));
+        expectVectorClose(orbit.walkInTime(t), [0, 2 * q, 0]);
+        expect(orbit.getCenter()).toBeNull();
+    });
+
+    test('near-parabolic hyperbola and parabola agree', () => {
+        const parabola = new Orbit({ eccentricity: 1, perihelionDistance: 1, mu, inclination: 0.3, raan: 1, omega: 2 });
+        const hyperbola = new Orbit({ eccentricity: 1 + 1e-7, perihelionDistance: 1, mu, inclination: 0.3, raan: 1, omega: 2 });
+        expectVectorClose(hyperbola.walkInTime(5), parabola.walkInTime(5), 4);
+    });
+
+    test('near-parabolic hyperbolic Kepler solve converges without logging', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        // Scene units: q = 1 AU in millions of km, days, GM_SUN
+        [1 + 1e-6, 1 + 1e-5].forEach((eccentricity) => {
+            const orbit = new Orbit({ eccentricity, perihelionDistance: AU_MKM, mu: GM_SUN });
+            const M = orbit.getMeanMotion() * 300;
+            const H = orbit.hyperbolicKeplerSolve(M);
+            expect(Math.abs(eccentricity * Math.sinh(H) - H - M)).toBeLessThan(1e-12 * Math.max(1, M));
+            orbit.walkInTime(300);
+        });
+        expect(log).not.toHaveBeenCalled();
+        log.mockRestore();
+    });
+
+    test('open paths are drawn out to maxPathRadius', () => {
+        const orbit = new Orbit({ eccentricity: 1.5, perihelionDistance: 1, mu, maxPathRadius: 30, numPoints: 11 });
+        const points = orbit.getOrbitPoints();
+        const radii = points.map((p) => Math.hypot(p[0], p[1], p[2]));
+        expect(radii[0]).toBeCloseTo(30, 9);
+        expect(radii[10]).toBeCloseTo(30, 9);
+        expect(radii[5]).toBeCloseTo(1, 9);
+    });
+});
+
+describe('Velocity', () => {
+    const mu = 1;
+    const orbits = {
+        elliptic: new Orbit({ eccentricity: 0.6, perihelionDistance: 0.8, mu, inclination: 0.4, raan: 1.1, omega: 2.3, tau: 0.3 }),
+        parabolic: new Orbit({ eccentricity: 1, perihelionDistance: 0.8, mu, inclination: 0.4, raan: 1.1, omega: 2.3 }),
+        hyperbolic: new Orbit({ eccentricity: 1.8, perihelionDistance: 0.8, mu, inclination: 0.4, raan: 1.1, omega: 2.3 })
+    };
+
+    Object.entries(orbits).forEach(([type, orbit]) => {
+        test(`${type} velocity matches the derivative of walkInTime and vis-viva`, () => {
+            [-2.2, 0, 0.7, 4].forEach((t) => {
+                const h = 1e-5;
+                const before = orbit.walkInTime(t - h);
+                const after = orbit.walkInTime(t + h);
+                const velocity = orbit.velocityAt(t);
+                expectVectorClose(velocity, after.map((x, k) => (x - before[k]) / (2 * h)), 6);
+
+                const r = Math.hypot(...orbit.walkInTime(t));
+                const visViva = type === 'parabolic' ? 2 * mu / r : mu * (2 / r - 1 / orbit.a);
+                expect(Math.hypot(...velocity) ** 2).toBeCloseTo(visViva, 9);
+            });
+        });
+    });
+});
+
+describe('State vectors', () => {
+    const mu = 1;
+    const orbits = {
+        elliptic: new Orbit({ eccentricity: 0.6, perihelionDistance: 0.8, mu, inclination: 0.4, raan: 1.1, omega: 2.3, tau: 0.3 }),
+        parabolic: new Orbit({ eccentricity: 1, perihelionDistance: 0.8, mu, inclination: 0.4, raan: 1.1, omega: 2.3 }),
+        hyperbolic: new Orbit({ eccentricity: 1.8, perihelionDistance: 0.8, mu, inclination: 0.4, raan: 1.1, omega: 2.3 }),
+        retrograde: new Orbit({ eccentricity: 0.3, perihelionDistance: 1.5, mu, inclination: 2.8, raan: 4, omega: 0.2, tau: -3 }),
+        ecliptic: new Orbit({ eccentricity: 0.2, perihelionDistance: 1, mu, inclination: 0, raan: 0, omega: 1.7 })
+    };
+
+    test('perihelion has zero true anomaly and flight-path angle', () => {
+        const state = orbits.elliptic.stateAt(0.3);
+        expect(state.trueAnomaly).toBeCloseTo(0, 9);
+        expect(state.flightPathAngle).toBeCloseTo(0, 9);
+        expect(state.distance).toBeCloseTo(0.8, 9);
+    });
+
+    test('distance follows the conic equation in the true anomaly', () => {
+        Object.values(orbits).forEach((orbit) => {
+            const { distance, trueAnomaly } = orbit.stateAt(2.5);
+            const p = orbit.q * (1 + orbit.e);
+            expect(distance).toBeCloseTo(p / (1 + orbit.e * Math.cos(trueAnomaly)), 9);
+        });
+    });
+
+    Object.entries(orbits).forEach(([type, orbit]) => {
+        test(`${type} orbit is recovered from its state vector`, () => {
+            const { position, velocity } = orbit.stateAt(1.7);
+            const recovered = Orbit.fromStateVector(position, velocity, 1.7, mu);
+            expect(recovered.type).toBe(orbit.type);
+            expect(recovered.e).toBeCloseTo(orbit.e, 9);
+            expect(recovered.q).toBeCloseTo(orbit.q, 9);
+            expect(recovered.inclination).toBeCloseTo(orbit.inclination, 9);
+            [-4, 1.7, 6].forEach((t) => expectVectorClose(recovered.walkInTime(t), orbit.walkInTime(t), 7));
+        });
+    });
+
+    test('circular orbits put perihelion at the ascending node', () => {
+        const orbit = new Orbit({ eccentricity: 0, perihelionDistance: 2, mu, inclination: 0.5, raan: 0.9, omega: 0 });
+        const { position, velocity } = orbit.stateAt(3);
+        const recovered = Orbit.fromStateVector(position, velocity, 3, mu);
+        expect(recovered.omega).toBeCloseTo(0, 9);
+        expectVectorClose(recovered.walkInTime(10), orbit.walkInTime(10), 9);
+    });
+});
@@ -0,0 +1,31 @@
+import * as THREE from 'three';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { nearEarthDisplayPosition } from './NearEarthScale.js';
+
+// Static line along an orbit between two times, e.g. to compare an original and a deflected path.
+// Drawn on the near-Earth scale like the objects themselves (see NearEarthScale.js).
+export class OrbitPath {
+    constructor(scene, orbit, { start, end, color = 0xffffff, dashed = false, opacity = 0.8, points = 400 }) {
+        this.scene = scene;
+        this.orbit = orbit;
+
+        const vertices = [];
+        for (let i = 0; i <= points; i++) {
+            const t = start + (end - start) * i / points;
+            vertices.push(new THREE.Vector3(...eclipticToScene(nearEarthDisplayPosition(orbit.walkInTime(t), t))));
+        }
+        const geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+        const material = dashed
+            ? new THREE.LineDashedMaterial({ color, dashSize: 2, gapSize: 1.5, transparent: true, opacity })
+            : new THREE.LineBasicMaterial({ color, transparent: true, opacity });
+        this.line = new THREE.Line(geometry, material);
+        if (dashed) this.line.computeLineDistances();
+        this.scene.add(this.line);
+    }
+
+    dispose() {
+        this.scene.remove(this.line);
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+    }
+}
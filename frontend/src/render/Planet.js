@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { Orbit } from './Orbit.js';
+import { AstralObject } from './AstralObject.js';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { planetOrbitParameters } from '../physics/PlanetaryElements.js';
+import { EARTH_RADIUS_KM } from '../physics/Constants.js';
+
+// Physical data for the planets drawn next to Earth: mean radius, sidereal rotation, obliquity,
+// a fallback colour while (or if) the texture is not available and Saturn's ring radii in planet radii.
+export const PLANETS = {
+    mercury: { label: 'Mercury', radiusKm: 2439.7, rotationHours: 1407.6, obliquity: 0.03, color: 0x9e9a94 },
+    venus: { label: 'Venus', radiusKm: 6051.8, rotationHours: 5832.5, obliquity: 177.4, color: 0xe3c88f },
+    mars: { label: 'Mars', radiusKm: 3389.5, rotationHours: 24.62, obliquity: 25.19, color: 0xc1502e },
+    jupiter: { label: 'Jupiter', radiusKm: 69911, rotationHours: 9.925, obliquity: 3.13, color: 0xd2b48c },
+    saturn: { label: 'Saturn', radiusKm: 58232, rotationHours: 10.656, obliquity: 26.73, color: 0xe3d29c, rings: { inner: 1.24, outer: 2.27 } },
+    uranus: { label: 'Uranus', radiusKm: 25362, rotationHours: 17.24, obliquity: 97.77, color: 0xa6dce6 },
+    neptune: { label: 'Neptune', radiusKm: 24622, rotationHours: 16.11, obliquity: 28.32, color: 0x4f74d9 }
+};
+
+export const PLANET_NAMES = Object.keys(PLANETS);
+
+// Exaggerated scale: every planet uses the scene's Earth scale (Earth radius = 1 unit, ~157x true size),
+// so their sizes relative to Earth and to each other are correct. The Sun is not on this scale.
+export const PLANET_SIZE_SCALE = 1 / EARTH_RADIUS_KM;
+
+// Mean elements drift slowly, so the osculating orbit is rebuilt once a simulated year
+const ELEMENT_REFRESH_DAYS = 365.25;
+
+export class Planet extends AstralObject {
+    constructor(scene, name, segments = 48, preloadedAssets = {}, preprocessedObjects = {}) {
+        const data = PLANETS[name];
+        super(scene, data.radiusKm * PLANET_SIZE_SCALE, segments, new THREE.Vector3(), preprocessedObjects, data.color);
+        this.key = name;
+        this.name = data.label;
+        this.data = data;
+        this.preloadedAssets = preloadedAssets;
+        this.elementsTime = null; // time the current orbit's elements were evaluated at
+        this.orbitLine = null; // full orbit path, refreshed together with the elements
+
+        this.mesh = this.createPlanetMesh();
+        this.addToScene();
+    }
+
+    createPlanetMesh() {
+        const geometry = new THREE.SphereGeometry(this.radius, this.segments, this.segments);
+        const material = new THREE.MeshStandardMaterial({
+            color: this.data.color,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+
+        // Use preloaded texture if available, otherwise load it and keep the flat colour until then
+        const texturePath = `/resources/planets/${this.data.label} Map.jpg`;
+        const applyTexture = (texture) => {
+            material.map = texture;
+            material.color.set(0xffffff);
+            material.needsUpdate = true;
+        };
+        if (this.preloadedAssets[texturePath]) {
+            applyTexture(this.preloadedAssets[texturePath]);
+        } else {
+            new THREE.TextureLoader().load(texturePath, applyTexture, undefined, () => {
+                console.warn(`No texture for ${this.data.label}, using a flat colour`);
+            });
+        }
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = false;
+        mesh.receiveShadow = false;
+        mesh.rotation.x = this.data.obliquity * Math.PI / 180; // spin axis tilt (spin is about local y)
+
+        if (this.data.rings) {
+            mesh.add(this.createRings());
+        }
+        return mesh;
+    }
+
+    // Flat ring in the equatorial plane (child of the planet mesh, so it follows tilt and position)
+    createRings() {
+        const { inner, outer } = this.data.rings;
+        const geometry = new THREE.RingGeometry(this.radius * inner, this.radius * outer, 96);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xcdbb91,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.6
+        });
+        const rings = new THREE.Mesh(geometry, material);
+        rings.rotation.x = Math.PI / 2;
+        return rings;
+    }
+
+    // Faint line along the whole orbit
+    createOrbitLine() {
+        const points = this.orbit.getOrbitPoints().map((p) => new THREE.Vector3(...eclipticToScene(p)));
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({ color: this.data.color, transparent: true, opacity: 0.25 });
+        return new THREE.LineLoop(geometry, material);
+    }
+
+    // Rebuild the orbit from the mean elements at the given time
+    refreshElements(time) {
+        this.orbit = new Orbit({ ...planetOrbitParameters(this.key, time), numPoints: 360 });
+        this.elementsTime = time;
+        if (this.orbitLine) {
+            this.scene.remove(this.orbitLine);
+            this.orbitLine.geometry.dispose();
+            this.orbitLine.material.dispose();
+        }
+        this.orbitLine = this.createOrbitLine();
+        this.scene.add(this.orbitLine);
+    }
+
+    // Start orbiting the Sun on the mean elements at the given time
+    startOrbit(time = 0) {
+        this.isOrbiting = true;
+        this.refreshElements(time);
+    }
+
+    // Update orbit position
+    updateOrbit(time) {
+        if (!this.isOrbiting) return;
+        if (Math.abs(time - this.elementsTime) > ELEMENT_REFRESH_DAYS) {
+            this.refreshElements(time);
+        }
+        super.updateOrbit(time);
+    }
+
+    // Spin at the planet's rotation rate relative to Earth's (deltaY is Earth's spin for this frame)
+    rotate(deltaY = 0.01) {
+        if (this.mesh) {
+            this.mesh.rotation.y += deltaY * 23.934 / this.data.rotationHours;
+        }
+    }
+
+    dispose() {
+        if (this.orbitLine) {
+            this.scene.remove(this.orbitLine);
+            this.orbitLine.geometry.dispose();
+            this.orbitLine.material.dispose();
+            this.orbitLine = null;
+        }
+        if (this.mesh) {
+            this.mesh.children.forEach((child) => {
+                child.geometry.dispose();
+                child.material.dispose();
+            });
+        }
+        super.dispose();
+    }
+
+    // Create every planet, already placed at the given time
+    static createAll(scene, time, preloadedAssets = {}, preprocessedObjects = {}) {
+        return PLANET_NAMES.map((name) => {
+            const planet = new Planet(scene, name, 48, preloadedAssets, preprocessedObjects);
+            planet.startOrbit(time);
+            planet.updateOrbit(time);
+            return planet;
+        });
+    }
+}
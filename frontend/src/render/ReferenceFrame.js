@@ -0,0 +1,17 @@
+// Single mapping between the heliocentric ecliptic J2000 frame used by Orbit and the three.js scene.
+//
+// Ecliptic frame: origin at the Sun, +X towards the vernal equinox, +Z towards the north ecliptic pole,
+// +Y completing a right-handed set (towards ecliptic longitude 90°).
+// Scene frame: three.js is y-up, so ecliptic north becomes scene +y. Ecliptic X stays scene +x and
+// ecliptic Y becomes scene -z, which keeps the scene right-handed (prograde orbits turn counter-clockwise
+// when seen from above).
+
+// Convert an ecliptic [x, y, z] array into scene [x, y, z]
+export function eclipticToScene(point) {
+    return [point[0], point[2], -point[1]];
+}
+
+// Convert a scene [x, y, z] array back into ecliptic [x, y, z]
+export function sceneToEcliptic(point) {
+    return [point[0], -point[2], point[1]];
+}
@@ -0,0 +1,60 @@
+import * as THREE from 'three';
+import { eclipticToScene } from './ReferenceFrame.js';
+import { transferOrbit } from '../analysis/Porkchop.js';
+
+const PATH_POINTS = 200;
+
+// Arc of a planned transfer (see Porkchop.computeTransfer) from Earth departure to arrival at the target,
+// with a spacecraft marker that flies it while the simulation clock is inside the flight window.
+export class TransferTrajectory {
+    constructor(scene, transfer, color = 0x7cfc00) {
+        this.scene = scene;
+        this.transfer = transfer;
+        this.orbit = transferOrbit(transfer);
+        this.color = color;
+
+        this.line = this.createLine();
+        this.marker = this.createMarker();
+        this.scene.add(this.line);
+        this.scene.add(this.marker);
+    }
+
+    createLine() {
+        const { launchTime, arrivalTime } = this.transfer;
+        const points = [];
+        for (let i = 0; i <= PATH_POINTS; i++) {
+            const t = launchTime + (arrivalTime - launchTime) * i / PATH_POINTS;
+            points.push(new THREE.Vector3(...eclipticToScene(this.orbit.walkInTime(t))));
+        }
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineDashedMaterial({ color: this.color, dashSize: 2, gapSize: 1 });
+        const line = new THREE.Line(geometry, material);
+        line.computeLineDistances();
+        return line;
+    }
+
+    createMarker() {
+        const geometry = new THREE.OctahedronGeometry(0.4);
+        const material = new THREE.MeshBasicMaterial({ color: this.color });
+        const marker = new THREE.Mesh(geometry, material);
+        marker.visible = false;
+        return marker;
+    }
+
+    // Place the spacecraft at the given simulation time (hidden before launch and after arrival)
+    update(time) {
+        const { launchTime, arrivalTime } = this.transfer;
+        this.marker.visible = time >= launchTime && time <= arrivalTime;
+        if (this.marker.visible) {
+            this.marker.position.set(...eclipticToScene(this.orbit.walkInTime(time)));
+        }
+    }
+
+    dispose() {
+        [this.line, this.marker].forEach((object) => {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+}
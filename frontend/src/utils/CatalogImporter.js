@@ -0,0 +1,37 @@
+import { nasaCometsImporter } from './NasaJsonParser.js';
+import { sbdbCsvImporter, sbdbJsonImporter } from './SbdbImporter.js';
+import { horizonsImporter } from './HorizonsImporter.js';
+import { mpcorbImporter } from './MpcorbImporter.js';
+import { validatedOrbits } from './CatalogValidator.js';
+
+// Catalog importers. Each one is { id, label, detect(text), parse(text) } where parse returns normalized
+// orbit records (see OrbitRecord.js); add a format by adding its importer here. Detection tries them in
+// order, so the stricter JSON shapes come before SBDB's generic rows.
+export const CATALOG_IMPORTERS = [
+    nasaCometsImporter,
+    sbdbJsonImporter,
+    sbdbCsvImporter,
+    horizonsImporter,
+    mpcorbImporter
+];
+
+// Importer whose detect accepts the text; null when none does
+export function detectCatalogFormat(text) {
+    return CATALOG_IMPORTERS.find((importer) => importer.detect(text)) ?? null;
+}
+
+// { format, records } from catalog text. format is an importer id to skip detection.
+export function importCatalog(text, { format } = {}) {
+    const importer = format
+        ? CATALOG_IMPORTERS.find((candidate) => candidate.id === format)
+        : detectCatalogFormat(text);
+    if (!importer) throw new Error(format ? `Unknown catalog format ${format}` : 'Unrecognised catalog format');
+    return { format: importer.id, records: importer.parse(text) };
+}
+
+// Validated orbit parameters and the validation report (see CatalogValidator.js) from catalog text,
+// as { orbits, report }; throws when the format is not recognised or the text does not parse
+export function loadCatalog(text, options) {
+    const { format, records } = importCatalog(text, options);
+    return validatedOrbits(records, { format });
+}
@@ -0,0 +1,143 @@
+import { detectCatalogFormat, importCatalog, loadCatalog } from './CatalogImporter';
+import { parseCsvLine } from './SbdbImporter';
+import { unpackEpoch } from './MpcorbImporter';
+import { dateToJulianDate, J2000_JD } from '../physics/Time';
+import { AU_MKM } from '../physics/Constants';
+import catalog from '../Near-Earth.json';
+
+const SBDB_JSON = JSON.stringify({
+    signature: { source: 'NASA/JPL Small-Body Database (SBDB) Query API', version: '1.0' },
+    fields: ['full_name', 'kind', 'e', 'a', 'q', 'i', 'om', 'w', 'ma', 'tp', 'epoch', 'H', 'diameter', 'moid'],
+    data: [
+        ['     1 Ceres (A801 AA)', 'an', '0.0794', '2.766', '2.546', '10.59', '80.25', '73.27', '188.7', '2461600.5', '2460800.5', '3.34', '939.4', '1.58'],
+        ['     2 Pallas (A802 FA)', 'an', '0.2306', '2.770', '2.131', '34.93', '172.9', '310.9', '167.6', null, '2460800.5', '4.11', '513', '1.23']
+    ]
+});
+
+const SBDB_CSV = [
+    'full_name,kind,e,a,q,i,om,w,tp,epoch,H,moid,sigma_e,sigma_q,sigma_i,sigma_om,sigma_w,sigma_tp',
+    '"99942 Apophis (2004 MN4)",an,0.1915,0.9226,0.7460,3.339,204.0,126.6,2460017.5,2460800.5,19.09,0.000171,2e-8,3e-8,4e-6,5e-5,5e-5,1e-5',
+    '"2P/Encke",cp,0.8483,2.217,0.3362,11.35,334.2,187.0,2460242.5,2460800.5,,0.173,,,,,,'
+].join('\n');
+
+// Fixed-width MPCORB line for Ceres, fields at the documented columns
+const MPCORB = [
+    'MINOR PLANET CENTER ORBIT DATABASE (MPCORB)',
+    '',
+    'Des\'n     H     G   Epoch     M        Peri.      Node       Incl.       e            n           a        Reference #Obs #Opp    Arc    rms  Perts   Computer',
+    '----------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------------',
+    '00001    3.33  0.15 K2555 188.70269   73.27343   80.25221   10.58780  0.0794013  0.21424651   2.7660512  0 E2024-V47  7330 125 1801-2024 0.65 M-v 30k MPCLINUX   4000 (1) Ceres                   20241101'
+].join('\n');
+
+const HORIZONS_TEXT = `*******************************************************************************
+Target body name: 99942 Apophis (2004 MN4)        {source: JPL#220}
+Center body name: Sun (10)                        {source: DE441}
+*******************************************************************************
+Start time      : A.D. 2023-Feb-25 00:00:00.0000 TDB
+Output units    : KM-S, deg, Julian Day Number (Tp)
+Output type     : GEOMETRIC osculating elements
+Reference frame : Ecliptic of J2000.0
+*******************************************************************************
+$$SOE
+2460000.500000000 = A.D. 2023-Feb-25 00:00:00.0000 TDB
+ EC= 1.914584276985880E-01 QR= 1.115951424617826E+08 IN= 3.339365405093658E+00
+ OM= 2.039589734004548E+02 W = 1.265963468542133E+02 Tp=  2460017.543163829483
+ N = 1.342935226007097E-05 MA= 3.402434612234218E+02 TA= 3.323101108617893E+02
+ A = 1.380086620609651E+08 AD= 1.644221816601477E+08 PR= 2.680702127436717E+07
+$$EOE
+*******************************************************************************`;
+
+const HORIZONS_CSV = `Target body name: 433 Eros (A898 PA)               {source: JPL#659}
+Center body name: Sun (10)                          {source: DE441}
+Output units    : AU-D, deg, Julian Day Number (Tp)
+Reference frame : ICRF
+Reference plane : Ecliptic of J2000.0
+            JDTDB,            Calendar Date (TDB),                     EC,                     QR,                     IN,                     OM,                      W,                     Tp,                      N,                     MA,                     TA,                      A,                     AD,                     PR,
+**************************************************************************************************************************************************************************************************************************************************************************************************************************************************************************
+$$SOE
+2460000.500000000, A.D. 2023-Feb-25 00:00:00.0000,  2.227E-01,  1.133E+00,  1.0828E+01,  3.0428E+02,  1.7885E+02,  2460222.32,  5.5986E-01,  2.3581E+02,  2.1403E+02,  1.4581E+00,  1.7830E+00,  6.4302E+02,
+2460100.500000000, A.D. 2023-Jun-05 00:00:00.0000,  2.228E-01,  1.133E+00,  1.0828E+01,  3.0428E+02,  1.7886E+02,  2460222.40,  5.5986E-01,  2.9179E+02,  2.6133E+02,  1.4581E+00,  1.7830E+00,  6.4302E+02,
+$$EOE`;
+
+describe('catalog format detection', () => {
+    test('recognises every supported format', () => {
+        expect(detectCatalogFormat(JSON.stringify(catalog)).id).toBe('nasa-comets');
+        expect(detectCatalogFormat(SBDB_JSON).id).toBe('sbdb-json');
+        expect(detectCatalogFormat(SBDB_CSV).id).toBe('sbdb-csv');
+        expect(detectCatalogFormat(MPCORB).id).toBe('mpcorb');
+        expect(detectCatalogFormat(HORIZONS_TEXT).id).toBe('horizons');
+        expect(detectCatalogFormat(HORIZONS_CSV).id).toBe('horizons');
+    });
+
+    test('rejects unknown text', () => {
+        expect(detectCatalogFormat('hello, world')).toBeNull();
+        expect(() => importCatalog('{"a": 1}')).toThrow('Unrecognised catalog format');
+    });
+});
+
+describe('catalog importers', () => {
+    test('keep the NASA comet catalog identical to the original parser', () => {
+        const { records } = importCatalog(JSON.stringify(catalog));
+        expect(records).toHaveLength(catalog.length);
+        const halley = records.find((record) => record.name === '1P/Halley');
+        expect(halley.source).toBe('nasa-comets');
+        expect(halley.perihelionDistanceAu).toBeCloseTo(0.586, 3);
+    });
+
+    test('read SBDB JSON rows, deriving tp from the mean anomaly when missing', () => {
+        const [ceres, pallas] = importCatalog(SBDB_JSON).records;
+        expect(ceres).toMatchObject({ name: '1 Ceres (A801 AA)', kind: 'asteroid', absoluteMagnitude: 3.34, diameterKm: 939.4, moidAu: 1.58 });
+        expect(ceres.perihelionTime).toBeCloseTo(2461600.5 - J2000_JD, 6);
+        expect(ceres.epoch).toBeCloseTo(2460800.5 - J2000_JD, 6);
+        // M = 167.6°: the nearest perihelion is the last one, 167.6° / n before the epoch
+        const meanMotion = Math.sqrt(1.32712440018e11 / (2.770 * 149597870.7) ** 3) * 86400 * 180 / Math.PI;
+        expect(pallas.perihelionTime).toBeCloseTo(ceres.epoch - 167.6 / meanMotion, 3);
+    });
+
+    test('read SBDB CSV with quoted names, sigmas and blank fields', () => {
+        expect(parseCsvLine('"a, b",c,"say ""hi"""')).toEqual(['a, b', 'c', 'say "hi"']);
+        const [apophis, encke] = importCatalog(SBDB_CSV).records;
+        expect(apophis.name).toBe('99942 Apophis (2004 MN4)');
+        expect(apophis.uncertainty).toEqual({ e: 2e-8, q: 3e-8, i: 4e-6, node: 5e-5, omega: 5e-5, tp: 1e-5 });
+        expect(encke).toMatchObject({ kind: 'comet', absoluteMagnitude: null, uncertainty: null });
+    });
+
+    test('read MPCORB fixed-width lines and packed epochs', () => {
+        expect(unpackEpoch('K2555')).toBeCloseTo(dateToJulianDate(new Date(Date.UTC(2025, 4, 5))) - J2000_JD, 9);
+        expect(unpackEpoch('J981V')).toBeCloseTo(dateToJulianDate(new Date(Date.UTC(1998, 0, 31))) - J2000_JD, 9);
+        const [ceres] = importCatalog(MPCORB).records;
+        expect(ceres).toMatchObject({ name: '(1) Ceres', kind: 'asteroid', source: 'mpcorb', absoluteMagnitude: 3.33 });
+        expect(ceres.perihelionDistanceAu).toBeCloseTo(2.7660512 * (1 - 0.0794013), 9);
+        expect(ceres.nodeDeg).toBeCloseTo(80.25221, 9);
+        expect(ceres.argPerihelionDeg).toBeCloseTo(73.27343, 9);
+        // M = 188.7°: the next perihelion is 171.3° / n after the epoch
+        expect(ceres.perihelionTime - ceres.epoch).toBeCloseTo((360 - 188.70269) / 0.21424651, 6);
+    });
+
+    test('read Horizons text elements in km and CSV elements per epoch', () => {
+        const [apophis] = importCatalog(HORIZONS_TEXT).records;
+        expect(apophis).toMatchObject({ name: '99942 Apophis (2004 MN4)', source: 'horizons' });
+        expect(apophis.perihelionDistanceAu).toBeCloseTo(0.74597, 5);
+        expect(apophis.eccentricity).toBeCloseTo(0.19146, 5);
+        expect(apophis.argPerihelionDeg).toBeCloseTo(126.596, 3);
+        expect(apophis.perihelionTime).toBeCloseTo(2460017.543163829 - J2000_JD, 6);
+
+        const eros = importCatalog(HORIZONS_CSV).records;
+        expect(eros.map((record) => record.name)).toEqual(['433 Eros (A898 PA) @ 2023-Feb-25', '433 Eros (A898 PA) @ 2023-Jun-05']);
+        expect(eros[1]).toMatchObject({ perihelionDistanceAu: 1.133, inclinationDeg: 10.828, epoch: 2460100.5 - J2000_JD });
+    });
+
+    test('refuse Horizons elements outside the heliocentric ecliptic frame', () => {
+        expect(() => importCatalog(HORIZONS_TEXT.replace('Center body name: Sun (10)', 'Center body name: Earth (399)')))
+            .toThrow('heliocentric');
+        expect(() => importCatalog(HORIZONS_CSV.replace('Ecliptic of J2000.0', 'Earth mean equator and equinox')))
+            .toThrow('ecliptic');
+    });
+
+    test('give orbit parameters and classes for asteroid catalogs', () => {
+        const [apophis, encke] = loadCatalog(SBDB_CSV).orbits;
+        expect(apophis.perihelionDistance).toBeCloseTo(0.746 * AU_MKM, 6);
+        expect(apophis.classification).toMatchObject({ type: 'asteroid', neoGroup: 'Aten', pha: true });
+        expect(encke.classification).toMatchObject({ type: 'comet', cometFamily: 'ETC' });
+    });
+});
@@ -0,0 +1,170 @@
+import { AU_KM } from '../physics/Constants.js';
+import { J2000_JD } from '../physics/Time.js';
+import { orbitParamsFromRecord } from './OrbitRecord.js';
+
+// Validation of normalized orbit records (OrbitRecord.js) before they reach Orbit. Each record is
+// accepted as is, repaired (names, angle wrapping, implausible optional data dropped) or rejected with
+// the reasons, so a catalog never feeds NaN elements to the scene and nothing disappears unreported.
+
+const SUN_RADIUS_AU = 696000 / AU_KM;
+const MAX_PERIHELION_AU = 1e4; // beyond the Oort cloud's inner edge: km or m given as AU
+const MAX_ECCENTRICITY = 10; // the most hyperbolic known orbit, 2I/Borisov, has e = 3.36
+const MAX_TIME_DAYS = 1000 * 365.25; // perihelion times and epochs within 1000 years of J2000
+const CONSISTENCY_TOLERANCE = 0.01; // relative q / a(1 - e) mismatch allowed for rounded catalogs
+const ABSOLUTE_MAGNITUDE_RANGE = [-5, 35];
+
+const REQUIRED_FIELDS = {
+    perihelionDistanceAu: 'perihelion distance q',
+    eccentricity: 'eccentricity e',
+    inclinationDeg: 'inclination i',
+    argPerihelionDeg: 'argument of perihelion ω',
+    nodeDeg: 'ascending node Ω',
+    perihelionTime: 'perihelion time'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Hint for a time that lands far from J2000: the usual mistake is an MJD where a JD was expected
+function timeRangeMessage(label, days) {
+    const jd = days + J2000_JD;
+    const hint = jd > 0 && jd < 1e5 ? ' (a Modified Julian Date given as a Julian Date?)' : '';
+    return `${label} JD ${jd.toFixed(1)} is more than 1000 years from J2000${hint}`;
+}
+
+// Problems with the elements that make the record unusable; an empty list when it can be drawn
+function elementErrors(record) {
+    const errors = [];
+    Object.entries(REQUIRED_FIELDS).forEach(([field, label]) => {
+        if (!isNumber(record[field])) errors.push({ field, message: `${label} is missing or not a number` });
+    });
+    if (errors.length > 0) return errors;
+
+    const { perihelionDistanceAu: q, eccentricity: e, inclinationDeg: i, semiMajorAxisAu: a } = record;
+    if (q <= 0) {
+        errors.push({ field: 'perihelionDistanceAu', message: `q = ${q} AU is not positive` });
+    } else if (q < SUN_RADIUS_AU) {
+        errors.push({ field: 'perihelionDistanceAu', message: `q = ${q} AU is inside the Sun` });
+    } else if (q > MAX_PERIHELION_AU) {
+        errors.push({ field: 'perihelionDistanceAu', message: `q = ${q} AU is implausibly large (km instead of AU?)` });
+    }
+    if (e < 0 || e > MAX_ECCENTRICITY) {
+        errors.push({ field: 'eccentricity', message: `e = ${e} is outside 0 to ${MAX_ECCENTRICITY}` });
+    }
+    if (i < 0 || i > 180) {
+        errors.push({ field: 'inclinationDeg', message: `i = ${i}° is outside 0° to 180°` });
+    }
+    if (Math.abs(record.perihelionTime) > MAX_TIME_DAYS) {
+        errors.push({ field: 'perihelionTime', message: timeRangeMessage('Perihelion time', record.perihelionTime) });
+    }
+    // q, e and a from the catalog must describe the same conic (a < 0 for hyperbolic orbits)
+    if (errors.length === 0 && isNumber(a)) {
+        const expected = a * (1 - e);
+        if (Math.abs(expected - q) > CONSISTENCY_TOLERANCE * q) {
+            errors.push({
+                field: 'eccentricity',
+                message: `q = ${q} AU disagrees with a(1 − e) = ${expected.toPrecision(6)} AU for a = ${a} AU, e = ${e}`
+            });
+        }
+    }
+    return errors;
+}
+
+const wrapDegrees = (angle) => ((angle % 360) + 360) % 360;
+
+// Repaired copy of a usable record and the repairs made; usedNames keeps names unique across the catalog
+// since the scene finds objects by name
+function repairRecord(record, index, usedNames) {
+    const repairs = [];
+    const repaired = { ...record };
+
+    let name = typeof record.name === 'string' ? record.name.trim() : '';
+    if (name === '' || name === 'Unknown') {
+        name = `Object ${index + 1}`;
+        repairs.push({ field: 'name', message: `No name, called ${name}` });
+    }
+    if (usedNames.has(name)) {
+        let copy = 2;
+        while (usedNames.has(`${name} (${copy})`)) copy++;
+        repairs.push({ field: 'name', message: `Duplicate name, renamed to ${name} (${copy})` });
+        name = `${name} (${copy})`;
+    }
+    usedNames.add(name);
+    repaired.name = name;
+
+    ['argPerihelionDeg', 'nodeDeg'].forEach((field) => {
+        if (record[field] < 0 || record[field] >= 360) {
+            repaired[field] = wrapDegrees(record[field]);
+            repairs.push({ field, message: `${record[field]}° wrapped to ${repaired[field].toFixed(4)}°` });
+        }
+    });
+
+    const dropField = (field, value, message) => {
+        repaired[field] = value;
+        repairs.push({ field, message });
+    };
+    if (record.epoch !== null && (!isNumber(record.epoch) || Math.abs(record.epoch) > MAX_TIME_DAYS)) {
+        const reason = isNumber(record.epoch) ? timeRangeMessage('Epoch', record.epoch) : 'Epoch is not a number';
+        dropField('epoch', null, `${reason}; the perihelion time is used instead`);
+    }
+    if (record.semiMajorAxisAu !== null && !isNumber(record.semiMajorAxisAu)) {
+        dropField('semiMajorAxisAu', null, 'Semi-major axis is not a number, ignored');
+    }
+    const [minMagnitude, maxMagnitude] = ABSOLUTE_MAGNITUDE_RANGE;
+    const magnitude = record.absoluteMagnitude;
+    if (magnitude !== null && !(isNumber(magnitude) && magnitude >= minMagnitude && magnitude <= maxMagnitude)) {
+        dropField('absoluteMagnitude', null, `H = ${magnitude} is outside ${minMagnitude} to ${maxMagnitude}, ignored`);
+    }
+    if (record.diameterKm !== null && !(isNumber(record.diameterKm) && record.diameterKm > 0)) {
+        dropField('diameterKm', null, `Diameter ${record.diameterKm} km is not positive, ignored`);
+    }
+    if (record.moidAu !== null && !(isNumber(record.moidAu) && record.moidAu >= 0)) {
+        dropField('moidAu', null, `MOID ${record.moidAu} AU is negative or not a number; computed instead`);
+    }
+    const nonGravitational = record.nonGravitational;
+    if (nonGravitational && !Object.values(nonGravitational).every(isNumber)) {
+        dropField('nonGravitational', null, 'Non-gravitational parameters are not numbers, ignored');
+    }
+    const uncertainty = record.uncertainty;
+    if (uncertainty && !Object.values(uncertainty).every((sigma) => isNumber(sigma) && sigma >= 0)) {
+        dropField('uncertainty', null, 'Element uncertainties are negative or not numbers, ignored');
+    }
+    return { record: repaired, repairs };
+}
+
+// Report of a catalog: { format, total, accepted, repaired, rejected } where each list holds
+// { index, name, issues: [{ field, message }] } in catalog order. Accepted and repaired entries also
+// carry the usable record (after repair).
+export function validateCatalog(records, { format = null } = {}) {
+    const report = { format, total: records.length, accepted: [], repaired: [], rejected: [] };
+    const usedNames = new Set();
+    records.forEach((record, index) => {
+        const name = typeof record?.name === 'string' && record.name.trim() !== '' ? record.name.trim() : `Object ${index + 1}`;
+        const errors = record ? elementErrors(record) : [{ field: null, message: 'Not an orbit record' }];
+        if (errors.length > 0) {
+            report.rejected.push({ index, name, issues: errors });
+            return;
+        }
+        const { record: repaired, repairs } = repairRecord(record, index, usedNames);
+        const entry = { index, name: repaired.name, issues: repairs, record: repaired };
+        (repairs.length > 0 ? report.repaired : report.accepted).push(entry);
+    });
+    return report;
+}
+
+// Orbit parameters of the usable records, in catalog order, and the validation report. A record that
+// still fails to turn into an orbit is moved to the rejected list with the error.
+export function validatedOrbits(records, options) {
+    const report = validateCatalog(records, options);
+    const orbits = [];
+    [...report.accepted, ...report.repaired].sort((a, b) => a.index - b.index).forEach((entry) => {
+        try {
+            orbits.push(orbitParamsFromRecord(entry.record));
+        } catch (error) {
+            report.accepted = report.accepted.filter((candidate) => candidate !== entry);
+            report.repaired = report.repaired.filter((candidate) => candidate !== entry);
+            report.rejected.push({ index: entry.index, name: entry.name, issues: [{ field: null, message: error.message }] });
+        }
+    });
+    report.rejected.sort((a, b) => a.index - b.index);
+    return { orbits, report };
+}
@@ -0,0 +1,112 @@
+import { validateCatalog, validatedOrbits } from './CatalogValidator';
+import { createOrbitRecord } from './OrbitRecord';
+import { parseOrbitFile } from './NasaJsonParser';
+import { loadCatalog } from './CatalogImporter';
+import { J2000_JD } from '../physics/Time';
+import catalog from '../Near-Earth.json';
+
+// 2P/Encke, rounded
+function encke(fields = {}) {
+    return createOrbitRecord({
+        name: '2P/Encke',
+        perihelionDistanceAu: 0.3362,
+        eccentricity: 0.8483,
+        inclinationDeg: 11.35,
+        argPerihelionDeg: 187.0,
+        nodeDeg: 334.2,
+        perihelionTime: 8697.5,
+        epoch: 9255.5,
+        semiMajorAxisAu: 2.217,
+        ...fields
+    });
+}
+
+function messages(entry) {
+    return entry.issues.map((issue) => issue.message).join('; ');
+}
+
+describe('catalog validation', () => {
+    test('accepts a consistent record unchanged', () => {
+        const report = validateCatalog([encke()]);
+        expect(report.accepted).toHaveLength(1);
+        expect(report.accepted[0].record).toEqual(encke());
+        expect(report.repaired).toEqual([]);
+        expect(report.rejected).toEqual([]);
+    });
+
+    test('rejects missing and NaN elements with the field names', () => {
+        const { rejected } = validateCatalog([encke({ eccentricity: NaN }), encke({ perihelionTime: null })]);
+        expect(rejected.map((entry) => entry.issues[0].field)).toEqual(['eccentricity', 'perihelionTime']);
+        expect(messages(rejected[0])).toContain('eccentricity e is missing or not a number');
+    });
+
+    test('rejects elements out of range or in the wrong units', () => {
+        const { rejected } = validateCatalog([
+            encke({ perihelionDistanceAu: -1, semiMajorAxisAu: null }),
+            encke({ perihelionDistanceAu: 0.3362 * 149597870.7, semiMajorAxisAu: null }),
+            encke({ inclinationDeg: 191 }),
+            encke({ eccentricity: 12, semiMajorAxisAu: null }),
+            encke({ perihelionTime: 60242 - J2000_JD })
+        ]);
+        expect(rejected).toHaveLength(5);
+        expect(messages(rejected[0])).toContain('not positive');
+        expect(messages(rejected[1])).toContain('km instead of AU');
+        expect(messages(rejected[2])).toContain('outside 0° to 180°');
+        expect(messages(rejected[3])).toContain('outside 0 to 10');
+        expect(messages(rejected[4])).toContain('Modified Julian Date');
+    });
+
+    test('rejects q and e that disagree with the catalog semi-major axis', () => {
+        const { rejected } = validateCatalog([encke({ eccentricity: 0.5 })]);
+        expect(rejected[0].issues[0].field).toBe('eccentricity');
+        expect(messages(rejected[0])).toContain('disagrees with a(1 − e)');
+        // Hyperbolic orbits have a < 0
+        expect(validateCatalog([encke({ eccentricity: 1.2, semiMajorAxisAu: -0.3362 / 0.2 })]).accepted).toHaveLength(1);
+    });
+
+    test('repairs names, angles and implausible optional data', () => {
+        const report = validateCatalog([
+            encke(),
+            encke({ argPerihelionDeg: -173, nodeDeg: 694.2 }),
+            encke({ name: '', epoch: 2460800.5, absoluteMagnitude: 99, diameterKm: -1, moidAu: NaN })
+        ]);
+        expect(report.accepted).toHaveLength(1);
+        const [renamed, unnamed] = report.repaired;
+        expect(renamed.name).toBe('2P/Encke (2)');
+        expect(renamed.record.argPerihelionDeg).toBe(187);
+        expect(renamed.record.nodeDeg).toBeCloseTo(334.2, 9);
+        expect(unnamed.name).toBe('Object 3');
+        expect(unnamed.record).toMatchObject({ epoch: null, absoluteMagnitude: null, diameterKm: null, moidAu: null });
+        expect(unnamed.issues.map((issue) => issue.field)).toEqual(['name', 'epoch', 'absoluteMagnitude', 'diameterKm', 'moidAu']);
+    });
+
+    test('turns only usable records into orbits, in catalog order', () => {
+        const { orbits, report } = validatedOrbits([encke({ name: 'A' }), encke({ inclinationDeg: NaN }), encke({ name: 'C', nodeDeg: -25.8 })]);
+        expect(orbits.map((orbit) => orbit.name)).toEqual(['A', 'C']);
+        expect(report).toMatchObject({ total: 3, rejected: [{ index: 1, name: '2P/Encke' }] });
+    });
+});
+
+describe('catalog loading', () => {
+    test('reports broken entries of the NASA comet catalog instead of dropping them', () => {
+        const broken = [catalog[0], { ...catalog[1], e: '' }, null, { ...catalog[2], node_deg: '-10' }];
+        const { orbits, report } = parseOrbitFile(broken);
+        expect(orbits).toHaveLength(2);
+        expect(report).toMatchObject({ format: 'nasa-comets', total: 4 });
+        expect(report.rejected.map((entry) => entry.index)).toEqual([1, 2]);
+        expect(report.repaired[0].record.nodeDeg).toBe(350);
+        expect(() => parseOrbitFile({ not: 'a list' })).toThrow('Expected an array');
+    });
+
+    test('validates imported catalogs the same way', () => {
+        const csv = [
+            'full_name,e,a,q,i,om,w,tp,epoch',
+            '"2P/Encke",0.8483,2.217,0.3362,11.35,334.2,187.0,2460242.5,2460800.5',
+            '"Broken",,2.217,0.3362,11.35,334.2,187.0,2460242.5,2460800.5'
+        ].join('\n');
+        const { orbits, report } = loadCatalog(csv);
+        expect(report.format).toBe('sbdb-csv');
+        expect(orbits.map((orbit) => orbit.name)).toEqual(['2P/Encke']);
+        expect(report.rejected).toMatchObject([{ index: 1, name: 'Broken', issues: [{ field: 'eccentricity' }] }]);
+    });
+});
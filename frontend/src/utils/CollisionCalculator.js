@@ -0,0 +1,35 @@
+import { KILOTON_JOULES } from '../physics/Constants.js';
+
+// Bridge to the impact effects calculator of the collision simulator (public/collision/lib/calculator.js).
+// It is a plain script for the simulator page, so it is loaded once into this page as well and its
+// global getMeteorData is handed out.
+
+let calculatorPromise = null;
+
+// Resolves with getMeteorData once the calculator script has loaded
+export function loadCollisionCalculator() {
+    if (!calculatorPromise) {
+        calculatorPromise = new Promise((resolve, reject) => {
+            if (window.getMeteorData) {
+                resolve(window.getMeteorData);
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = '/collision/lib/calculator.js';
+            script.onload = () => resolve(window.getMeteorData);
+            script.onerror = () => {
+                calculatorPromise = null; // allow a retry
+                reject(new Error('Failed to load the impact calculator'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return calculatorPromise;
+}
+
+// Impact energy in megatons of TNT for a land impact, from getMeteorData (diameter m, density kg/m³,
+// speed km/s, angle degrees). The calculator clamps the speed to 11-72 km/s.
+export function impactEnergyMt(getMeteorData, { diameter, density, velocity, angle = 45 }) {
+    const data = getMeteorData(diameter, 'm', density, velocity, 'km/s', angle, -1, 0);
+    return data.energiaDoImpacto / (1000 * KILOTON_JOULES);
+}
@@ -0,0 +1,98 @@
+import { AU_KM } from '../physics/Constants.js';
+import { J2000_JD } from '../physics/Time.js';
+import { createOrbitRecord, parseOptionalNumber } from './OrbitRecord.js';
+
+// JPL Horizons osculating-element output (EPHEM_TYPE=ELEMENTS), as the default text table or with
+// CSV_FORMAT=YES. Only heliocentric elements on the J2000 ecliptic fit our frame; distances are converted
+// from km when the output units are KM-S or KM-D. Each epoch between $$SOE and $$EOE becomes a record.
+
+const ELEMENT_PAIR = /\b(EC|QR|IN|OM|W|Tp|N|MA|TA|A|AD|PR)\s*=\s*([-+]?\d*\.?\d+(?:[Ee][-+]?\d+)?)/g;
+const ENTRY_START = /^\s*(\d+\.\d+)\s*=\s*A\.D\.\s*(\S+)/;
+const CSV_HEADER = /^\s*JDTDB\s*,/;
+
+function headerValue(header, label) {
+    const match = header.match(new RegExp(`^\\s*${label}\\s*:\\s*(.*)$`, 'm'));
+    return match ? match[1].trim() : null;
+}
+
+// Header checks; throws when the elements are not in our heliocentric ecliptic frame
+function parseHeader(header) {
+    const center = headerValue(header, 'Center body name');
+    if (center && !/^Sun\b/.test(center)) {
+        throw new Error(`Horizons elements must be heliocentric, got center ${center}`);
+    }
+    const plane = headerValue(header, 'Reference plane') ?? headerValue(header, 'Reference frame');
+    if (plane && !/ecliptic/i.test(plane)) {
+        throw new Error(`Horizons elements must be on the ecliptic, got ${plane}`);
+    }
+    const target = headerValue(header, 'Target body name');
+    const magnitude = header.match(/\bH\s*=\s*([-+]?\d*\.?\d+)/);
+    return {
+        name: target ? target.replace(/\s*\{.*$/, '') : 'Unknown',
+        distanceUnitAu: /^KM/i.test(headerValue(header, 'Output units') ?? '') ? 1 / AU_KM : 1,
+        absoluteMagnitude: magnitude ? parseOptionalNumber(magnitude[1]) : null
+    };
+}
+
+// { jd, date, elements: { EC, QR, ... } } per epoch of the text table
+function parseTextEntries(lines) {
+    const entries = [];
+    for (const line of lines) {
+        const start = line.match(ENTRY_START);
+        if (start) {
+            entries.push({ jd: parseFloat(start[1]), date: start[2], elements: {} });
+        } else if (entries.length > 0) {
+            for (const [, key, value] of line.matchAll(ELEMENT_PAIR)) {
+                entries[entries.length - 1].elements[key] = parseFloat(value);
+            }
+        }
+    }
+    return entries;
+}
+
+// Same from CSV rows, with the column names from the header line above $$SOE
+function parseCsvEntries(lines, columnLine) {
+    const columns = columnLine.split(',').map((name) => name.trim());
+    return lines.filter((line) => line.trim() !== '').map((line) => {
+        const values = line.split(',').map((value) => value.trim());
+        const elements = Object.fromEntries(columns.map((name, k) => [name, parseOptionalNumber(values[k])]));
+        return { jd: parseFloat(values[0]), date: values[1].replace(/^A\.D\.\s*/, '').split(' ')[0], elements };
+    });
+}
+
+// Normalized orbit records, one per epoch (suffixed with its date when there are several)
+export function parseHorizonsElements(text) {
+    const lines = text.split(/\r?\n/);
+    const start = lines.findIndex((line) => line.trim() === '$$SOE');
+    const end = lines.findIndex((line) => line.trim() === '$$EOE');
+    if (start < 0) throw new Error('No $$SOE data block in the Horizons output');
+
+    const headerLines = lines.slice(0, start);
+    const { name, distanceUnitAu, absoluteMagnitude } = parseHeader(headerLines.join('\n'));
+    const dataLines = lines.slice(start + 1, end < 0 ? lines.length : end);
+    const columnLine = headerLines.find((line) => CSV_HEADER.test(line));
+    const entries = columnLine ? parseCsvEntries(dataLines, columnLine) : parseTextEntries(dataLines);
+
+    return entries.map(({ jd, date, elements }) => createOrbitRecord({
+        name: entries.length > 1 ? `${name} @ ${date}` : name,
+        source: 'horizons',
+        perihelionDistanceAu: elements.QR === undefined || elements.QR === null ? null : elements.QR * distanceUnitAu,
+        eccentricity: elements.EC ?? null,
+        inclinationDeg: elements.IN ?? null,
+        argPerihelionDeg: elements.W ?? null,
+        nodeDeg: elements.OM ?? null,
+        perihelionTime: elements.Tp === undefined || elements.Tp === null ? null : elements.Tp - J2000_JD,
+        epoch: jd - J2000_JD,
+        semiMajorAxisAu: elements.A === undefined || elements.A === null ? null : elements.A * distanceUnitAu,
+        absoluteMagnitude
+    }));
+}
+
+export const horizonsImporter = {
+    id: 'horizons',
+    label: 'JPL Horizons osculating elements',
+    detect(text) {
+        return text.includes('$$SOE') && (/\bEC\s*=/.test(text) || text.split(/\r?\n/).some((line) => CSV_HEADER.test(line)));
+    },
+    parse: parseHorizonsElements
+};
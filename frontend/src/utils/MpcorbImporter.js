@@ -0,0 +1,79 @@
+import { J2000_JD, dateToJulianDate } from '../physics/Time.js';
+import { createOrbitRecord, parseOptionalNumber, perihelionTimeFromMeanAnomaly } from './OrbitRecord.js';
+
+// Minor Planet Center MPCORB.DAT fixed-width orbits (https://minorplanetcenter.net/iau/info/MPOrbitFormat.html).
+// Asteroids only; elements are J2000 ecliptic with a, e and the mean anomaly at a packed 0h TT epoch.
+// Columns below are 0-based [start, end) slices of the documented 1-based ranges.
+
+const COLUMNS = {
+    designation: [0, 7],
+    absoluteMagnitude: [8, 13],
+    epoch: [20, 25],
+    meanAnomaly: [26, 35],
+    argPerihelion: [37, 46],
+    node: [48, 57],
+    inclination: [59, 68],
+    eccentricity: [70, 79],
+    meanMotion: [80, 91], // degrees per day
+    semiMajorAxis: [92, 103],
+    readableDesignation: [166, 194]
+};
+
+const PACKED_EPOCH = /^[IJK]\d\d[1-9A-C][1-9A-V]$/;
+
+function field(line, name) {
+    return line.slice(...COLUMNS[name]).trim();
+}
+
+// Packed digit: 1-9, then A = 10 ... V = 31
+function unpackDigit(char) {
+    return /\d/.test(char) ? Number(char) : char.charCodeAt(0) - 55;
+}
+
+// Packed epoch, e.g. K2555 = 2025 May 5, to TDB days since J2000 (0h TT; TDB - TT is under 2 ms)
+export function unpackEpoch(packed) {
+    const year = 100 * (packed.charCodeAt(0) - 55) + Number(packed.slice(1, 3));
+    const date = new Date(Date.UTC(year, unpackDigit(packed[3]) - 1, unpackDigit(packed[4])));
+    return dateToJulianDate(date) - J2000_JD;
+}
+
+function isOrbitLine(line) {
+    return line.length >= COLUMNS.semiMajorAxis[1] && PACKED_EPOCH.test(field(line, 'epoch'));
+}
+
+// Normalized orbit record from one MPCORB line
+export function createRecordFromMpcorbLine(line) {
+    const eccentricity = parseOptionalNumber(field(line, 'eccentricity'));
+    const semiMajorAxisAu = parseOptionalNumber(field(line, 'semiMajorAxis'));
+    const epoch = unpackEpoch(field(line, 'epoch'));
+    return createOrbitRecord({
+        name: field(line, 'readableDesignation') || field(line, 'designation'),
+        kind: 'asteroid',
+        source: 'mpcorb',
+        perihelionDistanceAu: semiMajorAxisAu * (1 - eccentricity),
+        eccentricity,
+        inclinationDeg: parseOptionalNumber(field(line, 'inclination')),
+        argPerihelionDeg: parseOptionalNumber(field(line, 'argPerihelion')),
+        nodeDeg: parseOptionalNumber(field(line, 'node')),
+        perihelionTime: perihelionTimeFromMeanAnomaly(
+            epoch,
+            parseOptionalNumber(field(line, 'meanAnomaly')),
+            parseOptionalNumber(field(line, 'meanMotion'))
+        ),
+        epoch,
+        semiMajorAxisAu,
+        absoluteMagnitude: parseOptionalNumber(field(line, 'absoluteMagnitude'))
+    });
+}
+
+export const mpcorbImporter = {
+    id: 'mpcorb',
+    label: 'MPC MPCORB (fixed width)',
+    detect(text) {
+        return text.split(/\r?\n/).slice(0, 200).some(isOrbitLine);
+    },
+    // The file header ends with a line of dashes; it and blank lines fail isOrbitLine
+    parse(text) {
+        return text.split(/\r?\n/).filter(isOrbitLine).map(createRecordFromMpcorbLine);
+    }
+};
@@ -1,94 +1,94 @@
-// Helper function to convert AU to millions of km
-function auToMillionKm(au) {
-    return au * 149.5978707; // 1 AU ≈ 149.5978707 million km
-}
+import { J2000_JD, modifiedJulianDateToJulianDate } from '../physics/Time.js';
+import { createOrbitRecord, normalizeKind, orbitParamsFromRecord, parseOptionalNumber, parseSigmaFields } from './OrbitRecord.js';
+import { validatedOrbits } from './CatalogValidator.js';
 
-// Helper function to convert Julian Date (TDB) to approximate days since J2000.0 (JD 2451545.0 TDB)
+// Helper function to convert Julian Date (TDB) to days since J2000.0 (JD 2451545.0 TDB)
 function jdToDaysSinceJ2000(jd) {
-    return parseFloat(jd) - 2451545.0;
+    return parseFloat(jd) - J2000_JD;
+}
+
+// A1/A2/A3 outgassing accelerations and DT; null when the record has no non-gravitational solution
+function parseNonGravitational(data) {
+    const a1 = parseOptionalNumber(data.a1_au_d_2);
+    const a2 = parseOptionalNumber(data.a2_au_d_2);
+    const a3 = parseOptionalNumber(data.a3_au_d_2);
+    if (a1 === null && a2 === null && a3 === null) return null;
+    return {
+        a1: a1 ?? 0,
+        a2: a2 ?? 0,
+        a3: a3 ?? 0,
+        dt: parseOptionalNumber(data.dt_d) ?? 0
+    };
+}
+
+// Normalized orbit record (see OrbitRecord.js) from a NASA/JPL Near-Earth Comets JSON object.
+// Time model: every time is TDB days since J2000.0 (the SimulationClock unit). tp_tdb is a Julian Date
+// and becomes the perihelion time; epoch_tdb is a Modified Julian Date and becomes the osculating epoch
+// of the elements.
+export function createRecordFromJPLData(data) {
+    return createOrbitRecord({
+        name: data.object_name || data.object || 'Unknown',
+        kind: normalizeKind(data.kind),
+        source: 'nasa-comets',
+        perihelionDistanceAu: parseFloat(data.q_au_1),
+        eccentricity: parseFloat(data.e),
+        inclinationDeg: parseFloat(data.i_deg),
+        argPerihelionDeg: parseFloat(data.w_deg),
+        nodeDeg: parseFloat(data.node_deg),
+        perihelionTime: jdToDaysSinceJ2000(data.tp_tdb),
+        // q_au_2 is the aphelion distance Q, so a = (q + Q) / 2
+        semiMajorAxisAu: data.q_au_2 ? (parseFloat(data.q_au_1) + parseFloat(data.q_au_2)) / 2 : null,
+        epoch: data.epoch_tdb ? jdToDaysSinceJ2000(modifiedJulianDateToJulianDate(parseFloat(data.epoch_tdb))) : null,
+        // Absolute magnitude H and diameter in km, when the catalog has them (for the hazardous status)
+        absoluteMagnitude: parseOptionalNumber(data.H ?? data.h),
+        diameterKm: parseOptionalNumber(data.diameter),
+        moidAu: data.moid_au ? parseFloat(data.moid_au) : null,
+        // Marsden non-gravitational parameters (AU/day^2, dt in days)
+        nonGravitational: parseNonGravitational(data),
+        uncertainty: parseSigmaFields(data)
+    });
 }
 
 // Function to convert NASA/JPL small-body orbital elements JSON to Orbit class parameters
 export function createOrbitFromJPLData(jsonData) {
     // Parse the input JSON string or object
     const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
-
-    // Extract and convert parameters with correct formula
-    const eccentricity = parseFloat(data.e);
-    const q_au = parseFloat(data.q_au_1); // perihelion distance in AU
-    const semiMajorAxis_au = q_au / (1 - eccentricity); // Correct formula: a = q / (1 - e)
-    const semiMajorAxis = auToMillionKm(semiMajorAxis_au); // in millions of km
-
-    const inclination = parseFloat(data.i_deg) * (Math.PI / 180); // to radians
-
-    const omega = parseFloat(data.w_deg) * (Math.PI / 180); // to radians
-
-    const raan = parseFloat(data.node_deg) * (Math.PI / 180); // to radians
-
-    const period_days = parseFloat(data.p_yr) * 365.256363; // approximate sidereal year in days
-
-    const tau = jdToDaysSinceJ2000(parseFloat(data.tp_tdb)) * 86400; // convert to seconds since J2000.0
-
     // Default numPoints (can be overridden if provided)
-    const numPoints = data.numPoints || 80;
-
-    // Return object compatible with Orbit constructor
-    return {
-        semiMajorAxis,
-        eccentricity,
-        inclination,
-        omega,
-        raan,
-        period: period_days,
-        tau,
-        numPoints,
-        name: data.object_name || data.object || 'Unknown'
-    };
+    return orbitParamsFromRecord(createRecordFromJPLData(data), { numPoints: data.numPoints || 80 });
 }
 
+// Entries that are not objects are left for the validator to reject
+function recordOrNull(item) {
+    return item && typeof item === 'object' ? createRecordFromJPLData(item) : null;
+}
 
-// Function to parse a file with multiple JSON objects
-function parseOrbitFile(data) {
-    console.log('Starting to parse orbit file data');
-    try {
-        // Handle the data from require() or fetch()
-        let jsonData = data;
-
-        // If data is a module with default export (from require)
-        if (data && data.default) {
-            jsonData = data.default;
-        }
-
-        // If data is a string, parse it
-        if (typeof data === 'string') {
-            jsonData = JSON.parse(data);
-        }
-
-        // Ensure we have an array
-        if (!Array.isArray(jsonData)) {
-            console.error('Expected array of asteroid data, got:', typeof jsonData);
-            return [];
+// Catalog importer (see CatalogImporter.js) for the NASA Near-Earth Comets export: an array of objects
+// with q_au_1, e, i_deg, w_deg, node_deg and tp_tdb
+export const nasaCometsImporter = {
+    id: 'nasa-comets',
+    label: 'NASA Near-Earth Comets (JSON)',
+    detect(text) {
+        try {
+            const json = JSON.parse(text);
+            return Array.isArray(json) && json.length > 0 && 'q_au_1' in json[0] && 'tp_tdb' in json[0];
+        } catch (error) {
+            return false;
         }
+    },
+    parse(text) {
+        return JSON.parse(text).map(recordOrNull);
+    }
+};
 
-        // Convert each asteroid object to orbit parameters
-        const orbitParamsArray = jsonData.map((asteroidData, index) => {
-            try {
-                const orbitParams = createOrbitFromJPLData(asteroidData);
-                //console.log(`Parsed asteroid ${index + 1}/${jsonData.length}: ${orbitParams.name}`);
-                return orbitParams;
-            } catch (error) {
-                console.error(`Error parsing asteroid at index ${index}:`, error, asteroidData);
-                return null;
-            }
-        }).filter(orbit => orbit !== null); // Remove failed parses
-
-        console.log(`Successfully parsed ${orbitParamsArray.length} asteroid orbits`);
-        return orbitParamsArray;
-
-    } catch (error) {
-        console.error('Error in parseOrbitFile:', error.message);
-        return [];
+// Validated orbit parameters of the NASA comet catalog (an array, its JSON text or a module with a default
+// export) as { orbits, report }: see CatalogValidator.js for the report. Throws when the data is not an array.
+function parseOrbitFile(data) {
+    let jsonData = data && data.default ? data.default : data;
+    if (typeof jsonData === 'string') jsonData = JSON.parse(jsonData);
+    if (!Array.isArray(jsonData)) {
+        throw new Error(`Expected an array of catalog objects, got ${typeof jsonData}`);
     }
+    return validatedOrbits(jsonData.map(recordOrNull), { format: nasaCometsImporter.id });
 }
 
 export { parseOrbitFile };
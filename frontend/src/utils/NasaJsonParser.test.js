@@ -0,0 +1,107 @@
+import { Orbit } from '../render/Orbit';
+import { Earth } from '../render/Earth';
+import { AU_MKM } from '../physics/Constants';
+import { dateToTdbDays } from '../physics/Time';
+import { createOrbitFromJPLData, parseOrbitFile } from './NasaJsonParser';
+import catalog from '../Near-Earth.json';
+
+const deg = 180 / Math.PI;
+
+function findRecord(name) {
+    return catalog.find((record) => record.object_name === name);
+}
+
+// Heliocentric ecliptic longitude (degrees, J2000 frame) and distance (AU)
+function longitudeAndDistance(position) {
+    const longitude = (Math.atan2(position[1], position[0]) * deg + 360) % 360;
+    return { longitude, distance: Math.hypot(...position) / AU_MKM };
+}
+
+describe('catalog time model', () => {
+    test('maps tp_tdb and epoch_tdb to TDB days since J2000', () => {
+        const params = createOrbitFromJPLData(findRecord('1P/Halley'));
+        expect(params.tau).toBeCloseTo(2446467.395 - 2451545.0, 9);
+        expect(params.epoch).toBeCloseTo(49400 + 2400000.5 - 2451545.0, 9);
+    });
+
+    test('derives a period consistent with the catalog p_yr', () => {
+        ['1P/Halley', '2P/Encke', 'P/2004 R1 (McNaught)'].forEach((name) => {
+            const record = findRecord(name);
+            const params = createOrbitFromJPLData(record);
+            expect(params.period / 365.25).toBeCloseTo(parseFloat(record.p_yr), 1);
+        });
+    });
+
+    test('places 1P/Halley at perihelion at tp_tdb', () => {
+        const orbit = new Orbit(createOrbitFromJPLData(findRecord('1P/Halley')));
+        // tp_tdb 2446467.395 is 1986-02-05 21:28:48 TDB, 69 s later than UTC
+        const atPerihelion = longitudeAndDistance(orbit.walkInTime(dateToTdbDays(new Date('1986-02-05T21:27:39Z'))));
+        expect(atPerihelion.distance).toBeCloseTo(0.5859781115, 6);
+        // A month later it is already well outside perihelion
+        const later = longitudeAndDistance(orbit.walkInTime(dateToTdbDays(new Date('1986-03-11T00:00:00Z'))));
+        expect(later.distance).toBeGreaterThan(0.75);
+    });
+
+    test('parses the whole catalog into finite elements', () => {
+        const { orbits, report } = parseOrbitFile(catalog);
+        expect(orbits.length).toBe(catalog.length);
+        expect(report.accepted.length).toBe(catalog.length);
+        orbits.forEach((params) => {
+            expect(Number.isFinite(params.tau)).toBe(true);
+            expect(Number.isFinite(params.epoch)).toBe(true);
+            expect(Number.isFinite(new Orbit(params).walkInTime(params.epoch)[0])).toBe(true);
+        });
+    });
+});
+
+describe('non-gravitational parameters', () => {
+    test('keeps A1/A2/A3 and DT from the catalog', () => {
+        expect(createOrbitFromJPLData(findRecord('1P/Halley')).nonGravitational)
+            .toEqual({ a1: 2.7e-10, a2: 1.55e-10, a3: 0, dt: 0 });
+        expect(createOrbitFromJPLData(findRecord('21P/Giacobini-Zinner')).nonGravitational)
+            .toEqual({ a1: 3.35e-9, a2: -4.29e-10, a3: -9.57e-10, dt: -32.8 });
+    });
+
+    test('is null for purely gravitational solutions', () => {
+        expect(createOrbitFromJPLData(findRecord('P/2004 R1 (McNaught)')).nonGravitational).toBeNull();
+    });
+});
+
+describe('element uncertainties', () => {
+    test('converts SBDB sigma fields to orbit parameter units', () => {
+        const record = {
+            ...findRecord('P/2004 R1 (McNaught)'),
+            sigma_e: '2.1e-7', sigma_q: '1e-6', sigma_i: '3e-5', sigma_om: '4e-4', sigma_w: '5e-4', sigma_tp: '0.0012'
+        };
+        const { uncertainty } = createOrbitFromJPLData(record);
+        expect(uncertainty.e).toBe(2.1e-7);
+        expect(uncertainty.q).toBeCloseTo(1e-6 * AU_MKM, 12);
+        expect(uncertainty.node * deg).toBeCloseTo(4e-4, 12);
+        expect(uncertainty.tp).toBe(0.0012);
+    });
+
+    test('is null when the catalog has no sigmas', () => {
+        expect(createOrbitFromJPLData(findRecord('P/2004 R1 (McNaught)')).uncertainty).toBeNull();
+    });
+});
+
+describe('Earth against reference dates', () => {
+    const earth = new Orbit(Earth.getOrbitParameters());
+    // Longitudes of date are 180°/270° at the equinox/solstice; precession since J2000 moves them by ~0.34°
+    const precession2024 = 24.2 * 50.29 / 3600;
+
+    test('2024 March equinox', () => {
+        const { longitude } = longitudeAndDistance(earth.walkInTime(dateToTdbDays(new Date('2024-03-20T03:06:00Z'))));
+        expect(Math.abs(longitude - (180 - precession2024))).toBeLessThan(0.05);
+    });
+
+    test('2024 June solstice', () => {
+        const { longitude } = longitudeAndDistance(earth.walkInTime(dateToTdbDays(new Date('2024-06-20T20:51:00Z'))));
+        expect(Math.abs(longitude - (270 - precession2024))).toBeLessThan(0.05);
+    });
+
+    test('2024 perihelion distance', () => {
+        const { distance } = longitudeAndDistance(earth.walkInTime(dateToTdbDays(new Date('2024-01-03T00:39:00Z'))));
+        expect(Math.abs(distance - 0.983309)).toBeLessThan(2e-4);
+    });
+});
@@ -0,0 +1,114 @@
+import { AU_MKM, GM_SUN } from '../physics/Constants.js';
+import { classifyOrbit } from '../analysis/Classification.js';
+
+// Normalized orbit record that every catalog importer produces (see CatalogImporter.js), in plain
+// catalog units:
+//   name, kind ('comet', 'asteroid' or null when unknown), source (importer id)
+//   perihelionDistanceAu, eccentricity, inclinationDeg, argPerihelionDeg, nodeDeg (J2000 ecliptic)
+//   perihelionTime, epoch: TDB days since J2000 (epoch null when the catalog has none)
+//   semiMajorAxisAu: as given by the catalog, only to cross-check q and e (null when not given)
+//   absoluteMagnitude, diameterKm, moidAu: null when unknown
+//   nonGravitational: { a1, a2, a3 (AU/day²), dt (days) } or null
+//   uncertainty: 1σ { e, q (AU), i, node, omega (degrees), tp (days) } or null
+// orbitParamsFromRecord turns it into Orbit parameters.
+
+const DEG = Math.PI / 180;
+
+export function createOrbitRecord(fields) {
+    return {
+        name: 'Unknown',
+        kind: null,
+        source: null,
+        epoch: null,
+        semiMajorAxisAu: null,
+        absoluteMagnitude: null,
+        diameterKm: null,
+        moidAu: null,
+        nonGravitational: null,
+        uncertainty: null,
+        ...fields
+    };
+}
+
+// Optional numeric field: null when missing or blank
+export function parseOptionalNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// 1σ element uncertainties from the SBDB sigma_* fields (AU and degrees, tp in days), see
+// analysis/VirtualImpactors.js. Null unless the row carries all of them.
+export function parseSigmaFields(row) {
+    const sigmas = ['sigma_e', 'sigma_q', 'sigma_i', 'sigma_om', 'sigma_w', 'sigma_tp'].map((key) => parseOptionalNumber(row[key]));
+    if (sigmas.some((sigma) => sigma === null)) return null;
+    const [e, q, i, node, omega, tp] = sigmas;
+    return { e, q, i, node, omega, tp };
+}
+
+// SBDB kind ('an', 'au', 'cn', 'cu'), or a spelled-out kind, to 'comet' / 'asteroid'
+export function normalizeKind(kind) {
+    if (!kind) return null;
+    const value = String(kind).toLowerCase();
+    if (value.startsWith('c')) return 'comet';
+    if (value.startsWith('a')) return 'asteroid';
+    return null;
+}
+
+// Mean motion (degrees per day) of a heliocentric orbit with semi-major axis a (AU)
+export function meanMotionDegPerDay(semiMajorAxisAu) {
+    return Math.sqrt(GM_SUN / (semiMajorAxisAu * AU_MKM) ** 3) / DEG;
+}
+
+// Perihelion passage nearest to the epoch for catalogs that give the mean anomaly (degrees) instead
+export function perihelionTimeFromMeanAnomaly(epoch, meanAnomalyDeg, meanMotion) {
+    const wrapped = ((meanAnomalyDeg % 360) + 540) % 360 - 180; // -180 to 180
+    return epoch - wrapped / meanMotion;
+}
+
+// Orbit constructor parameters (scene units: millions of km, radians, TDB days since J2000) from a record.
+// The period follows from a and GM_SUN so the mean motion is consistent with tau; open (e >= 1) orbits
+// have none. Also carries the catalog data the analysis panels use and the classification.
+export function orbitParamsFromRecord(record, { numPoints = 80 } = {}) {
+    const eccentricity = record.eccentricity;
+    const perihelionDistance = record.perihelionDistanceAu * AU_MKM;
+    // a = q / (1 - e): negative for hyperbolic orbits, undefined (Infinity) for parabolic ones
+    const semiMajorAxis = eccentricity === 1 ? Infinity : perihelionDistance / (1 - eccentricity);
+    const uncertainty = record.uncertainty && {
+        e: record.uncertainty.e,
+        q: record.uncertainty.q * AU_MKM,
+        i: record.uncertainty.i * DEG,
+        node: record.uncertainty.node * DEG,
+        omega: record.uncertainty.omega * DEG,
+        tp: record.uncertainty.tp
+    };
+
+    const params = {
+        semiMajorAxis,
+        eccentricity,
+        perihelionDistance,
+        inclination: record.inclinationDeg * DEG,
+        omega: record.argPerihelionDeg * DEG,
+        raan: record.nodeDeg * DEG,
+        period: eccentricity < 1 ? 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / GM_SUN) : null,
+        tau: record.perihelionTime,
+        // Osculating epoch; falls back to perihelion passage when missing
+        epoch: record.epoch ?? record.perihelionTime,
+        mu: GM_SUN,
+        numPoints,
+        // Catalog Earth MOID in AU, kept to cross-check our own MOID (see analysis/Moid.js)
+        catalogMoidAu: record.moidAu,
+        // Marsden non-gravitational parameters for comets, see physics/NonGravitational.js
+        nonGravitational: record.nonGravitational,
+        // Element uncertainties for impact probability estimates, see analysis/VirtualImpactors.js
+        uncertainty,
+        absoluteMagnitude: record.absoluteMagnitude,
+        diameterKm: record.diameterKm,
+        kind: record.kind,
+        name: record.name
+    };
+
+    // NEO group, comet family and hazardous status, see analysis/Classification.js
+    params.classification = classifyOrbit(params);
+    return params;
+}
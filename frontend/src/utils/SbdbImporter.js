@@ -0,0 +1,149 @@
+import { J2000_JD, MJD_OFFSET } from '../physics/Time.js';
+import {
+    createOrbitRecord,
+    meanMotionDegPerDay,
+    normalizeKind,
+    parseOptionalNumber,
+    parseSigmaFields,
+    perihelionTimeFromMeanAnomaly
+} from './OrbitRecord.js';
+
+// JPL Small-Body Database query results (https://ssd-api.jpl.nasa.gov/sbdb_query.api), as the API's JSON
+// ({ fields, data }) or as CSV with the SBDB field names in the header row (full_name, e, q, i, om, w, tp,
+// epoch, ...). Times are Julian Dates (TDB), angles degrees, distances AU.
+
+const NAME_FIELDS = ['full_name', 'name', 'pdes', 'spkid'];
+const ELEMENT_FIELDS = ['e', 'i', 'om', 'w'];
+
+// Fields of one CSV line, honouring double quotes ("" inside quotes is a quote)
+export function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let k = 0; k < line.length; k++) {
+        const char = line[k];
+        if (quoted) {
+            if (char === '"' && line[k + 1] === '"') {
+                field += '"';
+                k++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// CSV text with a header row to one object per row
+export function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) return [];
+    const header = parseCsvLine(lines[0]).map((name) => name.trim());
+    return lines.slice(1).map((line) => {
+        const values = parseCsvLine(line);
+        return Object.fromEntries(header.map((name, k) => [name, values[k]?.trim() ?? '']));
+    });
+}
+
+function julianDateToDays(value) {
+    const jd = parseOptionalNumber(value);
+    return jd === null ? null : jd - J2000_JD;
+}
+
+// Normalized orbit record from one SBDB row (field name to value). q follows from a when only a is given,
+// the perihelion time from the mean anomaly at the epoch when tp is missing.
+export function createRecordFromSbdbRow(row) {
+    const eccentricity = parseOptionalNumber(row.e);
+    const semiMajorAxisAu = parseOptionalNumber(row.a);
+    let perihelionDistanceAu = parseOptionalNumber(row.q);
+    if (perihelionDistanceAu === null && semiMajorAxisAu !== null && eccentricity !== null) {
+        perihelionDistanceAu = semiMajorAxisAu * (1 - eccentricity);
+    }
+    const epochMjd = parseOptionalNumber(row.epoch_mjd);
+    const epoch = julianDateToDays(row.epoch) ?? (epochMjd === null ? null : epochMjd + MJD_OFFSET - J2000_JD);
+    let perihelionTime = julianDateToDays(row.tp);
+    const meanAnomaly = parseOptionalNumber(row.ma);
+    if (perihelionTime === null && epoch !== null && meanAnomaly !== null && eccentricity !== null && eccentricity < 1) {
+        const meanMotion = parseOptionalNumber(row.n)
+            ?? meanMotionDegPerDay(semiMajorAxisAu ?? perihelionDistanceAu / (1 - eccentricity));
+        perihelionTime = perihelionTimeFromMeanAnomaly(epoch, meanAnomaly, meanMotion);
+    }
+    const [a1, a2, a3] = ['A1', 'A2', 'A3'].map((key) => parseOptionalNumber(row[key]));
+    const nameField = NAME_FIELDS.find((key) => row[key] && String(row[key]).trim() !== '');
+
+    return createOrbitRecord({
+        name: nameField ? String(row[nameField]).trim() : 'Unknown',
+        kind: normalizeKind(row.kind),
+        source: 'sbdb',
+        perihelionDistanceAu,
+        eccentricity,
+        inclinationDeg: parseOptionalNumber(row.i),
+        argPerihelionDeg: parseOptionalNumber(row.w),
+        nodeDeg: parseOptionalNumber(row.om),
+        perihelionTime,
+        epoch,
+        semiMajorAxisAu,
+        absoluteMagnitude: parseOptionalNumber(row.H),
+        diameterKm: parseOptionalNumber(row.diameter),
+        moidAu: parseOptionalNumber(row.moid),
+        nonGravitational: a1 === null && a2 === null && a3 === null
+            ? null
+            : { a1: a1 ?? 0, a2: a2 ?? 0, a3: a3 ?? 0, dt: parseOptionalNumber(row.DT) ?? 0 },
+        uncertainty: parseSigmaFields(row)
+    });
+}
+
+function hasElementFields(fieldNames) {
+    return ELEMENT_FIELDS.every((field) => fieldNames.includes(field))
+        && (fieldNames.includes('q') || fieldNames.includes('a'));
+}
+
+// Rows of a Query API response ({ fields, data: [[...], ...] }) or of a plain array of row objects
+function sbdbJsonRows(json) {
+    if (Array.isArray(json?.fields) && Array.isArray(json?.data)) {
+        return json.data.map((values) => Object.fromEntries(json.fields.map((field, k) => [field, values[k]])));
+    }
+    return Array.isArray(json) ? json : null;
+}
+
+function parseJsonOrNull(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+export const sbdbJsonImporter = {
+    id: 'sbdb-json',
+    label: 'JPL SBDB query (JSON)',
+    detect(text) {
+        const rows = sbdbJsonRows(parseJsonOrNull(text));
+        return Boolean(rows && rows.length > 0 && hasElementFields(Object.keys(rows[0])));
+    },
+    parse(text) {
+        return sbdbJsonRows(JSON.parse(text)).map(createRecordFromSbdbRow);
+    }
+};
+
+export const sbdbCsvImporter = {
+    id: 'sbdb-csv',
+    label: 'JPL SBDB query (CSV)',
+    detect(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        return firstLine.includes(',') && hasElementFields(parseCsvLine(firstLine).map((name) => name.trim()));
+    },
+    parse(text) {
+        return parseCsv(text).map(createRecordFromSbdbRow);
+    }
+};
@@ -2,9 +2,10 @@ import * as THREE from 'three';
 import { Earth } from '../render/Earth';
 import { Galaxy } from '../render/Galaxy';
 import { CameraController } from '../controller/CameraController';
+import { SimulationClock } from '../controller/SimulationClock';
 import { Sun } from '../render/Sun';
 import { Meteor } from '../render/Meteor';
-import { createOrbitFromJPLData, parseOrbitFile } from './NasaJsonParser.js';
+import { parseOrbitFile } from './NasaJsonParser.js';
 
 // Shared Three.js initialization that can be called from anywhere
 export class ThreeInitializer {
@@ -15,7 +16,8 @@ export class ThreeInitializer {
     static meteorsCreated = false;
 
     // Function to create meteors from asteroid orbits
-    static createMeteorsFromOrbits(orbits, scene, sun, assets, preprocessed, camera) {
+    // orbitMode 'catalog' follows the parsed JPL elements, 'random' keeps the decorative orbits
+    static createMeteorsFromOrbits(orbits, scene, sun, assets, preprocessed, camera, orbitMode = 'catalog') {
         console.log('ThreeInitializer.createMeteorsFromOrbits called');
         if (!orbits.length || !scene || !sun) return [];
 
@@ -26,9 +28,9 @@ export class ThreeInitializer {
             try {
                 // Calculate initial position based on orbit parameters
                 const position = new THREE.Vector3(
-                    orbitParams.semiMajorAxis * Math.cos(orbitParams.omega),
+                    orbitParams.perihelionDistance * Math.cos(orbitParams.omega),
                     0,
-                    orbitParams.semiMajorAxis * Math.sin(orbitParams.omega)
+                    orbitParams.perihelionDistance * Math.sin(orbitParams.omega)
                 );
 
                 const meteor = new Meteor(
@@ -37,14 +39,19 @@ export class ThreeInitializer {
                     32,
                     position,
                     assets,
-                    preprocessed
+                    preprocessed,
+                    orbitParams.name
                 );
 
                 // Set camera reference for trace fading
                 meteor.setCamera(camera);
 
                 // Start the meteor's orbit
-                meteor.startOrbit(sun.getPosition(), 0.001 + Math.random() * 0.002);
+                if (orbitMode === 'catalog') {
+                    meteor.startCatalogOrbit(orbitParams);
+                } else {
+                    meteor.startOrbit(sun.getPosition(), 0.001 + Math.random() * 0.002);
+                }
                 meteors.push(meteor);
 
                 if (index < 5) { // Log first 5 for debugging
@@ -70,7 +77,7 @@ export class ThreeInitializer {
             const response = await fetch('/Near-Earth.json');
             const data = await response.json();
             console.log('Loaded Near-Earth.json data:', data.length, 'asteroids');
-            this.asteroidOrbits = parseOrbitFile(data);
+            this.asteroidOrbits = parseOrbitFile(data).orbits;
             return this.asteroidOrbits;
         } catch (err) {
             console.error('Failed to load Near-Earth.json:', err);
@@ -114,8 +121,12 @@ export class ThreeInitializer {
             // Small delay to prevent blocking
             await new Promise(resolve => setTimeout(resolve, 16));
 
+            // Clock driving every orbit of the background scene (starts at the current date)
+            const simulationClock = new SimulationClock();
+
             const earthInstance = new Earth(scene, 1, 16, new THREE.Vector3(150, 0, 0), preloadedAssets, preprocessedObjects);
             earthInstance.startOrbit();
+            earthInstance.updateOrbit(simulationClock.getTime());
 
             // Another small delay
             await new Promise(resolve => setTimeout(resolve, 16));
@@ -192,9 +203,11 @@ export class ThreeInitializer {
                 cameraController,
                 ambientLight,
                 startTimestamp,
-                updateMeteors: (absoluteTime) => {
+                simulationClock,
+                // time is the simulation time in days since J2000 (simulationClock.getTime())
+                updateMeteors: (time) => {
                     meteors.forEach((meteor) => {
-                        meteor.updateOrbit(absoluteTime);
+                        meteor.updateOrbit(time);
                         meteor.rotate(0.01);
                     });
                 },